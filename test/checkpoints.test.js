@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { urchinLoop, resumeRun, createMemoryStorage } = require('../urchinloop.js');
+
+const base = { runPostJobs: false, circuitBreaker: null, retry: { retries: 0 }, settings: { embeddingProvider: 'none' } };
+const down = () => { throw Object.assign(new Error('LLM API 503'), { status: 503 }); };
+
+// Step 1 asks for the clock; later steps answer with what it returned
+function scriptedLLM(onStep = () => {}) {
+  let steps = 0;
+  return async (sys, msgs, settings, o = {}) => {
+    if (o.purpose !== 'step') return '';
+    steps++;
+    await onStep(steps);
+    return steps === 1 ? 'Checking. <<TOOL:CLOCK:now>>' : 'It is 12:00.';
+  };
+}
+
+async function checkpointOf(storage, runId) {
+  const { urchinCheckpoints = {} } = await storage.get('urchinCheckpoints');
+  return urchinCheckpoints[runId];
+}
+
+test('a resumed run that fails can be resumed again', async () => {
+  const storage = createMemoryStorage();
+  let clockCalls = 0;
+  const tools = { CLOCK: async () => { clockCalls++; return { success: true, time: '12:00' }; } };
+  const first = await urchinLoop('what time is it?', { ...base, storage, tools, runId: 'job-1', maxStepsPerInvocation: 1, callLLM: scriptedLLM() });
+  assert.deepStrictEqual(first.paused, { runId: 'job-1', reason: 'step_limit' });
+
+  const failed = await resumeRun('job-1', { ...base, storage, tools, callLLM: down });
+  assert.strictEqual(failed.failed, true);
+  const kept = await checkpointOf(storage, 'job-1');
+  assert.deepStrictEqual([kept.status, kept.reason, kept.step, kept.claimedAt], ['paused', 'step_limit', 1, undefined]);
+
+  const done = await resumeRun('job-1', { ...base, storage, tools, callLLM: async () => 'It is 12:00.' });
+  assert.strictEqual(done.answer, 'It is 12:00.');
+  assert.strictEqual(clockCalls, 1);
+  assert.strictEqual(await checkpointOf(storage, 'job-1'), undefined);
+  await assert.rejects(resumeRun('job-1', { ...base, storage, tools }), /No checkpoint for run "job-1"/);
+});
+
+test('a checkpoint is claimed while it is resumed and handed back when the run rejects', async () => {
+  const storage = createMemoryStorage();
+  const tools = { CLOCK: async () => ({ success: true, time: '12:00' }) };
+  await urchinLoop('what time is it?', { ...base, storage, tools, runId: 'job-2', maxStepsPerInvocation: 1, callLLM: scriptedLLM() });
+
+  let claimed = null;
+  const callLLM = async () => {
+    claimed = await checkpointOf(storage, 'job-2');
+    await assert.rejects(resumeRun('job-2', { ...base, storage, tools }), /already being resumed/);
+    return 'It is 12:00.';
+  };
+  const onStep = () => { throw new Error('bug in onStep'); };
+  await assert.rejects(resumeRun('job-2', { ...base, storage, tools, callLLM, onStep }), /bug in onStep/);
+  assert.strictEqual(claimed, null);
+  assert.strictEqual((await checkpointOf(storage, 'job-2')).status, 'paused');
+
+  const done = await resumeRun('job-2', { ...base, storage, tools, callLLM });
+  assert.strictEqual(claimed.status, 'resuming');
+  assert.ok(claimed.claimedAt >= claimed.savedAt);
+  assert.strictEqual(done.answer, 'It is 12:00.');
+  assert.strictEqual(await checkpointOf(storage, 'job-2'), undefined);
+});
+
+test('a run whose process died restarts from its last running checkpoint', async () => {
+  const storage = createMemoryStorage();
+  const other = createMemoryStorage();
+  let clockCalls = 0;
+  const tools = { CLOCK: async () => { clockCalls++; return { success: true, time: '12:00' }; } };
+  // Copy storage as it stands during step 2, as a process that died there
+  // would have left it
+  const callLLM = scriptedLLM(async (step) => {
+    if (step === 2) await other.set(await storage.get('urchinCheckpoints'));
+  });
+  await urchinLoop('what time is it?', { ...base, storage, tools, runId: 'job-3', checkpoint: true, callLLM });
+  assert.strictEqual(await checkpointOf(storage, 'job-3'), undefined);
+  assert.deepStrictEqual([(await checkpointOf(other, 'job-3')).status, (await checkpointOf(other, 'job-3')).step], ['running', 1]);
+
+  const resumed = await resumeRun('job-3', { ...base, storage: other, tools, checkpoint: true, callLLM: async () => 'It is 12:00.' });
+  assert.strictEqual(resumed.answer, 'It is 12:00.');
+  assert.strictEqual(clockCalls, 1);
+  assert.ok(resumed.log.steps.some(s => s.type === 'resumed' && s.reason === 'restart' && s.step === 1));
+  assert.strictEqual(await checkpointOf(other, 'job-3'), undefined);
+});
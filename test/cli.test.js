@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const { main } = require('../urchinloop-cli.js');
+
+function sink() {
+  const stream = new Writable({ write(chunk, encoding, done) { stream.text += chunk; done(); } });
+  stream.text = '';
+  return stream;
+}
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urchin-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'store.json');
+}
+
+// Remembers on request, otherwise echoes the input and the model it was asked for
+function stubLLM(prompts = []) {
+  return async (system, messages, settings, callOptions = {}) => {
+    if (callOptions.purpose !== 'step') return '{}';
+    const last = messages[messages.length - 1].content;
+    if (last.startsWith('[Tool result')) return 'Saved it.';
+    prompts.push(last);
+    if (/remember/.test(last)) return '<<THINK>>Store the colour.<</THINK>> <<TOOL:REMEMBER:{"key":"color","value":"blue"}>>';
+    return `You said: ${last.split('\n')[0]} (model ${settings.llmModel || 'default'})`;
+  };
+}
+
+test('one-shot --json prints the result and keeps memory in the store', async (t) => {
+  const store = tempStore(t);
+  const output = sink();
+  const errors = sink();
+  const code = await main(['--store', store, '--json', 'remember my color is blue'], { output, errors, env: {}, callLLM: stubLLM(), input: new PassThrough() });
+  assert.strictEqual(code, 0, errors.text);
+  const result = JSON.parse(output.text);
+  assert.strictEqual(result.answer, 'Saved it.');
+  assert.match(result.requestId, /^ul-/);
+  assert.strictEqual(result.failed, undefined);
+  assert.match(errors.text, /REMEMBER/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(store, 'utf8')).urchinMemory.color.value, 'blue');
+});
+
+test('one-shot --json reports a failed run and exits 1', async (t) => {
+  const output = sink();
+  const errors = sink();
+  const callLLM = async () => { throw new Error('model exploded'); };
+  const code = await main(['--store', tempStore(t), '--json', 'hello'], { output, errors, env: {}, callLLM, input: new PassThrough() });
+  assert.strictEqual(code, 1);
+  assert.deepStrictEqual([JSON.parse(output.text).failed, JSON.parse(output.text).error], [true, 'model exploded']);
+  assert.match(errors.text, /Error: model exploded/);
+});
+
+test('a scripted REPL session runs turns and slash commands until /exit', async (t) => {
+  const prompts = [];
+  const input = new PassThrough();
+  input.end(['hello', '/model m2', 'again', '/bogus', '/exit', 'never sent'].join('\n') + '\n');
+  const output = sink();
+  const code = await main(['--store', tempStore(t)], { input, output, errors: sink(), env: {}, callLLM: stubLLM(prompts), interactive: true });
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(prompts.map(p => p.split('\n')[0]), ['hello', 'again']);
+  assert.match(output.text, /You said: hello \(model default\)/);
+  assert.match(output.text, /model: m2/);
+  assert.match(output.text, /You said: again \(model m2\)/);
+  assert.match(output.text, /Unknown command \/bogus/);
+});
+
+test('unknown options exit 2', async () => {
+  const errors = sink();
+  assert.strictEqual(await main(['--bogus'], { output: sink(), errors, env: {} }), 2);
+  assert.match(errors.text, /Unknown option --bogus/);
+});
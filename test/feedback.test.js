@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { urchinLoop, submitFeedback, createMemoryStorage } = require('../urchinloop.js');
+
+const base = { runPostJobs: false, settings: { embeddingProvider: 'none' } };
+const skill = { name: 'be-brief', instruction: 'Be brief.', when: '', always: true, source: 'manual', score: 50, usageCount: 0, learnedAt: Date.now() };
+
+async function seededRun() {
+  const storage = createMemoryStorage();
+  await storage.set({ urchinSkills: [skill], urchinMemory: { city: { value: 'Oslo', importance: 3 } } });
+  const run = await urchinLoop('Which city do I live in?', { ...base, storage, callLLM: async () => 'Oslo.' });
+  return { storage, run };
+}
+
+test('ratings normalize to -1..1 and junk is refused', async () => {
+  const { storage, run } = await seededRun();
+  const rate = async (rating) => (await submitFeedback(run.requestId, rating, '', { storage })).rating;
+  assert.deepStrictEqual([await rate('up'), await rate('down'), await rate(true), await rate(false), await rate(0.5), await rate('0'), await rate(7), await rate(-3)], [1, -1, 1, -1, 0.5, 0, 1, -1]);
+  for (const junk of ['meh', null, '', NaN]) {
+    await assert.rejects(submitFeedback(run.requestId, junk, '', { storage }), /rating must be/);
+  }
+  await assert.rejects(submitFeedback('ul-unknown', 'up', '', { storage }), /No recorded run/);
+});
+
+test('feedback credits the skills and memories the run used', async () => {
+  const { storage, run } = await seededRun();
+  const result = await submitFeedback(run.requestId, 'up', 'spot on', { storage });
+  assert.deepStrictEqual([result.skills, result.memories, result.replaced], [['be-brief'], ['city'], false]);
+  const { urchinSkills, urchinMemory, urchinFeedback } = await storage.get(['urchinSkills', 'urchinMemory', 'urchinFeedback']);
+  assert.deepStrictEqual([urchinSkills[0].score, urchinSkills[0].feedbackCount], [60, 1]);
+  assert.deepStrictEqual([urchinMemory.city.feedbackScore, urchinMemory.city.feedbackCount], [1, 1]);
+  assert.deepStrictEqual(urchinFeedback.map(f => [f.requestId, f.rating, f.comment]), [[run.requestId, 1, 'spot on']]);
+});
+
+test('rating a run again replaces the earlier rating instead of adding to it', async () => {
+  const { storage, run } = await seededRun();
+  await submitFeedback(run.requestId, 'up', '', { storage });
+  const again = await submitFeedback(run.requestId, 'down', 'actually wrong', { storage });
+  assert.strictEqual(again.replaced, true);
+  const { urchinSkills, urchinMemory, urchinFeedback } = await storage.get(['urchinSkills', 'urchinMemory', 'urchinFeedback']);
+  // +10 undone, then -15 applied: the net effect of a single thumbs-down
+  assert.deepStrictEqual([urchinSkills[0].score, urchinSkills[0].feedbackCount], [35, 1]);
+  assert.deepStrictEqual([urchinMemory.city.feedbackScore, urchinMemory.city.feedbackCount], [-1, 1]);
+  assert.deepStrictEqual(urchinFeedback.map(f => [f.rating, f.comment]), [[-1, 'actually wrong']]);
+});
+
+test('subtasks do not fill the run log or chat history', async () => {
+  const storage = createMemoryStorage();
+  const callLLM = async (system, messages, settings, callOptions = {}) => {
+    if (callOptions.purpose === 'plan') return '{"decompose":true,"subtasks":[{"task":"Find A","dependsOn":[]},{"task":"Find B","dependsOn":[]}]}';
+    if (callOptions.purpose === 'synthesize') return 'A and B.';
+    return 'Found it.';
+  };
+  const run = await urchinLoop('Find A and then find B and then also compare them', { ...base, storage, callLLM });
+  assert.strictEqual(run.answer, 'A and B.');
+  const { urchinRuns, urchinChatHistory } = await storage.get(['urchinRuns', 'urchinChatHistory']);
+  assert.deepStrictEqual(Object.keys(urchinRuns), [run.requestId]);
+  assert.deepStrictEqual(urchinChatHistory.map(h => h.text), ['Find A and then find B and then also compare them', 'A and B.']);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { assertFetchAllowed, fetchUrl } = require('../urchinloop.js');
+
+const cfg = { allowedSchemes: ['http:', 'https:'], allowHosts: [], blockHosts: [], lookup: null };
+
+test('NAT64 addresses are checked as the IPv4 address they embed', async () => {
+  for (const url of ['http://[64:ff9b::7f00:1]/', 'http://[64:ff9b::127.0.0.1]/', 'http://[64:ff9b::a9fe:a9fe]/latest', 'http://[64:ff9b::a00:1]/']) {
+    await assert.rejects(assertFetchAllowed(url, cfg), /private or reserved/, url);
+  }
+  await assertFetchAllowed('http://[64:ff9b::808:808]/', cfg);
+  await assert.rejects(
+    assertFetchAllowed('http://nat64.example/', { ...cfg, lookup: async () => ['64:ff9b::7f00:1'] }),
+    /resolves to private address 64:ff9b::7f00:1/
+  );
+});
+
+test('Node fetches connect only to the addresses that were checked', async (t) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/start') {
+      res.writeHead(302, { location: `http://second.example:${server.address().port}/page` });
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end(`served ${req.headers.host}${req.url}`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  // The resolver answers with a public address once, then rebinds to loopback
+  const answers = { 'first.example': ['203.0.113.5', '127.0.0.1'], 'second.example': ['198.51.100.9', '127.0.0.1'] };
+  const lookups = [];
+  const lookup = async (host) => {
+    lookups.push(host);
+    return [answers[host].shift()];
+  };
+
+  // Record where each request would connect, then reach the test server instead
+  const connectedTo = [];
+  const request = http.request;
+  t.after(() => { http.request = request; });
+  http.request = (url, options, callback) => {
+    options.lookup(url.hostname, { all: true }, (err, addresses) => connectedTo.push(err ? err.message : addresses.map(a => a.address)));
+    return request(url, { ...options, lookup: (host, o, cb) => (o.all ? cb(null, [{ address: '127.0.0.1', family: 4 }]) : cb(null, '127.0.0.1', 4)) }, callback);
+  };
+
+  const port = server.address().port;
+  const result = await fetchUrl(`http://first.example:${port}/start`, { settings: { fetch: { lookup } } });
+  assert.strictEqual(result.success, true, JSON.stringify(result));
+  assert.strictEqual(result.contentPreview, `served second.example:${port}/page`);
+  assert.strictEqual(result.finalUrl, `http://second.example:${port}/page`);
+  assert.deepStrictEqual(lookups, ['first.example', 'second.example']);
+  assert.deepStrictEqual(connectedTo, [['203.0.113.5'], ['198.51.100.9']]);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createMemoryStorage, createScopedStorage, createBuiltInTools, runPostResponseJobs, searchMemories, createBruteForceVectorStore, forgetUser,
+  urchinLoop, exportMemory, importMemory,
+} = require('../urchinloop.js');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A plain get/set store that yields on every call, so any read-modify-write
+// that bypasses updateKey's lock would interleave and drop writes
+function slowStorage() {
+  const store = {};
+  return {
+    async get(keys) {
+      await tick();
+      return Object.fromEntries((Array.isArray(keys) ? keys : [keys]).map(k => [k, structuredClone(store[k])]));
+    },
+    async set(values) {
+      await tick();
+      Object.assign(store, structuredClone(values));
+    },
+  };
+}
+
+// Answers each background prompt with something that gets written back
+async function backgroundLLM(system, messages) {
+  await tick();
+  await tick();
+  if (system.includes('bullet-point summary')) return '- talked about units';
+  if (system.includes('JSON object with a "scores"')) return '{"scores":{"be-brief":90}}';
+  if (system.includes('JSON object with a "skill"')) return '{"skill":{"name":"use-metric","instruction":"Use metric units.","when":"","always":true}}';
+  if (system.includes('JSON object')) return `{"unit_${messages.length}_${Math.random().toString(36).slice(2, 6)}":"metric"}`;
+  return 'Condensed narrative.';
+}
+
+const messages = [
+  { role: 'system', content: 'sys' },
+  { role: 'user', content: 'How far is it?' },
+  { role: 'assistant', content: 'About 3 miles.' },
+  { role: 'user', content: 'From now on use metric units.' },
+];
+const history = [
+  ...Array.from({ length: 40 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', text: `turn ${i}` })),
+  { role: 'user', text: 'From now on use metric units.' },
+  { role: 'assistant', text: 'Sure, about 5 km.' },
+];
+
+for (const [name, makeStorage] of [['updating storage', createMemoryStorage], ['get/set-only storage', slowStorage]]) {
+  test(`REMEMBER racing post-response jobs loses no memory (${name})`, async () => {
+    const storage = makeStorage();
+    await storage.set({ urchinSkills: [{ name: 'be-brief', instruction: 'Be brief.', always: true, source: 'manual', score: 50, usageCount: 1, learnedAt: Date.now() }] });
+    const { REMEMBER } = createBuiltInTools(storage);
+    const facts = Array.from({ length: 30 }, (_, i) => `fact${i}`);
+
+    await Promise.all([
+      ...facts.map(f => REMEMBER(JSON.stringify({ key: f, value: `value of ${f}` }))),
+      ...Array.from({ length: 30 }, () => runPostResponseJobs(storage, messages, history, backgroundLLM, {}, ['be-brief'])),
+    ]);
+
+    const { urchinMemory = {}, urchinProfile = {}, urchinSkills = [], urchinCondensed = '' } =
+      await storage.get(['urchinMemory', 'urchinProfile', 'urchinSkills', 'urchinCondensed']);
+    assert.deepStrictEqual(facts.filter(f => urchinMemory[f] === undefined), []);
+    assert.strictEqual(urchinMemory._convCount, '30');
+    assert.ok(Object.keys(urchinMemory).some(k => k.startsWith('session_')), 'no session summary was saved');
+    assert.strictEqual(Object.keys(urchinProfile).length, 6, `expected 6 profile updates, got ${JSON.stringify(urchinProfile)}`);
+    assert.deepStrictEqual(urchinSkills.map(s => s.name).sort(), ['be-brief', 'use-metric']);
+    assert.strictEqual(urchinSkills.find(s => s.name === 'be-brief').evalCount, 3);
+    assert.strictEqual(urchinCondensed, 'Condensed narrative.');
+  });
+}
+
+// A vector store factory that records how many stores and upserts it sees
+function countingVectorStores() {
+  const counts = { stores: 0, upserts: 0 };
+  const factory = () => {
+    counts.stores++;
+    const store = createBruteForceVectorStore();
+    return { ...store, upsert: (items) => { counts.upserts += items.length; return store.upsert(items); } };
+  };
+  return { counts, factory };
+}
+
+test('fresh scoped views of one user reuse the search index', async () => {
+  const base = createMemoryStorage();
+  const { counts, factory } = countingVectorStores();
+  const settings = { embeddingProvider: 'local', vectorStore: factory };
+  const memories = { city: 'Lives in Oslo', pet: 'Has a cat named Miso' };
+  const viewFor = (userId, conversationId) => createScopedStorage(base, { tenantId: 'acme', userId, conversationId });
+
+  for (const conversationId of ['c1', 'c2', 'c2']) {
+    const { matches } = await searchMemories('lives in oslo', memories, viewFor('ana', conversationId), settings);
+    assert.strictEqual(matches[0].key, 'city');
+  }
+  assert.deepStrictEqual(counts, { stores: 1, upserts: 2 });
+
+  await searchMemories('lives in oslo', memories, viewFor('ben', 'c1'), settings);
+  assert.deepStrictEqual(counts, { stores: 2, upserts: 4 });
+});
+
+test('forgetUser drops the user\'s search index and keeps everyone else\'s', async () => {
+  const base = createMemoryStorage();
+  const { counts, factory } = countingVectorStores();
+  const settings = { embeddingProvider: 'local', vectorStore: factory };
+  const memories = { city: 'Lives in Oslo' };
+  const identity = (userId) => ({ tenantId: 'acme', userId, conversationId: 'c1' });
+  const search = (userId) => searchMemories('lives in oslo', memories, createScopedStorage(base, identity(userId)), settings);
+
+  await search('ana');
+  await search('ben');
+  assert.strictEqual(counts.stores, 2);
+
+  await forgetUser({ storage: base, identity: identity('ana') });
+  await search('ben');
+  assert.strictEqual(counts.stores, 2);
+  await search('ana');
+  assert.strictEqual(counts.stores, 3);
+});
+
+test('forgetUser drops the index of unscoped storage', async () => {
+  const storage = createMemoryStorage();
+  const { counts, factory } = countingVectorStores();
+  const settings = { embeddingProvider: 'local', vectorStore: factory };
+  await searchMemories('lives in oslo', { city: 'Lives in Oslo' }, storage, settings);
+  await forgetUser({ storage });
+  await searchMemories('lives in oslo', { city: 'Lives in Oslo' }, storage, settings);
+  assert.strictEqual(counts.stores, 2);
+});
+
+test('every conversation the loop writes to is exported and forgotten without naming it', async () => {
+  const base = createMemoryStorage();
+  const identity = (userId, conversationId) => ({ tenantId: 'acme', userId, conversationId });
+  const chat = (userId, conversationId, input) => urchinLoop(input, {
+    storage: base, identity: identity(userId, conversationId), runPostJobs: false, settings: { embeddingProvider: 'none' }, callLLM: async () => 'Noted.',
+  });
+  await chat('ana', 'c1', 'hello from c1');
+  await chat('ana', 'c2', 'hello from c2');
+  await chat('ana', 'c1', 'more in c1');
+  await chat('ben', 'c9', 'hello from ben');
+
+  const exported = await exportMemory({ storage: base, identity: identity('ana', 'c3') });
+  assert.deepStrictEqual(exported.data.urchinConversations, ['c1', 'c2']);
+  assert.deepStrictEqual(exported.conversations.map(c => [c.conversationId, c.urchinChatHistory.length]), [['c1', 4], ['c2', 2]]);
+
+  const { removed } = await forgetUser({ storage: base, identity: identity('ana', 'c3') });
+  assert.ok(removed.includes('urchinConversations'));
+  assert.ok(removed.includes('c1/urchinChatHistory') && removed.includes('c2/urchinChatHistory'));
+  for (const conversationId of ['c1', 'c2']) {
+    assert.deepStrictEqual(await createScopedStorage(base, identity('ana', conversationId)).get('urchinChatHistory'), { urchinChatHistory: undefined });
+  }
+  const ben = await createScopedStorage(base, identity('ben', 'c9')).get(['urchinChatHistory', 'urchinConversations']);
+  assert.deepStrictEqual([ben.urchinChatHistory.length, ben.urchinConversations], [2, ['c9']]);
+
+  // Imported conversations join the index too
+  await importMemory(exported, { storage: base, identity: identity('ana', null), mode: 'replace' });
+  const again = await forgetUser({ storage: base, identity: identity('ana', null) });
+  assert.ok(again.removed.includes('c1/urchinChatHistory') && again.removed.includes('c2/urchinChatHistory'));
+});
+
+test('REMEMBER explains that a reserved key is reserved', async () => {
+  const storage = createMemoryStorage();
+  const { REMEMBER } = createBuiltInTools(storage);
+  for (const key of ['_convCount', 'session_123']) {
+    const result = await REMEMBER(JSON.stringify({ key, value: 'x' }));
+    assert.match(result.error, new RegExp(`"${key}" is reserved`));
+  }
+  assert.match((await REMEMBER('{"value":"x"}')).error, /REMEMBER needs/);
+  assert.strictEqual((await storage.get('urchinMemory')).urchinMemory, undefined);
+});
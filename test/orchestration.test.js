@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { urchinLoop, runSubtaskGraph, validateSubtaskGraph, createMemoryStorage } = require('../urchinloop.js');
+
+const graph = (...deps) => deps.map((dependsOn, i) => ({ task: `task ${i}`, dependsOn }));
+
+test('validateSubtaskGraph rejects missing tasks, bad indexes, self-dependencies and cycles', () => {
+  assert.strictEqual(validateSubtaskGraph(graph([], [0], [0, 1])), null);
+  assert.strictEqual(validateSubtaskGraph([{ task: '', dependsOn: [] }]), 'Subtask 0 has no task.');
+  assert.strictEqual(validateSubtaskGraph(graph([], [2])), 'Subtask 1 depends on invalid index 2.');
+  assert.strictEqual(validateSubtaskGraph(graph([], ['0'])), 'Subtask 1 depends on invalid index "0".');
+  assert.strictEqual(validateSubtaskGraph(graph([0])), 'Subtask 0 depends on itself.');
+  assert.strictEqual(validateSubtaskGraph(graph([2], [0], [1])), 'Subtask dependencies form a cycle (through subtask 0).');
+});
+
+test('runSubtaskGraph passes dependency results along and never exceeds the concurrency cap', async () => {
+  let active = 0;
+  let peak = 0;
+  const { results, statuses } = await runSubtaskGraph(graph([], [], [], [], [0, 1, 2, 3]), async (index, task, deps) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return deps.length ? deps.map(d => d.result).join('+') : `r${index}`;
+  }, { concurrency: 2 });
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(results, ['r0', 'r1', 'r2', 'r3', 'r0+r1+r2+r3']);
+  assert.ok(statuses.every(st => st.status === 'done'));
+});
+
+test('a failed subtask is replanned in its slot and its dependents wait for the revised task', async () => {
+  const events = [];
+  const replans = [];
+  const { results, statuses } = await runSubtaskGraph(graph([], [0]), async (index, task, deps) => {
+    if (task === 'task 0') throw new Error('site down');
+    return index === 1 ? `used ${deps[0].result}` : `${task} ok`;
+  }, {
+    replan: async ({ index, task, error }) => { replans.push([index, task, error]); return 'task 0 via mirror'; },
+    onStatus: (s) => events.push(`${s.index}:${s.status}`),
+  });
+  assert.deepStrictEqual(replans, [[0, 'task 0', 'site down']]);
+  assert.deepStrictEqual(results, ['task 0 via mirror ok', 'used task 0 via mirror ok']);
+  assert.deepStrictEqual(statuses.map(st => [st.status, st.attempts, st.replans]), [['done', 2, 1], ['done', 1, 0]]);
+  assert.deepStrictEqual(events, ['0:running', '0:replanned', '0:running', '0:done', '1:running', '1:done']);
+});
+
+test('when replanning gives up, every transitive dependent is skipped and independent work still runs', async () => {
+  let replanCalls = 0;
+  const ran = [];
+  const { results, statuses } = await runSubtaskGraph(graph([], [0], [1], []), async (index) => {
+    ran.push(index);
+    if (index === 0) throw new Error('no results');
+    return `r${index}`;
+  }, { replan: async () => { replanCalls++; return replanCalls === 1 ? 'task 0' : null; }, maxReplans: 3 });
+  assert.strictEqual(replanCalls, 2);
+  assert.deepStrictEqual(ran.sort(), [0, 0, 3]);
+  assert.deepStrictEqual(results, [null, null, null, 'r3']);
+  assert.deepStrictEqual(statuses.map(st => [st.status, st.error]), [
+    ['failed', 'no results'],
+    ['skipped', 'Depends on subtask 0, which did not complete.'],
+    ['skipped', 'Depends on subtask 1, which did not complete.'],
+    ['done', null],
+  ]);
+});
+
+test('subtasks are never decomposed again, even when the planner always says to', async () => {
+  const purposes = [];
+  const callLLM = async (system, messages, settings, callOptions = {}) => {
+    purposes.push(callOptions.purpose || 'loop');
+    if (callOptions.purpose === 'plan') return '{"decompose":true,"subtasks":[{"task":"Find A and then find C and then also check D","dependsOn":[]},{"task":"Find B and then find E and then also check F","dependsOn":[]}]}';
+    if (callOptions.purpose === 'synthesize') return 'All found.';
+    return 'Found it.';
+  };
+  const run = await urchinLoop('Find A and then find B and then also compare them', {
+    runPostJobs: false, settings: { embeddingProvider: 'none' }, storage: createMemoryStorage(), callLLM,
+  });
+  assert.strictEqual(run.answer, 'All found.');
+  assert.strictEqual(purposes.filter(p => p === 'plan').length, 1);
+  assert.strictEqual(purposes.filter(p => p === 'synthesize').length, 1);
+});
+
+test('decompose: false skips planning entirely', async () => {
+  const purposes = [];
+  const callLLM = async (system, messages, settings, callOptions = {}) => {
+    purposes.push(callOptions.purpose || 'loop');
+    return 'Done.';
+  };
+  const run = await urchinLoop('Find A and then find B and then also compare them', {
+    runPostJobs: false, settings: { embeddingProvider: 'none' }, storage: createMemoryStorage(), callLLM, decompose: false,
+  });
+  assert.strictEqual(run.answer, 'Done.');
+  assert.ok(!purposes.includes('plan'));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { urchinLoop, createMemoryStorage, replayTrace } = require('../urchinloop.js');
+
+const fixture = require(path.join(__dirname, 'fixtures', 'compare-prices.trace.json'));
+const toolCalls = (trace) => trace.events.filter(e => e.type === 'tool').map(e => [e.name, e.param]);
+
+test('recorded trace replays to the same answer and tool calls', async () => {
+  const run = await replayTrace(fixture);
+  assert.ok(run.replay.ok, JSON.stringify(run.replay));
+  assert.strictEqual(run.answer, run.replay.expectedAnswer);
+  assert.deepStrictEqual(toolCalls(run.trace), [
+    ['WEB_SEARCH', 'kindle paperwhite price'],
+    ['CONVERT', '{"amount":149.99,"from":"USD","to":"EUR"}'],
+    ['FETCH_URL', 'https://shop.example/paperwhite'],
+  ]);
+  assert.deepStrictEqual(run.trace.events.filter(e => e.type === 'tool').map(e => e.result), fixture.events.filter(e => e.type === 'tool').map(e => e.result));
+});
+
+test('replay reports a trace that no longer covers the run', async () => {
+  const truncated = { ...fixture, events: fixture.events.filter(e => !(e.type === 'llm' && e.step === 3)) };
+  const run = await replayTrace(truncated);
+  assert.strictEqual(run.replay.ok, false);
+  assert.deepStrictEqual(run.replay.mismatches.map(m => m.purpose), ['step']);
+});
+
+test('a freshly recorded run replays offline', async () => {
+  let step = 0;
+  const callLLM = async (sys, msgs, settings, o = {}) => {
+    if (o.purpose !== 'step') return '';
+    return ++step === 1 ? '<<TOOL:REMEMBER:{"key":"city","value":"Oslo"}>>' : 'Noted: you live in Oslo.';
+  };
+  const recorded = await urchinLoop('I live in Oslo', { storage: createMemoryStorage(), callLLM, trace: true, runPostJobs: false, settings: { embeddingProvider: 'none' } });
+  const trace = JSON.parse(JSON.stringify(recorded.trace));
+  const run = await replayTrace(trace);
+  assert.ok(run.replay.ok, JSON.stringify(run.replay));
+  assert.strictEqual(run.answer, 'Noted: you live in Oslo.');
+  assert.deepStrictEqual(toolCalls(run.trace), [['REMEMBER', '{"key":"city","value":"Oslo"}']]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { urchinLoop, createMemoryStorage, isRetryableLLMError } = require('../urchinloop.js');
+
+const base = { runPostJobs: false, retry: { retries: 1, baseDelayMs: 1, maxDelayMs: 1 }, settings: { embeddingProvider: 'none' } };
+
+test('only network failures count as retryable TypeErrors', () => {
+  assert.strictEqual(isRetryableLLMError(new TypeError("Cannot read properties of undefined (reading 'foo')")), false);
+  assert.strictEqual(isRetryableLLMError(new TypeError('fetch failed', { cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) })), true);
+  assert.strictEqual(isRetryableLLMError(new TypeError('Failed to fetch')), true);
+  assert.strictEqual(isRetryableLLMError(Object.assign(new Error('LLM API 503'), { status: 503 })), true);
+});
+
+test('a buggy callLLM does not open the circuit for other callers', async () => {
+  const buggy = async () => undefined.foo;
+  for (let i = 0; i < 3; i++) {
+    const r = await urchinLoop('hi', { ...base, storage: createMemoryStorage(), callLLM: buggy });
+    assert.strictEqual(r.failed, true);
+    assert.ok(!r.log.steps.some(s => s.type === 'llm_attempt' && s.retryInMs !== undefined), 'bug was retried');
+  }
+  const working = async () => 'Hello.';
+  const r = await urchinLoop('hi', { ...base, storage: createMemoryStorage(), callLLM: working });
+  assert.strictEqual(r.answer, 'Hello.');
+});
+
+test('runs sharing a callLLM share its circuit', async () => {
+  const down = async () => { throw Object.assign(new Error('LLM API 503'), { status: 503 }); };
+  await urchinLoop('hi', { ...base, retry: { retries: 2, baseDelayMs: 1, maxDelayMs: 1 }, storage: createMemoryStorage(), callLLM: down });
+  const r = await urchinLoop('hi', { ...base, storage: createMemoryStorage(), callLLM: down });
+  assert.match(r.error, /circuit open/);
+});
+
+test('a run that runs out of retries keeps its tool work', async () => {
+  let calls = 0;
+  const callLLM = async (sys, msgs, settings, o = {}) => {
+    if (o.purpose !== 'step') return '';
+    calls++;
+    if (calls === 1) return 'Checking the time. <<TOOL:CLOCK:now>>';
+    throw Object.assign(new Error('LLM API 503'), { status: 503 });
+  };
+  const tools = { CLOCK: async () => ({ success: true, time: '12:00' }) };
+  const r = await urchinLoop('what time is it?', { ...base, circuitBreaker: null, storage: createMemoryStorage(), callLLM, tools });
+  assert.strictEqual(r.failed, true);
+  assert.match(r.error, /503/);
+  assert.strictEqual(r.answer, 'Checking the time.');
+  assert.deepStrictEqual(r.toolResults, [{ step: 1, name: 'CLOCK', param: 'now', result: { success: true, time: '12:00' } }]);
+  assert.strictEqual(r.log.steps.at(-1).type, 'failed');
+});
+
+test('a failed run is not written to chat history or the run log', async () => {
+  const storage = createMemoryStorage();
+  const down = async () => { throw Object.assign(new Error('LLM API 503'), { status: 503 }); };
+  const r = await urchinLoop('hello', { ...base, circuitBreaker: null, storage, callLLM: down });
+  assert.strictEqual(r.failed, true);
+  const { urchinChatHistory, urchinRuns } = await storage.get(['urchinChatHistory', 'urchinRuns']);
+  assert.strictEqual(urchinChatHistory, undefined);
+  assert.strictEqual(urchinRuns, undefined);
+});
+
+test('a stream that breaks part-way fails the run', async () => {
+  const callLLM = async function* () {
+    yield 'Half an ';
+    throw new TypeError('terminated');
+  };
+  const r = await urchinLoop('hi', { ...base, stream: true, circuitBreaker: null, storage: createMemoryStorage(), callLLM });
+  assert.strictEqual(r.failed, true);
+  assert.strictEqual(r.error, 'terminated');
+  assert.strictEqual(r.answer, 'Half an');
+});
+
+test('errors that are not LLM failures still reject', async () => {
+  const storage = createMemoryStorage();
+  const broken = { ...storage, get: async () => { throw new Error('db down'); } };
+  await assert.rejects(urchinLoop('hi', { ...base, storage: broken, callLLM: async () => 'Hello.' }), /db down/);
+});
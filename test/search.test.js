@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { webSearch, mergeSearchResults } = require('../urchinloop.js');
+
+const result = (url, title = url) => ({ title, url, snippet: `About ${title}` });
+const provider = (name, search) => Object.assign(search, { providerName: name });
+const searchWith = (providers, extra = {}) => webSearch('urchins', { settings: { search: { providers, ...extra } } });
+
+test('the same page from two providers is merged, whatever its tracking parameters, www. or fragment', () => {
+  const merged = mergeSearchResults([
+    { source: 'alpha', results: [result('https://www.example.com/guide/?utm_source=alpha&id=7', 'Guide'), result('https://other.org/')] },
+    { source: 'beta', results: [result('http://example.com/guide?id=7&fbclid=abc#intro', 'Guide again')] },
+  ]);
+  assert.deepStrictEqual(merged.map(r => [r.url, r.sources]), [
+    ['https://www.example.com/guide/?utm_source=alpha&id=7', ['alpha', 'beta']],
+    ['https://other.org/', ['alpha']],
+  ]);
+  assert.strictEqual(merged[0].title, 'Guide');
+  // Parameters that pick the content still tell pages apart
+  const distinct = mergeSearchResults([
+    { source: 'alpha', results: [result('https://example.com/guide?id=8')] },
+    { source: 'beta', results: [result('https://example.com/guide?id=7')] },
+  ]);
+  assert.strictEqual(distinct.length, 2);
+});
+
+test('results are ordered by reciprocal rank fusion and cut to the limit', () => {
+  const lists = [
+    { source: 'alpha', results: [result('https://a.example/'), result('https://shared.example/')] },
+    { source: 'beta', results: [result('https://b.example/'), result('https://shared.example/')] },
+  ];
+  // Second on both lists beats first on one
+  assert.deepStrictEqual(mergeSearchResults(lists).map(r => [r.rank, r.url]), [
+    [1, 'https://shared.example/'],
+    [2, 'https://a.example/'],
+    [3, 'https://b.example/'],
+  ]);
+  assert.deepStrictEqual(mergeSearchResults(lists, 2).map(r => r.url), ['https://shared.example/', 'https://a.example/']);
+});
+
+test('a provider that fails or times out is reported while the others still answer', async () => {
+  const out = await searchWith([
+    provider('alpha', async (query, { limit }) => [result(`https://a.example/${query}?n=${limit}`)]),
+    provider('beta', async () => { throw new Error('HTTP 429'); }),
+    provider('gamma', () => new Promise(() => {})),
+  ], { timeoutMs: 20, limit: 3 });
+  assert.strictEqual(out.success, true);
+  assert.deepStrictEqual(out.providers, ['alpha', 'beta', 'gamma']);
+  assert.deepStrictEqual(out.results.map(r => [r.url, r.source]), [['https://a.example/urchins?n=3', 'alpha']]);
+  assert.deepStrictEqual(out.errors, [{ source: 'beta', error: 'HTTP 429' }, { source: 'gamma', error: 'timed out after 20ms' }]);
+});
+
+test('when every provider fails the search fails with each reason', async () => {
+  const out = await searchWith([
+    provider('alpha', async () => { throw new Error('HTTP 500'); }),
+    provider('beta', async () => { throw new Error('ECONNREFUSED'); }),
+  ]);
+  assert.deepStrictEqual(out, { error: 'Search failed: alpha: HTTP 500; beta: ECONNREFUSED' });
+  assert.deepStrictEqual(await searchWith(['nosuch']), { error: 'Unknown search provider "nosuch".' });
+  assert.deepStrictEqual(await webSearch('  ', {}), { error: 'WEB_SEARCH needs a query.' });
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createUrchinServer, createMemoryStorage, createScopedStorage } = require('../urchinloop.js');
+
+function request(url, { method = 'GET', body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) };
+    const req = http.request(url, { method, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(text); } catch (_) {}
+        resolve({ status: res.statusCode, headers: res.headers, text, json });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+const posted = [];
+const tools = {
+  POST: {
+    description: 'Post a message',
+    parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    policy: 'require-approval',
+    handler: async ({ text }) => { posted.push(text); return { success: true }; },
+  },
+  ECHO: async (param) => ({ success: true, echo: param }),
+};
+
+async function callLLM(system, messages, settings, callOptions = {}) {
+  if (callOptions.purpose !== 'step') return '';
+  const last = messages[messages.length - 1].content;
+  if (last.startsWith('[Tool result')) return 'Done.';
+  if (/post/.test(last)) return '<<TOOL:POST:{"text":"hi"}>>';
+  if (/echo/.test(last)) return '<<THINK>>Echo it back.<</THINK>> <<TOOL:ECHO:abc>>';
+  return `Hello ${last}`;
+}
+
+const users = { alice: { userId: 'alice' } };
+const storage = createMemoryStorage();
+let app;
+let url;
+
+test.before(async () => {
+  app = createUrchinServer({
+    storage,
+    loopOptions: { callLLM, tools, runPostJobs: false, settings: { embeddingProvider: 'none' } },
+    auth: async (req) => users[(req.headers.authorization || '').replace('Bearer ', '')] || null,
+    basePath: '/api',
+  });
+  ({ url } = await app.listen(0, '127.0.0.1'));
+});
+
+test.after(() => app.close());
+
+test('requests without valid credentials get 401', async () => {
+  assert.strictEqual((await request(`${url}/turn`, { method: 'POST', body: { input: 'hi' } })).status, 401);
+  assert.strictEqual((await request(`${url}/turn`, { method: 'POST', body: { input: 'hi' }, token: 'mallory' })).status, 401);
+});
+
+test('malformed turns get 400', async () => {
+  const badJson = await request(`${url}/turn`, { method: 'POST', body: '{not json', token: 'alice' });
+  assert.strictEqual(badJson.status, 400);
+  assert.ok(badJson.json.error);
+  assert.strictEqual((await request(`${url}/turn`, { method: 'POST', body: {}, token: 'alice' })).status, 400);
+});
+
+test('a JSON turn returns the answer and its run can be fetched', async () => {
+  const turn = await request(`${url}/turn`, { method: 'POST', body: { input: 'there', conversationId: 'c1' }, token: 'alice' });
+  assert.strictEqual(turn.status, 200);
+  assert.strictEqual(turn.json.answer, 'Hello there');
+  const run = await request(`${url}/runs/${turn.json.requestId}`, { token: 'alice' });
+  assert.strictEqual(run.status, 200);
+  assert.strictEqual(run.json.answer, 'Hello there');
+});
+
+test('a streamed turn sends THINK and tool events as SSE, ending with done', async () => {
+  const res = await request(`${url}/turn?stream=1`, { method: 'POST', body: { input: 'echo please' }, token: 'alice' });
+  assert.match(res.headers['content-type'], /^text\/event-stream/);
+  const events = res.text.split('\n\n').filter(Boolean).map((block) => {
+    const [, type] = /^event: (.+)$/m.exec(block);
+    const [, data] = /^data: (.*)$/m.exec(block);
+    return { type, data: JSON.parse(data) };
+  });
+  const types = events.map(e => e.type);
+  for (const type of ['think_end', 'tool_call', 'tool_result']) assert.ok(types.includes(type), `missing ${type} in ${types}`);
+  assert.strictEqual(events.find(e => e.type === 'tool_result').data.result.echo, 'abc');
+  assert.strictEqual(types.at(-1), 'done');
+  assert.strictEqual(events.at(-1).data.answer, 'Done.');
+});
+
+test('a turn that needs approval pauses and finishes on /resume', async () => {
+  const paused = await request(`${url}/turn`, { method: 'POST', body: { input: 'post something' }, token: 'alice' });
+  assert.strictEqual(paused.status, 200);
+  assert.ok(paused.json.paused?.runId, JSON.stringify(paused.json));
+  assert.deepStrictEqual(posted, []);
+
+  const resumed = await request(`${url}/resume`, { method: 'POST', body: { runId: paused.json.paused.runId, decision: 'approve' }, token: 'alice' });
+  assert.strictEqual(resumed.status, 200);
+  assert.strictEqual(resumed.json.answer, 'Done.');
+  assert.deepStrictEqual(posted, ['hi']);
+  assert.strictEqual((await request(`${url}/resume`, { method: 'POST', body: { runId: paused.json.paused.runId }, token: 'alice' })).status, 404);
+});
+
+test('/resume refuses checkpoints that are not paused', async () => {
+  const alice = createScopedStorage(storage, { userId: 'alice' });
+  const checkpoint = { userInput: 'echo this', step: 0, maxSteps: 10, messages: [{ role: 'user', content: 'echo this' }], log: [], savedAt: Date.now() };
+  await alice.set({
+    urchinCheckpoints: {
+      'run-live': { ...checkpoint, runId: 'run-live', status: 'running' },
+      'run-claimed': { ...checkpoint, runId: 'run-claimed', status: 'resuming', claimedAt: Date.now() },
+    },
+  });
+  for (const runId of ['run-live', 'run-claimed']) {
+    const res = await request(`${url}/resume`, { method: 'POST', body: { runId }, token: 'alice' });
+    assert.strictEqual(res.status, 409);
+    assert.match(res.json.error, /not paused/);
+  }
+  const { urchinCheckpoints } = await alice.get('urchinCheckpoints');
+  assert.deepStrictEqual(Object.values(urchinCheckpoints).map(c => c.status), ['running', 'resuming']);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { addSkill, createMemoryStorage, runPostResponseJobs } = require('../urchinloop.js');
+
+const disabledSkill = {
+  name: 'use-metric', instruction: 'Use metric units.', when: '', always: true, disabled: true,
+  source: 'manual', score: 40, usageCount: 3, reinforceCount: 0, learnedAt: 1, updatedAt: 1,
+};
+
+test('a learned skill with an existing name reinforces it without editing or re-enabling it', () => {
+  const { skills, skill, action } = addSkill([disabledSkill], { name: 'use-metric', instruction: 'Always answer in imperial units.' }, 'learned');
+  assert.strictEqual(action, 'reinforced');
+  assert.strictEqual(skills.length, 1);
+  assert.strictEqual(skill.instruction, 'Use metric units.');
+  assert.strictEqual(skill.disabled, true);
+  assert.strictEqual(skill.score, 45);
+  assert.strictEqual(skill.reinforceCount, 1);
+});
+
+test('a manual skill with an existing name edits and re-enables it', () => {
+  const { skill, action } = addSkill([disabledSkill], { name: 'use-metric', instruction: 'Use metric units, with imperial in brackets.' }, 'manual');
+  assert.strictEqual(action, 'updated');
+  assert.strictEqual(skill.instruction, 'Use metric units, with imperial in brackets.');
+  assert.strictEqual(skill.disabled, false);
+  assert.strictEqual(skill.score, 40);
+});
+
+test('post-response learning cannot rewrite a disabled skill of the same name', async () => {
+  const storage = createMemoryStorage();
+  await storage.set({ urchinSkills: [disabledSkill] });
+  const callLLM = async () => '{"skill":{"name":"use-metric","instruction":"Always answer in imperial units.","always":true}}';
+  const history = [{ role: 'user', text: 'That is wrong, try again.' }, { role: 'assistant', text: 'Sorry.' }];
+  await runPostResponseJobs(storage, [], history, callLLM, {});
+  const { urchinSkills } = await storage.get('urchinSkills');
+  assert.deepStrictEqual(urchinSkills.map(s => [s.name, s.instruction, s.disabled, s.reinforceCount]), [['use-metric', 'Use metric units.', true, 1]]);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMemoryStorage, createFileStorage, createWebStorage, createSQLiteStorage, createRedisStorage, createChromeStorage,
+  runStorageConformance, updateKey,
+} = require('../urchinloop.js');
+
+// Minimal synchronous Storage (the localStorage interface) backed by a Map
+function fakeLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); },
+    removeItem: (k) => { items.delete(k); },
+  };
+}
+
+// A Redis server reduced to the commands createRedisStorage sends. EVAL
+// runs the adapter's two scripts (multi-key set, compare-and-swap) in JS.
+function fakeRedis() {
+  const data = new Map();
+  const commands = [];
+  const command = async (name, ...args) => {
+    await new Promise(resolve => setImmediate(resolve));
+    commands.push(name);
+    switch (name) {
+      case 'MGET': return args.map(k => (data.has(k) ? data.get(k) : null));
+      case 'MSET': for (let i = 0; i < args.length; i += 2) data.set(args[i], String(args[i + 1])); return 'OK';
+      case 'DEL': return args.filter(k => data.delete(k)).length;
+      case 'EVAL': {
+        const [script, numKeys, ...rest] = args;
+        const keys = rest.slice(0, Number(numKeys));
+        const argv = rest.slice(Number(numKeys)).map(String);
+        if (script.includes('ipairs(KEYS)')) {
+          keys.forEach((k, i) => (argv[i] === '' ? data.delete(k) : data.set(k, argv[i])));
+          return keys.length;
+        }
+        const current = data.has(keys[0]) ? data.get(keys[0]) : '';
+        if (current !== argv[0]) return 0;
+        data.set(keys[0], argv[1]);
+        return 1;
+      }
+      default: throw new Error(`ERR unknown command '${name}'`);
+    }
+  };
+  return { command, commands };
+}
+
+// chrome.storage.local with the callback API; values are cloned like the real one
+function fakeChromeStorageArea() {
+  const items = {};
+  const later = (fn) => setImmediate(fn);
+  return {
+    get(keys, callback) {
+      later(() => callback(Object.fromEntries([].concat(keys).filter(k => k in items).map(k => [k, structuredClone(items[k])]))));
+    },
+    set(values, callback) {
+      later(() => { Object.assign(items, structuredClone(values)); callback(); });
+    },
+    remove(keys, callback) {
+      later(() => { for (const k of [].concat(keys)) delete items[k]; callback(); });
+    },
+  };
+}
+
+const conforms = async (makeStorage, options) => {
+  const report = await runStorageConformance(makeStorage, options);
+  assert.ok(report.ok, JSON.stringify(report.failed, null, 2));
+  assert.ok(report.passed.length > 0);
+};
+
+test('createMemoryStorage passes the conformance suite', () => conforms(() => createMemoryStorage()));
+
+test('createFileStorage passes the conformance suite', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urchin-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await conforms(() => createFileStorage(path.join(dir, 'store.json')), { persistent: true });
+});
+
+test('createWebStorage passes the conformance suite', async () => {
+  const area = fakeLocalStorage();
+  await conforms(() => createWebStorage(area), { persistent: true });
+});
+
+test('createSQLiteStorage passes the conformance suite', async (t) => {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (_) {
+    return t.skip('node:sqlite is not available in this Node version');
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urchin-sqlite-'));
+  const dbs = [];
+  t.after(() => {
+    for (const db of dbs) db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const open = () => {
+    const db = new DatabaseSync(path.join(dir, 'store.db'));
+    dbs.push(db);
+    return createSQLiteStorage(db);
+  };
+  await conforms(open, { persistent: true });
+});
+
+test('createRedisStorage passes the conformance suite', async () => {
+  const { command } = fakeRedis();
+  await conforms(() => createRedisStorage(command), { persistent: true });
+});
+
+test('createRedisStorage writes and deletes in one command', async () => {
+  const { command, commands } = fakeRedis();
+  const storage = createRedisStorage(command);
+  await storage.set({ a: 1, b: 2 });
+  commands.length = 0;
+  await storage.set({ a: undefined, b: 3, c: 4 });
+  assert.deepStrictEqual(commands, ['EVAL']);
+  assert.deepStrictEqual(await storage.get(['a', 'b', 'c']), { a: undefined, b: 3, c: 4 });
+});
+
+test('createChromeStorage passes the conformance suite', async () => {
+  const area = fakeChromeStorageArea();
+  await conforms(() => createChromeStorage(area), { persistent: true });
+});
+
+test('createFileStorage instances on one file do not overwrite each other', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urchin-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+  const a = createFileStorage(file);
+  const b = createFileStorage(path.join(dir, '.', 'store.json'));
+  await Promise.all([
+    ...Array.from({ length: 10 }, (_, i) => (i % 2 ? a : b).set({ [`k${i}`]: i })),
+    ...Array.from({ length: 10 }, (_, i) => updateKey(i % 2 ? b : a, 'count', (n = 0) => n + 1)),
+  ]);
+  const fresh = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(fresh.count, 10);
+  assert.deepStrictEqual(Array.from({ length: 10 }, (_, i) => fresh[`k${i}`]), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.deepStrictEqual(await b.get('k1'), { k1: 1 });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTagStreamParser, urchinLoopStream } = require('../urchinloop.js');
+
+function parse(chunks) {
+  const out = { text: '', think: '', thoughts: [], tools: [] };
+  const parser = createTagStreamParser({
+    onText: (s) => { out.text += s; },
+    onThinkDelta: (s) => { out.think += s; },
+    onThinkEnd: (t) => out.thoughts.push(t),
+    onTool: (name, param) => out.tools.push([name, param]),
+  });
+  for (const c of chunks) parser.push(c);
+  parser.end();
+  return out;
+}
+
+// Every way of cutting `text` into two deltas, plus one character at a time
+const splits = (text) => [
+  ...Array.from({ length: text.length - 1 }, (_, i) => [text.slice(0, i + 1), text.slice(i + 1)]),
+  [...text],
+];
+
+test('tags split across deltas are parsed the same as whole', () => {
+  const response = 'Sure <<THINK>>check the clock<</THINK>>a << b <<TOOL:CLOCK:now>> done <<TOOL:PING>>';
+  const whole = parse([response]);
+  assert.deepStrictEqual(whole, {
+    text: 'Sure a << b  done ', think: 'check the clock', thoughts: ['check the clock'], tools: [['CLOCK', 'now'], ['PING', '']],
+  });
+  for (const chunks of splits(response)) assert.deepStrictEqual(parse(chunks), whole, JSON.stringify(chunks));
+});
+
+test('partial tags never reach onText while the stream is open', () => {
+  const seen = [];
+  const parser = createTagStreamParser({ onText: (s) => seen.push(s) });
+  for (const c of ['Hi <', '<TO', 'OL:SEARCH:{"q":', '"cats"}']) parser.push(c);
+  assert.deepStrictEqual(seen, ['Hi ']);
+  parser.push('>> bye');
+  parser.end();
+  assert.strictEqual(seen.join(''), 'Hi  bye');
+});
+
+test('a truncated stream drops the unterminated tag instead of leaking it', () => {
+  for (const tail of ['<<TOOL:SEARCH:{"q":"ca', '<<TOOL:SEARCH', '<<TOO', '<<THI']) {
+    for (const chunks of splits(`The answer is 42. ${tail}`)) {
+      assert.strictEqual(parse(chunks).text, 'The answer is 42. ', JSON.stringify(chunks));
+    }
+  }
+  assert.strictEqual(parse(['x <', '<']).text, 'x <<');
+  assert.strictEqual(parse(['a <']).text, 'a <');
+  assert.deepStrictEqual(parse(['<<THINK>>half a tho', 'ught']).thoughts, ['half a thought']);
+});
+
+test('urchinLoopStream answers without the tag a truncated response left open', async () => {
+  const callLLM = async function* (system, messages, settings, callOptions = {}) {
+    if (callOptions.purpose !== 'step') return;
+    yield 'It is ';
+    yield 'noon. <<TOOL:CL';
+  };
+  const events = [];
+  for await (const event of urchinLoopStream('time?', { callLLM, runPostJobs: false, settings: { embeddingProvider: 'none' } })) events.push(event);
+  const deltas = events.filter(e => e.type === 'answer_delta').map(e => e.text).join('');
+  assert.strictEqual(deltas, 'It is noon. ');
+  assert.strictEqual(events.at(-1).type, 'done');
+  assert.ok(!events.at(-1).answer.includes('<<'), events.at(-1).answer);
+});
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+/**
+ * UrchinLoop CLI — interactive REPL and one-shot prompts
+ *
+ *   node urchinloop-cli.js                     interactive session
+ *   node urchinloop-cli.js "question"          answer once and exit
+ *   echo "question" | node urchinloop-cli.js   same, prompt read from stdin
+ *
+ * History and memory persist in a JSON file store (~/.urchinloop/store.json
+ * by default). Type /help in the REPL for the slash commands.
+ *
+ * @see README.md for architecture and usage
+ * @license MIT
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const {
+  urchinLoop, createFileStorage, updateKey, getProfile, listSkills, LLM_PROVIDERS,
+} = require('./urchinloop.js');
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * OPTIONS (argv, environment, persisted model settings)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const USAGE = `Usage: urchinloop-cli [options] [prompt]
+
+Options:
+  -p, --prompt <text>   answer one prompt and exit (also: a positional prompt or piped stdin)
+  --store <file>        JSON store for history and memory (default ~/.urchinloop/store.json, or URCHIN_STORE)
+  --provider <name>     ${Object.keys(LLM_PROVIDERS).join(' | ')}
+  --model <name>        model id for the provider
+  --base-url <url>      chat endpoint (OpenAI-compatible servers, proxies)
+  --max-steps <n>       reasoning steps per turn (default 12)
+  --quiet               hide THINK blocks and tool calls
+  --json                one-shot: print { answer, requestId, usage } as JSON
+  -h, --help            show this help
+
+The API key comes from URCHIN_API_KEY, or OPENAI_API_KEY / ANTHROPIC_API_KEY
+for the matching provider. It is never written to the store.`;
+
+const HELP = `Commands:
+  /memory [filter]     saved memories (session summaries included with "all")
+  /profile             profile fields
+  /skills              learned skills with scores
+  /projects            project plans and milestones
+  /log [full]          the last run's steps and usage
+  /provider <name>     switch provider (${Object.keys(LLM_PROVIDERS).join(', ')})
+  /model <name>        switch model
+  /baseurl <url>       switch endpoint ("default" resets it)
+  /settings            current model settings
+  /think on|off        show or hide THINK blocks and tool calls
+  /clear               start a new conversation (memory is kept)
+  /exit                quit (Ctrl-C stops a running turn)`;
+
+// Model settings the CLI remembers between sessions (never the key)
+const CLI_SETTINGS_KEY = 'urchinCliSettings';
+const VALUE_FLAGS = { '-p': 'prompt', '--prompt': 'prompt', '--store': 'store', '--provider': 'provider', '--model': 'model', '--base-url': 'baseUrl', '--max-steps': 'maxSteps' };
+
+function parseArgs(argv) {
+  const opts = { quiet: false, json: false, help: false, rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    if (VALUE_FLAGS[flag]) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value.`);
+      opts[VALUE_FLAGS[flag]] = value;
+    } else if (flag === '--quiet' || flag === '-q') {
+      opts.quiet = true;
+    } else if (flag === '--json') {
+      opts.json = true;
+    } else if (flag === '-h' || flag === '--help') {
+      opts.help = true;
+    } else if (flag.startsWith('-') && flag !== '-') {
+      throw new Error(`Unknown option ${flag}. See --help.`);
+    } else {
+      opts.rest.push(arg);
+    }
+  }
+  if (opts.maxSteps !== undefined && !(Number(opts.maxSteps) > 0)) throw new Error('--max-steps must be a positive number.');
+  return opts;
+}
+
+/**
+ * settings for urchinLoop from the stored CLI settings, flags and env
+ */
+function modelSettings({ provider = 'openai', model = null, baseUrl = null }, env) {
+  const key = env.URCHIN_API_KEY || (provider === 'anthropic' ? env.ANTHROPIC_API_KEY : provider === 'openai' ? env.OPENAI_API_KEY : null);
+  return {
+    provider,
+    ...(model ? { llmModel: model } : {}),
+    ...(baseUrl ? { llmBaseUrl: baseUrl } : {}),
+    ...(key ? { llmApiKey: key } : {}),
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * DISPLAY (live THINK blocks, steps and tool calls)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function clip(text, max = 160) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+function createDisplay(out, { color = false } = {}) {
+  const dim = (s) => (color ? `\x1b[2m${s}\x1b[0m` : s);
+  const line = (s = '') => out.write(`${s}\n`);
+  return {
+    line,
+    dim: (s) => line(dim(s)),
+    // onStep / onThink / onEvent for one turn; `live` false keeps it silent.
+    // Tool calls are parsed before onThink fires, so they wait for it.
+    hooks(live) {
+      if (!live) return {};
+      let calls = [];
+      const flush = () => {
+        for (const call of calls) line(dim(`  ▸ ${call.name} ${clip(call.param, 120)}`));
+        calls = [];
+      };
+      return {
+        onStep: (step, maxSteps) => {
+          if (step > 1) line(dim(`· step ${step}/${maxSteps}`));
+        },
+        onThink: (text) => {
+          line(dim(text.split('\n').map(l => `  │ ${l}`).join('\n')));
+          flush();
+        },
+        onEvent: (event) => {
+          if (event.type === 'tool_call') calls.push(event);
+          if (event.type === 'tool_result') {
+            flush();
+            line(dim(`    ${event.error || event.result?.error ? `✗ ${clip(event.error || event.result.error, 120)}` : `✓ ${clip(JSON.stringify(event.result), 120)}`}`));
+          }
+          if (event.type === 'subtask_status' && event.status !== 'running') line(dim(`  ◆ subtask ${event.subtask + 1} ${event.status}: ${clip(event.task, 100)}`));
+        },
+      };
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * SLASH COMMANDS
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function formatRunLog(result, full) {
+  if (full) return JSON.stringify(result.log, null, 2);
+  const lines = [`requestId ${result.requestId}`];
+  for (const step of result.log?.steps || []) {
+    const { type = 'llm', ...rest } = step;
+    lines.push(`  ${type.padEnd(14)} ${clip(JSON.stringify(rest), 140)}`);
+  }
+  if (result.usage) lines.push(`usage: ${result.usage.totalTokens ?? 0} tokens in ${result.usage.calls ?? 0} calls`);
+  return lines.join('\n');
+}
+
+/**
+ * Run one slash command; resolves to false when the session should end
+ */
+async function runCommand(input, session) {
+  const [name, ...args] = input.slice(1).trim().split(/\s+/);
+  const arg = args.join(' ');
+  const { storage, display, cli } = session;
+  switch (name) {
+    case 'help':
+      display.line(HELP);
+      break;
+    case 'memory': {
+      const { urchinMemory = {} } = await storage.get('urchinMemory');
+      const all = args[0] === 'all';
+      const filter = (all ? args.slice(1) : args).join(' ').toLowerCase();
+      const rows = Object.entries(urchinMemory)
+        .filter(([k]) => !k.startsWith('_') && (all || !k.startsWith('session_')))
+        .map(([k, v]) => [k, typeof v === 'string' ? v : v.value])
+        .filter(([k, v]) => !filter || `${k} ${v}`.toLowerCase().includes(filter));
+      display.line(rows.length ? rows.map(([k, v]) => `${k}: ${clip(v, 200)}`).join('\n') : '(no memories)');
+      break;
+    }
+    case 'profile': {
+      const profile = await getProfile({ storage });
+      const rows = Object.entries(profile);
+      display.line(rows.length ? rows.map(([k, v]) => `${k}: ${v}`).join('\n') : '(empty profile)');
+      break;
+    }
+    case 'skills': {
+      const skills = await listSkills({ storage });
+      display.line(skills.length
+        ? skills.map(s => `${s.name} [${s.score ?? 50}${s.disabled ? ', disabled' : ''}${s.always ? ', always' : ''}] ${clip(s.instruction, 160)}`).join('\n')
+        : '(no skills)');
+      break;
+    }
+    case 'projects': {
+      const { urchinProjects = {} } = await storage.get('urchinProjects');
+      const rows = Object.entries(urchinProjects).map(([pname, p]) => [
+        `${pname}${p.dueDate ? ` (due ${p.dueDate})` : ''}`,
+        ...(p.goals?.length ? [`  goals: ${p.goals.join('; ')}`] : []),
+        ...p.milestones.map(m => `  - ${m.name} [${m.status}${m.dueDate ? `, due ${m.dueDate}` : ''}${m.dependsOn?.length ? `, after ${m.dependsOn.join(', ')}` : ''}]`),
+      ].join('\n'));
+      display.line(rows.length ? rows.join('\n') : '(no projects)');
+      break;
+    }
+    case 'log': {
+      if (session.lastResult) {
+        display.line(formatRunLog(session.lastResult, args[0] === 'full'));
+        break;
+      }
+      // Nothing ran this session: show the newest stored run summary
+      const { urchinRuns = {} } = await storage.get('urchinRuns');
+      const last = Object.entries(urchinRuns).sort((a, b) => a[1].at - b[1].at).pop();
+      display.line(last ? `requestId ${last[0]} (${new Date(last[1].at).toISOString()}, summary only)\n${JSON.stringify(last[1], null, 2)}` : '(no runs yet)');
+      break;
+    }
+    case 'provider':
+      if (!LLM_PROVIDERS[arg]) {
+        display.line(`Unknown provider "${arg}". Use ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+        break;
+      }
+      await session.saveSettings({ provider: arg, model: null });
+      display.line(`provider: ${arg} (model reset to its default)`);
+      break;
+    case 'model':
+      if (!arg) {
+        display.line('Usage: /model <name>');
+        break;
+      }
+      await session.saveSettings({ model: arg });
+      display.line(`model: ${arg}`);
+      break;
+    case 'baseurl':
+      await session.saveSettings({ baseUrl: !arg || arg === 'default' ? null : arg });
+      display.line(`base URL: ${cli.baseUrl || 'provider default'}`);
+      break;
+    case 'settings': {
+      const settings = session.settings();
+      display.line([
+        `provider: ${settings.provider}`,
+        `model: ${settings.llmModel || 'provider default'}`,
+        `base URL: ${settings.llmBaseUrl || 'provider default'}`,
+        `API key: ${settings.llmApiKey ? 'set' : 'not set'}`,
+        `store: ${session.storePath}`,
+      ].join('\n'));
+      break;
+    }
+    case 'think':
+      if (arg !== 'on' && arg !== 'off') {
+        display.line('Usage: /think on|off');
+        break;
+      }
+      session.live = arg === 'on';
+      display.line(`THINK blocks and tool calls ${session.live ? 'shown' : 'hidden'}`);
+      break;
+    case 'clear':
+      await storage.set({ urchinChatHistory: undefined, urchinCondensed: undefined });
+      display.line('Conversation cleared. Memory, profile and skills are kept.');
+      break;
+    case 'exit':
+    case 'quit':
+      return false;
+    default:
+      display.line(`Unknown command /${name}. Type /help.`);
+  }
+  return true;
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * SESSION (one turn, REPL, one-shot)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+async function runTurn(text, session, { display, signal = null } = {}) {
+  const { urchinChatHistory = [] } = await session.storage.get('urchinChatHistory');
+  const result = await urchinLoop(text, {
+    ...session.loopOptions,
+    storage: session.storage,
+    settings: session.settings(),
+    history: urchinChatHistory.slice(-30),
+    signal,
+    ...display.hooks(session.live),
+  });
+  session.lastResult = result;
+  return result;
+}
+
+async function repl(session, input, output) {
+  const rl = readline.createInterface({ input, output, prompt: '› ', terminal: !!output.isTTY });
+  const { display } = session;
+  let running = null;
+  rl.on('SIGINT', () => {
+    if (running) {
+      running.abort('Interrupted');
+      return;
+    }
+    rl.close();
+  });
+  display.dim(`UrchinLoop — ${session.settings().provider}${session.cli.model ? `/${session.cli.model}` : ''}, store ${session.storePath}. /help for commands.`);
+  rl.prompt();
+  for await (const raw of rl) {
+    const text = raw.trim();
+    if (text.startsWith('/')) {
+      try {
+        if (!(await runCommand(text, session))) break;
+      } catch (e) {
+        display.line(`Error: ${e.message}`);
+      }
+    } else if (text) {
+      running = new AbortController();
+      try {
+        const result = await runTurn(text, session, { display, signal: running.signal });
+        if (result.failed) {
+          // A failed run still returns what it had produced
+          if (result.answer) display.line(result.answer);
+          display.line(`Error: ${describeError(result.error)}`);
+        } else {
+          display.line(result.cancelled ? '(stopped)' : result.answer);
+        }
+      } catch (e) {
+        display.line(`Error: ${describeError(e.message)}`);
+      } finally {
+        running = null;
+      }
+    }
+    rl.prompt();
+  }
+  rl.close();
+}
+
+// The library's key error talks about settings; CLI users set env vars
+function describeError(message) {
+  return /API key/i.test(message) ? `${message} From the CLI, export URCHIN_API_KEY (or OPENAI_API_KEY / ANTHROPIC_API_KEY).` : message;
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => { text += chunk; });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Entry point. `io` replaces the process streams, environment and LLM
+ * caller (tests pass a stub callLLM); `io.interactive` forces the REPL
+ * on a non-TTY input. Resolves to the exit code.
+ */
+async function main(argv = process.argv.slice(2), io = {}) {
+  const { input = process.stdin, output = process.stdout, errors = process.stderr, env = process.env, callLLM = null } = io;
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    errors.write(`${e.message}\n`);
+    return 2;
+  }
+  if (opts.help) {
+    output.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const storePath = path.resolve(opts.store || env.URCHIN_STORE || path.join(os.homedir(), '.urchinloop', 'store.json'));
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  const storage = createFileStorage(storePath);
+  const { [CLI_SETTINGS_KEY]: saved = {} } = await storage.get(CLI_SETTINGS_KEY);
+  const cli = {
+    provider: 'openai',
+    model: null,
+    baseUrl: null,
+    ...saved,
+    ...(opts.provider ? { provider: opts.provider } : {}),
+    ...(opts.model ? { model: opts.model } : {}),
+    ...(opts.baseUrl ? { baseUrl: opts.baseUrl } : {}),
+  };
+  if (!LLM_PROVIDERS[cli.provider]) {
+    errors.write(`Unknown provider "${cli.provider}". Use ${Object.keys(LLM_PROVIDERS).join(', ')}.\n`);
+    return 2;
+  }
+
+  let prompt = opts.prompt ?? (opts.rest.length ? opts.rest.join(' ') : null);
+  if (prompt === '-' || (prompt === null && !input.isTTY && !io.interactive)) prompt = (await readAll(input)).trim();
+
+  const session = {
+    storage,
+    storePath,
+    cli,
+    live: !opts.quiet,
+    lastResult: null,
+    loopOptions: { maxSteps: Number(opts.maxSteps) || 12, ...(callLLM ? { callLLM } : {}) },
+    settings: () => modelSettings(cli, env),
+    async saveSettings(changes) {
+      Object.assign(cli, changes);
+      await updateKey(storage, CLI_SETTINGS_KEY, (current = {}) => ({ ...current, ...changes }));
+    },
+  };
+
+  if (prompt === null) {
+    session.display = createDisplay(output, { color: !!output.isTTY });
+    await repl(session, input, output);
+    return 0;
+  }
+  if (!prompt) {
+    errors.write('Empty prompt.\n');
+    return 2;
+  }
+  // One-shot: the answer alone on stdout, thinking and tool calls on stderr
+  session.display = createDisplay(errors, { color: !!errors.isTTY });
+  try {
+    const result = await runTurn(prompt, session, { display: session.display });
+    if (opts.json) {
+      output.write(`${JSON.stringify({ answer: result.answer, requestId: result.requestId, usage: result.usage, ...(result.failed ? { failed: true, error: result.error } : {}) })}\n`);
+    } else if (result.answer) {
+      output.write(`${result.answer}\n`);
+    }
+    if (!result.failed) return 0;
+    errors.write(`Error: ${describeError(result.error)}\n`);
+    return 1;
+  } catch (e) {
+    errors.write(`Error: ${describeError(e.message)}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // Leave exiting to the event loop so background memory jobs finish writing
+  main().then((code) => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs, runCommand };
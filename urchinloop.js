@@ -16,12 +16,15 @@
 const TOOL_REGEX = /<<TOOL:(\w+)(?::([\s\S]+?))?>>/g;
 const TOOL_REGEX_SINGLE = /<<TOOL:(\w+)(?::([\s\S]+?))?>>/;
 const THINK_REGEX = /<<THINK>>([\s\S]+?)<<\/THINK>>/;
-const MAX_CONTEXT_CHARS = 80000;
+// A tag cut off by a truncated response, from its '<<' to the end
+const PARTIAL_TAG_REGEX = /<<(?:THINK>>(?![\s\S]*<<\/THINK>>)[\s\S]*|TOOL:(?![\s\S]*>>)[\s\S]*|T(?:O(?:OL?)?|H(?:I(?:N(?:K>?)?)?)?)?)$/;
+const MAX_CONTEXT_TOKENS = 20000;
 const MAX_HISTORY = 30;
 const MAX_CHAT_HISTORY = 200;
 const MAX_CONDENSED_CHARS = 4000;
 const MAX_SESSION_SUMMARIES = 20;
 const MAX_SESSION_CHARS = 1500;
+const MAX_MANUAL_MEMORIES = 100;
 
 /* ─────────────────────────────────────────────────────────────────────────
  * IN-MEMORY STORAGE (default — replace with your backend)
@@ -29,6 +32,7 @@ const MAX_SESSION_CHARS = 1500;
 
 function createMemoryStorage() {
   const store = {};
+  const lock = createKeyLock();
   return {
     async get(keys) {
       if (Array.isArray(keys)) {
@@ -39,374 +43,4334 @@ function createMemoryStorage() {
     async set(data) {
       Object.assign(store, data);
     },
+    update(key, fn) {
+      return lock(key, async () => {
+        let next = fn(store[key]);
+        if (next && typeof next.then === 'function') next = await next;
+        if (next !== undefined) store[key] = next;
+        return store[key];
+      });
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * STORAGE ADAPTERS (filesystem, SQLite, Web/chrome.storage, Redis)
+ *
+ * Every adapter implements the same contract as createMemoryStorage:
+ *   get(key | keys[]) → { [key]: value }  (missing keys map to undefined)
+ *   set({ key: value }) merges; a value of undefined deletes the key
+ *   update(key, fn) (optional) atomically replaces the value with
+ *     fn(current); fn returning undefined leaves it unchanged. fn should be
+ *     synchronous and free of side effects: CAS backends may call it again.
+ * Values must be JSON-serializable. runStorageConformance() checks it.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function storageKeys(keys) {
+  return Array.isArray(keys) ? keys : [keys];
+}
+
+/**
+ * Per-key mutex: lock(key, task) runs task once earlier tasks for the same
+ * key have settled
+ */
+function createKeyLock() {
+  const tails = new Map();
+  return (key, task) => {
+    const run = (tails.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+const fallbackLocks = new WeakMap();
+
+/**
+ * Atomic read-modify-write of one key; resolves to the stored value. Uses
+ * storage.update when the backend has it, otherwise get + set under an
+ * in-process lock (safe against concurrent runs in this process, not
+ * against other processes sharing the backend).
+ */
+async function updateKey(storage, key, fn) {
+  if (typeof storage.update === 'function') return storage.update(key, fn);
+  let lock = fallbackLocks.get(storage);
+  if (!lock) fallbackLocks.set(storage, (lock = createKeyLock()));
+  return lock(key, async () => {
+    const { [key]: current } = await storage.get(key);
+    let next = fn(current);
+    if (next && typeof next.then === 'function') next = await next;
+    if (next === undefined) return current;
+    await storage.set({ [key]: next });
+    return next;
+  });
+}
+
+// Cache and write queue per fs module and resolved path, shared by every
+// createFileStorage instance on that file
+const fileStoreStates = new WeakMap();
+
+function fileStoreState(fsModule, resolvedPath) {
+  if (!fileStoreStates.has(fsModule)) fileStoreStates.set(fsModule, new Map());
+  const byPath = fileStoreStates.get(fsModule);
+  if (!byPath.has(resolvedPath)) byPath.set(resolvedPath, { cache: null, queue: Promise.resolve() });
+  return byPath.get(resolvedPath);
+}
+
+/**
+ * JSON file store. The whole store is one file, cached in memory and
+ * rewritten atomically (temp file + rename) on every set. Writes are
+ * serialized, so concurrent set() calls in this process never lose keys;
+ * instances opened on the same path share one cache and queue. Node only
+ * (uses fs); pass { fs } to supply your own fs module.
+ */
+function createFileStorage(filePath, { fs = null } = {}) {
+  const fsModule = fs || require('fs');
+  const fsp = fsModule.promises;
+  const state = fileStoreState(fsModule, require('path').resolve(filePath));
+
+  const load = async () => {
+    if (state.cache) return state.cache;
+    try {
+      state.cache = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`Storage file ${filePath} is unreadable: ${e.message}`);
+      state.cache = {};
+    }
+    return state.cache;
+  };
+
+  const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+  const persist = async (next) => {
+    const tmp = `${filePath}.${process.pid}.${Date.now().toString(36)}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(next));
+    try {
+      await fsp.rename(tmp, filePath);
+    } catch (e) {
+      await fsp.unlink(tmp).catch(() => {});
+      throw e;
+    }
+    state.cache = next;
+  };
+  // Every write goes through one queue; a failed write must not wedge it
+  const enqueue = (task) => {
+    const op = state.queue.then(task);
+    state.queue = op.catch(() => {});
+    return op;
+  };
+
+  return {
+    async get(keys) {
+      await state.queue;
+      const data = await load();
+      return Object.fromEntries(storageKeys(keys).map(k => [k, clone(data[k])]));
+    },
+    set(values) {
+      return enqueue(async () => {
+        const next = { ...(await load()) };
+        for (const [k, v] of Object.entries(values)) {
+          if (v === undefined) delete next[k];
+          else next[k] = clone(v);
+        }
+        await persist(next);
+      });
+    },
+    update(key, fn) {
+      return enqueue(async () => {
+        const data = await load();
+        let next = fn(clone(data[key]));
+        if (next && typeof next.then === 'function') next = await next;
+        if (next === undefined) return clone(data[key]);
+        await persist({ ...data, [key]: clone(next) });
+        return clone(next);
+      });
+    },
+  };
+}
+
+/**
+ * SQLite store: one row per key in `table`. Takes a synchronous database
+ * handle with the prepare()/exec() API shared by better-sqlite3, node:sqlite
+ * (DatabaseSync) and bun:sqlite.
+ */
+function createSQLiteStorage(db, { table = 'urchin_kv' } = {}) {
+  if (!/^\w+$/.test(table)) throw new Error(`Invalid SQLite table name: ${table}`);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+  const select = db.prepare(`SELECT value FROM ${table} WHERE key = ?`);
+  const upsert = db.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`);
+  const remove = db.prepare(`DELETE FROM ${table} WHERE key = ?`);
+
+  return {
+    async get(keys) {
+      return Object.fromEntries(storageKeys(keys).map(k => {
+        const row = select.get(k);
+        return [k, row ? JSON.parse(row.value) : undefined];
+      }));
+    },
+    async set(values) {
+      db.exec('BEGIN');
+      try {
+        for (const [k, v] of Object.entries(values)) {
+          if (v === undefined) remove.run(k);
+          else upsert.run(k, JSON.stringify(v));
+        }
+        db.exec('COMMIT');
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      }
+    },
+    // BEGIN IMMEDIATE takes the write lock up front, so this is atomic
+    // across processes too; fn must be synchronous
+    async update(key, fn) {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const row = select.get(key);
+        const current = row ? JSON.parse(row.value) : undefined;
+        const next = fn(current);
+        if (next && typeof next.then === 'function') throw new Error('SQLite update() needs a synchronous fn.');
+        if (next !== undefined) upsert.run(key, JSON.stringify(next));
+        db.exec('COMMIT');
+        return next === undefined ? current : next;
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      }
+    },
+  };
+}
+
+/**
+ * Web Storage (localStorage, sessionStorage, or anything with getItem /
+ * setItem / removeItem). Keys are namespaced with `prefix`.
+ */
+function createWebStorage(area = globalThis.localStorage, { prefix = 'urchin:' } = {}) {
+  if (!area || typeof area.getItem !== 'function') throw new Error('createWebStorage needs a Storage object (e.g. localStorage).');
+  return {
+    async get(keys) {
+      return Object.fromEntries(storageKeys(keys).map(k => {
+        const raw = area.getItem(prefix + k);
+        return [k, raw == null ? undefined : JSON.parse(raw)];
+      }));
+    },
+    async set(values) {
+      for (const [k, v] of Object.entries(values)) {
+        if (v === undefined) area.removeItem(prefix + k);
+        else area.setItem(prefix + k, JSON.stringify(v));
+      }
+    },
+    // Web Storage is synchronous, so a synchronous fn makes this atomic
+    async update(key, fn) {
+      const raw = area.getItem(prefix + key);
+      const current = raw == null ? undefined : JSON.parse(raw);
+      let next = fn(current);
+      if (next && typeof next.then === 'function') next = await next;
+      if (next === undefined) return current;
+      area.setItem(prefix + key, JSON.stringify(next));
+      return next;
+    },
+  };
+}
+
+/**
+ * chrome.storage area (local, sync or session) for browser extensions.
+ * Uses the callback API, which both MV2 and MV3 support. chrome.storage has
+ * no compare-and-swap, so updateKey() falls back to a lock that is only
+ * atomic within one extension context (e.g. the service worker).
+ */
+function createChromeStorage(area = globalThis.chrome?.storage?.local) {
+  if (!area || typeof area.get !== 'function') throw new Error('createChromeStorage needs a chrome.storage area.');
+  const call = (method, arg) => new Promise((resolve, reject) => {
+    area[method](arg, (result) => {
+      const err = globalThis.chrome?.runtime?.lastError;
+      if (err) reject(new Error(err.message));
+      else resolve(result);
+    });
+  });
+  return {
+    async get(keys) {
+      const list = storageKeys(keys);
+      const found = list.length > 0 ? await call('get', list) : {};
+      return Object.fromEntries(list.map(k => [k, found?.[k]]));
+    },
+    async set(values) {
+      const entries = Object.entries(values);
+      const removed = entries.filter(([, v]) => v === undefined).map(([k]) => k);
+      const kept = Object.fromEntries(entries.filter(([, v]) => v !== undefined));
+      if (removed.length > 0) await call('remove', removed);
+      if (Object.keys(kept).length > 0) await call('set', kept);
+    },
+  };
+}
+
+/**
+ * Redis (or any Redis-protocol server: Valkey, KeyDB, Dragonfly, Upstash).
+ * `client` is a node-redis v4+ client (sendCommand), an ioredis client
+ * (call), or a function (command, ...args) => Promise. Values are stored as
+ * JSON strings under `prefix` + key; set() is atomic: one MSET, or one
+ * script when it also deletes keys.
+ */
+function createRedisStorage(client, { prefix = 'urchin:' } = {}) {
+  const command = typeof client === 'function' ? client
+    : typeof client?.sendCommand === 'function' ? (...args) => client.sendCommand(args.map(String))
+      : typeof client?.call === 'function' ? (...args) => client.call(...args)
+        : null;
+  if (!command) throw new Error('createRedisStorage needs a client with sendCommand() or call(), or a command function.');
+  return {
+    async get(keys) {
+      const list = storageKeys(keys);
+      const raw = list.length > 0 ? await command('MGET', ...list.map(k => prefix + k)) : [];
+      return Object.fromEntries(list.map((k, i) => [k, raw[i] == null ? undefined : JSON.parse(raw[i])]));
+    },
+    async set(values) {
+      const entries = Object.entries(values);
+      const removed = entries.filter(([, v]) => v === undefined).map(([k]) => prefix + k);
+      const kept = entries.filter(([, v]) => v !== undefined).flatMap(([k, v]) => [prefix + k, JSON.stringify(v)]);
+      if (removed.length === 0) {
+        if (kept.length > 0) await command('MSET', ...kept);
+        return;
+      }
+      const keys = entries.map(([k]) => prefix + k);
+      const args = entries.map(([, v]) => (v === undefined ? '' : JSON.stringify(v)));
+      await command('EVAL', REDIS_SET_SCRIPT, keys.length, ...keys, ...args);
+    },
+    // Optimistic compare-and-swap: retry fn until no one else wrote in between
+    async update(key, fn) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const [raw] = await command('MGET', prefix + key);
+        const current = raw == null ? undefined : JSON.parse(raw);
+        let next = fn(current);
+        if (next && typeof next.then === 'function') next = await next;
+        if (next === undefined) return current;
+        const swapped = await command('EVAL', REDIS_CAS_SCRIPT, 1, prefix + key, raw == null ? '' : raw, JSON.stringify(next));
+        if (Number(swapped) === 1) return next;
+      }
+      throw new Error(`Redis update of ${key} kept conflicting; giving up after 50 attempts.`);
+    },
+  };
+}
+
+// SET each KEYS[i] to ARGV[i], or DEL it when ARGV[i] is '' (JSON is never
+// empty), in one atomic step
+const REDIS_SET_SCRIPT = `for i, key in ipairs(KEYS) do
+  if ARGV[i] == '' then redis.call('DEL', key) else redis.call('SET', key, ARGV[i]) end
+end
+return #KEYS`;
+
+// SET KEYS[1] to ARGV[2] only if it still holds ARGV[1] ('' = missing)
+const REDIS_CAS_SCRIPT = `local cur = redis.call('GET', KEYS[1])
+if (cur == false and ARGV[1] == '') or cur == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2])
+  return 1
+end
+return 0`;
+
+/**
+ * Storage conformance suite. `makeStorage` returns a storage instance (sync
+ * or async); pass { persistent: true } to also check that a second instance
+ * sees what the first wrote. Uses keys prefixed urchinConformance_ and
+ * removes them afterwards. Resolves to { ok, passed: [names], failed:
+ * [{ name, error }] } — wire it into any test runner:
+ *
+ *   const report = await runStorageConformance(() => createFileStorage(tmpFile), { persistent: true });
+ *   assert.ok(report.ok, JSON.stringify(report.failed));
+ */
+async function runStorageConformance(makeStorage, { persistent = false } = {}) {
+  const storage = await makeStorage();
+  const run = Math.random().toString(36).slice(2, 8);
+  const used = new Set();
+  const key = (name) => {
+    const k = `urchinConformance_${run}_${name}`;
+    used.add(k);
+    return k;
+  };
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const expect = (cond, message) => {
+    if (!cond) throw new Error(message);
+  };
+  const isRecord = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  const cases = {
+    'get(string) of a missing key returns { key: undefined }': async () => {
+      const k = key('missing');
+      const res = await storage.get(k);
+      expect(isRecord(res), `expected an object, got ${JSON.stringify(res)}`);
+      expect(res[k] === undefined, `expected undefined, got ${JSON.stringify(res[k])}`);
+    },
+    'get(string) returns an object keyed by the key, not the bare value': async () => {
+      const k = key('str');
+      await storage.set({ [k]: 'hello' });
+      const res = await storage.get(k);
+      expect(isRecord(res) && res[k] === 'hello', `expected { ${k}: 'hello' }, got ${JSON.stringify(res)}`);
+    },
+    'get([key]) returns an object, not an array': async () => {
+      const k = key('arr1');
+      await storage.set({ [k]: 1 });
+      const res = await storage.get([k]);
+      expect(isRecord(res) && res[k] === 1, `expected { ${k}: 1 }, got ${JSON.stringify(res)}`);
+    },
+    'get([a, b, missing]) returns every requested key': async () => {
+      const [a, b, c] = [key('multiA'), key('multiB'), key('multiC')];
+      await storage.set({ [a]: 'A', [b]: { n: 2 } });
+      const res = await storage.get([a, b, c]);
+      expect(isRecord(res), `expected an object, got ${JSON.stringify(res)}`);
+      expect(res[a] === 'A' && same(res[b], { n: 2 }) && res[c] === undefined, `got ${JSON.stringify(res)}`);
+    },
+    'get([]) returns an empty object': async () => {
+      const res = await storage.get([]);
+      expect(isRecord(res) && Object.keys(res).length === 0, `expected {}, got ${JSON.stringify(res)}`);
+    },
+    'set() merges instead of replacing the store': async () => {
+      const [a, b] = [key('mergeA'), key('mergeB')];
+      await storage.set({ [a]: 1 });
+      await storage.set({ [b]: 2 });
+      const res = await storage.get([a, b]);
+      expect(res[a] === 1 && res[b] === 2, `got ${JSON.stringify(res)}`);
+    },
+    'set() overwrites an existing key': async () => {
+      const k = key('overwrite');
+      await storage.set({ [k]: { v: 1, old: true } });
+      await storage.set({ [k]: { v: 2 } });
+      const res = await storage.get(k);
+      expect(same(res[k], { v: 2 }), `got ${JSON.stringify(res[k])}`);
+    },
+    'set({ key: undefined }) deletes the key': async () => {
+      const k = key('delete');
+      await storage.set({ [k]: 'x' });
+      await storage.set({ [k]: undefined });
+      const res = await storage.get(k);
+      expect(res[k] === undefined, `expected undefined, got ${JSON.stringify(res[k])}`);
+    },
+    'JSON values round-trip': async () => {
+      const k = key('json');
+      const value = { s: 'héllo ✓ 世界', n: -1.5, i: 42, t: true, f: false, z: null, a: [1, 'two', { three: 3 }], o: { deep: { er: [] } } };
+      await storage.set({ [k]: value });
+      const res = await storage.get(k);
+      expect(same(res[k], value), `got ${JSON.stringify(res[k])}`);
+    },
+    'falsy values are kept': async () => {
+      const [a, b, c, d] = [key('zero'), key('empty'), key('false'), key('null')];
+      await storage.set({ [a]: 0, [b]: '', [c]: false, [d]: null });
+      const res = await storage.get([a, b, c, d]);
+      expect(res[a] === 0 && res[b] === '' && res[c] === false && res[d] === null, `got ${JSON.stringify(res)}`);
+    },
+    'keys with spaces, colons, slashes and unicode work': async () => {
+      const k = key('odd key:/ ünï');
+      await storage.set({ [k]: 'ok' });
+      const res = await storage.get(k);
+      expect(res[k] === 'ok', `got ${JSON.stringify(res[k])}`);
+    },
+    'large values round-trip': async () => {
+      const k = key('large');
+      const value = 'x'.repeat(200000);
+      await storage.set({ [k]: value });
+      const res = await storage.get(k);
+      expect(res[k] === value, `got ${String(res[k]).length} chars`);
+    },
+    'concurrent set() calls on different keys all persist': async () => {
+      const ks = Array.from({ length: 8 }, (_, i) => key(`concurrent${i}`));
+      await Promise.all(ks.map((k, i) => storage.set({ [k]: i })));
+      const res = await storage.get(ks);
+      expect(ks.every((k, i) => res[k] === i), `got ${JSON.stringify(res)}`);
+    },
+    'update() stores fn(current) and resolves to it': async () => {
+      const k = key('update');
+      await storage.set({ [k]: { n: 1 } });
+      const next = await updateKey(storage, k, (cur) => ({ n: cur.n + 1 }));
+      const res = await storage.get(k);
+      expect(same(next, { n: 2 }) && same(res[k], { n: 2 }), `got ${JSON.stringify(next)} / ${JSON.stringify(res[k])}`);
+    },
+    'update() returning undefined leaves the value unchanged': async () => {
+      const k = key('updateNoop');
+      await storage.set({ [k]: 'keep' });
+      const next = await updateKey(storage, k, () => undefined);
+      const res = await storage.get(k);
+      expect(next === 'keep' && res[k] === 'keep', `got ${JSON.stringify(next)} / ${JSON.stringify(res[k])}`);
+    },
+    'concurrent update() calls on one key lose nothing': async () => {
+      const k = key('counter');
+      await Promise.all(Array.from({ length: 20 }, () => updateKey(storage, k, (n = 0) => n + 1)));
+      const res = await storage.get(k);
+      expect(res[k] === 20, `expected 20, got ${JSON.stringify(res[k])}`);
+    },
+  };
+  if (persistent) {
+    cases['a new instance sees earlier writes'] = async () => {
+      const k = key('persist');
+      await storage.set({ [k]: { saved: true } });
+      const again = await makeStorage();
+      const res = await again.get(k);
+      expect(same(res[k], { saved: true }), `got ${JSON.stringify(res[k])}`);
+    };
+  }
+
+  const passed = [];
+  const failed = [];
+  for (const [name, test] of Object.entries(cases)) {
+    try {
+      await test();
+      passed.push(name);
+    } catch (e) {
+      failed.push({ name, error: e.message });
+    }
+  }
+  try {
+    await storage.set(Object.fromEntries([...used].map(k => [k, undefined])));
+  } catch (_) {}
+  return { ok: failed.length === 0, passed, failed };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * SCOPING (per-user / per-conversation namespaces, shared tiers)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+// Every key the engine reads or writes
+const URCHIN_STORAGE_KEYS = [
+  'urchinMemory', 'urchinProfile', 'urchinSkills', 'urchinChatHistory',
+  'urchinProjects', 'urchinEmbeddingCache', 'urchinCondensed', 'urchinUsage',
+  'urchinRuns', 'urchinFeedback', 'urchinCheckpoints', 'urchinConversations',
+];
+// Keys that belong to one conversation rather than to the whole user
+const CONVERSATION_KEYS = ['urchinChatHistory', 'urchinCondensed'];
+// Layers that can be read from the shared tier
+const SHARED_TIERS = ['memory', 'skills'];
+
+/**
+ * Physical key for `key` under an identity:
+ *   t:<tenantId>:u:<userId>:urchinMemory
+ *   t:<tenantId>:u:<userId>:c:<conversationId>:urchinChatHistory
+ *   t:<tenantId>:shared:urchinMemory                ({ shared: true })
+ * tenantId and conversationId are optional; ids are URI-encoded.
+ */
+function scopedKey(key, { tenantId = null, userId = null, conversationId = null, shared = false } = {}) {
+  const parts = [];
+  if (tenantId != null) parts.push(`t:${encodeURIComponent(tenantId)}`);
+  if (shared) {
+    parts.push('shared');
+  } else {
+    parts.push(`u:${encodeURIComponent(userId)}`);
+    if (conversationId != null && CONVERSATION_KEYS.includes(key)) parts.push(`c:${encodeURIComponent(conversationId)}`);
+  }
+  return `${parts.join(':')}:${key}`;
+}
+
+/**
+ * A view of `storage` where every key is namespaced to `identity`
+ * ({ userId, conversationId?, tenantId? }, or { tenantId?, shared: true }
+ * for the shared tier). With sharedTiers (['memory', 'skills']), the view
+ * also exposes the tenant's shared tier as `.shared`, which memory loading
+ * and the memory tools read alongside the user's own data.
+ */
+function createScopedStorage(storage, identity, { sharedTiers = [] } = {}) {
+  if (!identity?.shared && identity?.userId == null) throw new Error('Scoped storage needs identity.userId (or shared: true).');
+  const unknown = sharedTiers.filter(t => !SHARED_TIERS.includes(t));
+  if (unknown.length > 0) throw new Error(`Unknown shared tier: ${unknown.join(', ')}. Use ${SHARED_TIERS.join(' or ')}.`);
+  const map = (k) => scopedKey(k, identity);
+  return {
+    identity,
+    sharedTiers,
+    base: storage,
+    shared: sharedTiers.length > 0 ? createScopedStorage(storage, { tenantId: identity.tenantId ?? null, shared: true }) : null,
+    async get(keys) {
+      const list = storageKeys(keys);
+      const raw = await storage.get(list.map(map));
+      return Object.fromEntries(list.map(k => [k, raw?.[map(k)]]));
+    },
+    async set(values) {
+      return storage.set(Object.fromEntries(Object.entries(values).map(([k, v]) => [map(k), v])));
+    },
+    update(key, fn) {
+      return updateKey(storage, map(key), fn);
+    },
+  };
+}
+
+/**
+ * The shared-tier storage for `tier` if `storage` is a scoped view with
+ * that tier enabled, else null
+ */
+function sharedTier(storage, tier) {
+  return storage?.shared && storage.sharedTiers?.includes(tier) ? storage.shared : null;
+}
+
+/**
+ * Move data written before scoping (global urchin* keys) into a scope —
+ * a user identity, or { tenantId?, shared: true } to turn it into shared
+ * knowledge. Keys that already hold data in the target are skipped unless
+ * `overwrite`; `remove` deletes the unscoped originals afterwards.
+ */
+async function migrateUnscopedStorage(storage, identity, { keys = URCHIN_STORAGE_KEYS, overwrite = false, remove = false } = {}) {
+  const target = createScopedStorage(storage, identity);
+  const legacy = await storage.get(keys);
+  const existing = await target.get(keys);
+  const migrated = [];
+  const skipped = [];
+  const updates = {};
+  for (const k of keys) {
+    if (legacy[k] === undefined) continue;
+    if (existing[k] !== undefined && !overwrite) {
+      skipped.push(k);
+      continue;
+    }
+    updates[k] = legacy[k];
+    migrated.push(k);
+  }
+  if (migrated.length > 0) await target.set(updates);
+  if (identity.conversationId != null && !identity.shared && migrated.some(k => CONVERSATION_KEYS.includes(k))) {
+    await indexConversations(target, [identity.conversationId]);
+  }
+  if (remove && migrated.length > 0) await storage.set(Object.fromEntries(migrated.map(k => [k, undefined])));
+  return { migrated, skipped };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * CONTEXT & MESSAGE UTILITIES
+ * ───────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Heuristic token count (~4 chars per token, 1 per CJK/wide character).
+ * Pass options.tokenizer to urchinLoop for an exact count.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const s = typeof text === 'string' ? text : JSON.stringify(text);
+  let wide = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (s.charCodeAt(i) >= 0x2e80) wide++;
+  }
+  return Math.ceil((s.length - wide) / 4) + wide;
+}
+
+/**
+ * Tokens for a message list, including per-message overhead and tool calls
+ */
+function countMessageTokens(messages, countTokens = estimateTokens) {
+  return messages.reduce((sum, m) =>
+    sum + 4 + countTokens(m.content || '') + (m.toolCalls?.length ? countTokens(JSON.stringify(m.toolCalls)) : 0), 0);
+}
+
+/**
+ * Compaction policy per context layer. Lower priority numbers are kept
+ * longer; `share` is the fraction of the context budget a layer may fill
+ * before it is cut. Pinned layers are never truncated. Messages without a
+ * known layer are left alone.
+ */
+const CONTEXT_LAYER_POLICY = {
+  input: { priority: 0, pinned: true },
+  profile: { priority: 0, pinned: true },
+  skills: { priority: 1, pinned: true },
+  tool: { priority: 2, share: 0.35 },
+  page: { priority: 3, share: 0.15 },
+  memories: { priority: 3, share: 0.15 },
+  projects: { priority: 3, share: 0.10 },
+  condensed: { priority: 4, share: 0.15 },
+  history: { priority: 5, share: 0.35 },
+  sessions: { priority: 6, share: 0.10 },
+};
+
+/**
+ * Cut text to at most maxTokens, marking the cut
+ */
+function truncateToTokens(text, maxTokens, countTokens = estimateTokens) {
+  const tokens = countTokens(text);
+  if (tokens <= maxTokens) return text;
+  let end = Math.floor(text.length * maxTokens / tokens);
+  while (end > 0 && countTokens(text.slice(0, end)) > maxTokens - 3) end = Math.floor(end * 0.9);
+  return text.slice(0, end) + '…[trimmed]';
+}
+
+function layerTokens(messages, layer, countTokens) {
+  let total = 0;
+  for (const m of messages) {
+    if (m.sections) {
+      for (const sec of m.sections) if (sec.layer === layer) total += countTokens(sec.text);
+    } else if (m.layer === layer) {
+      total += countMessageTokens([m], countTokens);
+    }
+  }
+  return total;
+}
+
+/**
+ * Shrink one layer to about `target` tokens (0 drops it). History loses its
+ * oldest turns; tool results are cut oldest first but never removed, since
+ * native tool turns must stay paired; text layers are truncated in order.
+ */
+function shrinkLayer(messages, layer, target, countTokens) {
+  if (layer === 'history') {
+    let excess = layerTokens(messages, layer, countTokens) - target;
+    while (excess > 0) {
+      const i = messages.findIndex(m => m.layer === 'history');
+      if (i === -1) break;
+      excess -= countMessageTokens([messages[i]], countTokens);
+      messages.splice(i, 1);
+    }
+    // The context must not open on an assistant turn
+    while (messages[0]?.role === 'assistant' && messages[0].layer === 'history') messages.shift();
+    return;
+  }
+  if (layer === 'tool') {
+    for (const m of messages) {
+      if (layerTokens(messages, layer, countTokens) <= target) break;
+      const cap = target > 0 ? 100 : 20;
+      if (m.layer !== 'tool' || m.role === 'assistant' || m.trimmed <= cap) continue;
+      m.content = truncateToTokens(m.content || '', cap, countTokens);
+      m.trimmed = cap;
+    }
+    return;
+  }
+  let left = target;
+  for (let i = 0; i < messages.length; i++) {
+    const m = messages[i];
+    if (m.sections) {
+      m.sections = m.sections.filter(sec => {
+        if (sec.layer !== layer) return true;
+        sec.text = left > 0 ? truncateToTokens(sec.text, left, countTokens) : '';
+        left -= countTokens(sec.text);
+        return !!sec.text;
+      });
+      m.content = m.sections.map(sec => sec.text).join('\n\n');
+    } else if (m.layer === layer) {
+      if (left <= 0) {
+        messages.splice(i--, 1);
+        continue;
+      }
+      m.content = truncateToTokens(m.content || '', left, countTokens);
+      left -= countTokens(m.content);
+    }
+  }
+}
+
+/**
+ * Priority-aware compaction of the loop's messages to `budget` tokens:
+ *   1. tool results older than `summarizeAfter` steps are summarized with
+ *      `summarize(text)` (an LLM call) when one is given
+ *   2. layers over their share of the budget are cut back, least important first
+ *   3. if still over, unpinned layers are dropped, least important first
+ * Mutates `messages`; returns the decisions made, for the run log.
+ */
+async function compactContext(messages, {
+  budget = MAX_CONTEXT_TOKENS,
+  countTokens = estimateTokens,
+  policy = CONTEXT_LAYER_POLICY,
+  step = 0,
+  summarizeAfter = 2,
+  summarize = null,
+} = {}) {
+  const decisions = [];
+  const total = () => countMessageTokens(messages, countTokens);
+  if (total() <= budget) return decisions;
+
+  if (summarize) {
+    for (const m of messages) {
+      if (m.layer !== 'tool' || m.role === 'assistant' || m.summarized || step - (m.step || 0) < summarizeAfter) continue;
+      const fromTokens = countTokens(m.content || '');
+      if (fromTokens <= 200) continue;
+      try {
+        const summary = String(await summarize(m.content) || '').trim();
+        if (!summary) continue;
+        m.content = `[Summarized tool output from step ${m.step}]: ${summary}`;
+        m.summarized = true;
+        decisions.push({ layer: 'tool', action: 'summarized', step: m.step, fromTokens, toTokens: countTokens(m.content) });
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+      }
+      if (total() <= budget) return decisions;
+    }
+  }
+
+  const layers = Object.entries(policy)
+    .filter(([, p]) => !p.pinned)
+    .sort((a, b) => b[1].priority - a[1].priority);
+  for (const pass of ['truncated', 'dropped']) {
+    for (const [layer, p] of layers) {
+      if (total() <= budget) return decisions;
+      const fromTokens = layerTokens(messages, layer, countTokens);
+      const target = pass === 'dropped' ? 0 : Math.floor(budget * (p.share ?? 0));
+      if (fromTokens === 0 || fromTokens <= target) continue;
+      shrinkLayer(messages, layer, target, countTokens);
+      decisions.push({ layer, action: pass, fromTokens, toTokens: layerTokens(messages, layer, countTokens) });
+    }
+  }
+  if (total() > budget) decisions.push({ layer: null, action: 'over_budget', tokens: total() });
+  return decisions;
+}
+
+/**
+ * Summarize large tool results to avoid context overflow
+ */
+function summarizeToolResult(toolName, result) {
+  const raw = JSON.stringify(result);
+  if (raw.length <= 3000) return raw;
+  if (toolName === 'WEB_SEARCH' && result.results) {
+    return JSON.stringify({
+      ...result,
+      results: result.results.map(r => ({
+        ...r,
+        snippet: (r.snippet || '').slice(0, 300),
+        ...(r.page ? { page: { ...r.page, content: r.page.content.slice(0, 1200) } } : {}),
+      })),
+    });
+  }
+  if (toolName === 'FETCH_URL' && result.contentPreview) {
+    return JSON.stringify({
+      ...result,
+      contentPreview: (result.contentPreview || '').slice(0, 2500) + '…[truncated]',
+      ...(result.links ? { links: result.links.slice(0, 10) } : {}),
+      ...(result.items ? { items: result.items.slice(0, 10) } : {}),
+    });
+  }
+  return raw.slice(0, 2500) + '…[truncated]';
+}
+
+/**
+ * Extract JSON from LLM output (handles markdown wrapping)
+ */
+function extractJSON(raw) {
+  let cleaned = raw.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (_) {}
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (_) {}
+  }
+  return null;
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * MEMORY ENTRIES (records with metadata, TTL and provenance)
+ *
+ * Manual memories in urchinMemory are records:
+ *   { value, createdAt, updatedAt, source: { conversationId, requestId },
+ *     tags: [], importance: 1-5, expiresAt, accessCount, lastAccessedAt }
+ * Session summaries (session_*) and internal counters (_*) stay plain
+ * strings. Legacy string entries are read as records and rewritten as
+ * records the next time memory layers load.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const DEFAULT_MEMORY_IMPORTANCE = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isManualMemoryKey(key) {
+  return !key.startsWith('_') && !key.startsWith('session_');
+}
+
+function reservedMemoryKeyError(key) {
+  return `The key "${key}" is reserved: keys starting with "_" or "session_" belong to the memory system. Save it under another key.`;
+}
+
+function isMemoryEntry(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && 'value' in value;
+}
+
+function clampImportance(importance) {
+  const n = Number(importance);
+  return Number.isFinite(n) ? Math.max(1, Math.min(5, Math.round(n))) : DEFAULT_MEMORY_IMPORTANCE;
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Any stored value (legacy string or record) → a full record. Legacy
+ * strings get null timestamps: when they were saved is unknown.
+ */
+function toMemoryEntry(value) {
+  if (!isMemoryEntry(value)) {
+    return {
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      createdAt: null, updatedAt: null, source: null, tags: [],
+      importance: DEFAULT_MEMORY_IMPORTANCE, expiresAt: null, accessCount: 0, lastAccessedAt: null,
+    };
+  }
+  return {
+    createdAt: null, updatedAt: null, source: null, expiresAt: null, accessCount: 0, lastAccessedAt: null,
+    ...value,
+    value: typeof value.value === 'string' ? value.value : JSON.stringify(value.value),
+    tags: normalizeTags(value.tags),
+    importance: clampImportance(value.importance),
+  };
+}
+
+/**
+ * Build a record from REMEMBER / UPDATE_MEMORY arguments, on top of the
+ * existing entry if there is one. `ttlDays` sets expiresAt; 0 or null clears it.
+ */
+function writeMemoryEntry(existing, { value, tags, importance, ttlDays } = {}, source = null) {
+  const now = Date.now();
+  const base = existing === undefined ? null : toMemoryEntry(existing);
+  const entry = base || {
+    value: '', createdAt: now, updatedAt: now, source, tags: [],
+    importance: DEFAULT_MEMORY_IMPORTANCE, expiresAt: null, accessCount: 0, lastAccessedAt: null,
+  };
+  if (value !== undefined) entry.value = typeof value === 'string' ? value : JSON.stringify(value);
+  if (tags !== undefined) entry.tags = normalizeTags(tags);
+  if (importance !== undefined) entry.importance = clampImportance(importance);
+  if (ttlDays !== undefined) entry.expiresAt = Number(ttlDays) > 0 ? now + Number(ttlDays) * DAY_MS : null;
+  entry.updatedAt = now;
+  if (base && source) entry.updatedBy = source;
+  return entry;
+}
+
+function isExpiredMemory(entry, now = Date.now()) {
+  return isMemoryEntry(entry) && entry.expiresAt != null && entry.expiresAt <= now;
+}
+
+/**
+ * How much a memory deserves to stay: importance first, then how recently
+ * it was touched (halving every 30 days), how often it was recalled and
+ * the net user feedback on answers that used it
+ */
+function memoryRetentionScore(entry, now = Date.now()) {
+  const e = toMemoryEntry(entry);
+  const touched = e.lastAccessedAt || e.updatedAt || e.createdAt || 0;
+  const recency = touched ? 2 * Math.pow(0.5, (now - touched) / (30 * DAY_MS)) : 0;
+  const feedback = Math.max(-2, Math.min(2, e.feedbackScore || 0)) * 0.5;
+  return e.importance + recency + Math.log2(1 + (e.accessCount || 0)) * 0.5 + feedback;
+}
+
+/**
+ * Migrate legacy strings to records, drop expired entries and evict the
+ * lowest-retention manual memories beyond `max`. Returns the new map, or
+ * undefined when nothing changed (so it can be passed to updateKey).
+ */
+function pruneMemory(memory = {}, { max = MAX_MANUAL_MEMORIES, now = Date.now() } = {}) {
+  const next = { ...memory };
+  let changed = false;
+  for (const [k, v] of Object.entries(memory)) {
+    if (!isManualMemoryKey(k)) continue;
+    if (isExpiredMemory(v, now)) {
+      delete next[k];
+      changed = true;
+    } else if (!isMemoryEntry(v)) {
+      next[k] = toMemoryEntry(v);
+      changed = true;
+    }
+  }
+  const manual = Object.keys(next).filter(isManualMemoryKey);
+  if (manual.length > max) {
+    const ranked = manual
+      .map(k => ({ k, score: memoryRetentionScore(next[k], now) }))
+      .sort((a, b) => a.score - b.score);
+    for (const { k } of ranked.slice(0, manual.length - max)) delete next[k];
+    changed = true;
+  }
+  return changed ? next : undefined;
+}
+
+/**
+ * key → text view of a memory map for prompts and search. Expired and
+ * internal entries are left out.
+ */
+function memoryValues(memory = {}, now = Date.now()) {
+  const out = {};
+  for (const [k, v] of Object.entries(memory)) {
+    if (k.startsWith('_') || isExpiredMemory(v, now)) continue;
+    out[k] = isMemoryEntry(v) ? toMemoryEntry(v).value : v;
+  }
+  return out;
+}
+
+/**
+ * Bump accessCount / lastAccessedAt on recalled manual memories
+ */
+async function touchMemories(storage, keys) {
+  const wanted = [...new Set(keys)].filter(isManualMemoryKey);
+  if (wanted.length === 0) return;
+  const now = Date.now();
+  await updateKey(storage, 'urchinMemory', (current = {}) => {
+    const hits = wanted.filter(k => current[k] !== undefined);
+    if (hits.length === 0) return undefined;
+    const next = { ...current };
+    for (const k of hits) {
+      const e = toMemoryEntry(current[k]);
+      next[k] = { ...e, accessCount: e.accessCount + 1, lastAccessedAt: now };
+    }
+    return next;
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * SEMANTIC MEMORY — embedding providers (remote or offline local)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, magA = 0, magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  const denom = Math.sqrt(magA) * Math.sqrt(magB);
+  return denom === 0 ? 0 : dot / denom;
+}
+
+/**
+ * Embedding providers by name: async (texts, config) => vectors (one per text).
+ * Configured independently of the chat provider via settings.embeddingProvider,
+ * embeddingModel, embeddingApiKey and embeddingBaseUrl.
+ */
+const EMBEDDING_PROVIDERS = {
+  openai: async (texts, cfg) => {
+    const res = await fetch(cfg.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.apiKey}` },
+      body: JSON.stringify({ model: cfg.model, input: texts }),
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    const out = [];
+    for (const d of data.data || []) out[d.index ?? out.length] = d.embedding;
+    return out;
+  },
+  ollama: async (texts, cfg) => {
+    const res = await fetch(cfg.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: cfg.model, input: texts }),
+    });
+    if (!res.ok) return null;
+    return (await res.json()).embeddings || null;
+  },
+  local: async (texts, cfg) => texts.map(t => localEmbedding(t, cfg.dimensions)),
+};
+
+/**
+ * 32-bit FNV-1a. Used for content hashes and feature hashing, so it has to
+ * be identical everywhere (no crypto module in browsers' sync path).
+ */
+function fnv1a(text, seed = 0x811c9dc5) {
+  let h = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function contentHash(text) {
+  const s = String(text);
+  return fnv1a(s).toString(16).padStart(8, '0') + fnv1a(s, 0x01234567).toString(16).padStart(8, '0');
+}
+
+const STOP_WORDS = new Set((
+  'a an and are as at be but by do does for from has have how i in is it its me my of on or our so that the ' +
+  'their them there they this to was we were what when where which who why will with you your'
+).split(' '));
+
+function tokenize(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 1 && !STOP_WORDS.has(w));
+}
+
+/**
+ * Offline embedding: hashed word and character-trigram features, L2
+ * normalized. No network and no model download — it captures word overlap
+ * and spelling variants, not meaning, so it is paired with BM25.
+ */
+function localEmbedding(text, dimensions = 256) {
+  const vec = new Array(dimensions).fill(0);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vec[h % dimensions] += (h & 0x80000000) ? -weight : weight;
+  };
+  for (const word of tokenize(text)) {
+    add(`w:${word}`, 1);
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.3);
+  }
+  const norm = Math.sqrt(vec.reduce((sum, x) => sum + x * x, 0));
+  return norm === 0 ? vec : vec.map(x => Math.round((x / norm) * 1e4) / 1e4);
+}
+
+/**
+ * Work out which embedding provider to use. Without explicit settings this
+ * follows the chat provider where that makes sense (OpenAI → OpenAI
+ * embeddings with the same key, Ollama → local embeddings) and otherwise
+ * uses the offline local embedding. 'none' disables vectors (BM25 only).
+ * `model` also namespaces the embedding cache, so vectors from different
+ * models never mix.
+ */
+function resolveEmbeddingConfig(settings = {}) {
+  const chat = settings.provider || 'openai';
+  const provider = settings.embeddingProvider || (chat === 'openai' || chat === 'ollama' ? chat : 'local');
+  if (provider === 'none') return null;
+  if (typeof provider === 'function') {
+    return { embed: (texts) => provider(texts, settings), model: settings.embeddingModel || 'custom' };
+  }
+  const local = () => {
+    const dimensions = settings.embeddingDimensions || 256;
+    return { embed: EMBEDDING_PROVIDERS.local, model: `local-${dimensions}`, dimensions, local: true };
+  };
+  if (provider === 'local') return local();
+
+  if (provider === 'openai') {
+    const apiKey = settings.embeddingApiKey || (chat === 'openai' ? settings.llmApiKey || settings.apiKey : null);
+    if (!apiKey) return settings.embeddingProvider ? null : local();
+    const base = settings.embeddingBaseUrl ||
+      (chat === 'openai' ? (settings.llmBaseUrl || 'https://api.openai.com/v1').replace(/\/chat\/completions\/?$/, '') + '/embeddings' : 'https://api.openai.com/v1/embeddings');
+    return { embed: EMBEDDING_PROVIDERS.openai, url: base, apiKey, model: settings.embeddingModel || 'text-embedding-3-small' };
+  }
+  if (provider === 'ollama') {
+    const url = settings.embeddingBaseUrl ||
+      (chat === 'ollama' && settings.llmBaseUrl ? settings.llmBaseUrl.replace(/\/api\/chat\/?$/, '/api/embed') : 'http://localhost:11434/api/embed');
+    return { embed: EMBEDDING_PROVIDERS.ollama, url, model: settings.embeddingModel || 'nomic-embed-text' };
+  }
+  const embed = EMBEDDING_PROVIDERS[provider];
+  return embed ? { embed, settings, apiKey: settings.embeddingApiKey, url: settings.embeddingBaseUrl, model: settings.embeddingModel || provider } : null;
+}
+
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Embed texts in batched requests (EMBEDDING_BATCH_SIZE per request).
+ * Returns one vector (or null) per text.
+ */
+async function getEmbeddings(texts, settings = {}, cfg = resolveEmbeddingConfig(settings)) {
+  if (!cfg || texts.length === 0) return texts.map(() => null);
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    try {
+      const vectors = await cfg.embed(batch.map(t => String(t).slice(0, 2000)), cfg);
+      out.push(...batch.map((_, j) => vectors?.[j] || null));
+    } catch (_) {
+      out.push(...batch.map(() => null));
+    }
+  }
+  return out;
+}
+
+async function getEmbedding(text, settings) {
+  return (await getEmbeddings([text], settings))[0];
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * MEMORY INDEX — hybrid BM25 + vector recall
+ *
+ * Vectors are cached in urchinEmbeddingCache under `<model>:<content hash>`,
+ * so an edited memory is re-embedded and unchanged text never is. Each
+ * storage keeps in-process vector stores synced to the memories searched.
+ * A vector store is any object with:
+ *   upsert([{ id, vector }]), remove([ids]), query(vector, k) → [{ id, score }]
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_EMBEDDING_CACHE = 500;
+const HYBRID_VECTOR_WEIGHT = 0.7;
+
+/**
+ * Exact cosine search over every vector. Fine up to a few thousand entries.
+ */
+function createBruteForceVectorStore() {
+  const vectors = new Map();
+  return {
+    get size() { return vectors.size; },
+    upsert(items) {
+      for (const { id, vector } of items) vectors.set(id, vector);
+    },
+    remove(ids) {
+      for (const id of ids) vectors.delete(id);
+    },
+    query(vector, k = 10) {
+      const scored = [];
+      for (const [id, v] of vectors) scored.push({ id, score: cosineSimilarity(vector, v) });
+      return scored.sort((a, b) => b.score - a.score).slice(0, k);
+    },
+  };
+}
+
+/**
+ * Approximate nearest neighbours via random-hyperplane LSH. Each of `tables`
+ * tables buckets vectors by the signs of `bits` projections; a query
+ * reranks the union of its buckets exactly, and scans everything when the
+ * buckets hold fewer than k candidates. Planes come from `seed`, so results
+ * are reproducible.
+ */
+function createLSHVectorStore({ bits = 10, tables = 6, seed = 42 } = {}) {
+  const vectors = new Map();
+  const signatures = new Map();
+  const buckets = Array.from({ length: tables }, () => new Map());
+  let planes = null;
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296 - 0.5;
+  };
+  const signature = (vector) => {
+    if (!planes) planes = Array.from({ length: tables * bits }, () => Array.from({ length: vector.length }, random));
+    return Array.from({ length: tables }, (_, t) => {
+      let sig = 0;
+      for (let b = 0; b < bits; b++) {
+        const plane = planes[t * bits + b];
+        let dot = 0;
+        for (let i = 0; i < vector.length; i++) dot += plane[i] * vector[i];
+        if (dot >= 0) sig |= 1 << b;
+      }
+      return sig;
+    });
+  };
+  const unlink = (id) => {
+    const sigs = signatures.get(id);
+    if (!sigs) return;
+    sigs.forEach((sig, t) => {
+      const bucket = buckets[t].get(sig);
+      bucket.delete(id);
+      if (bucket.size === 0) buckets[t].delete(sig);
+    });
+    signatures.delete(id);
+  };
+  const exact = (vector, ids, k) => [...ids]
+    .map(id => ({ id, score: cosineSimilarity(vector, vectors.get(id)) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+
+  return {
+    get size() { return vectors.size; },
+    upsert(items) {
+      for (const { id, vector } of items) {
+        unlink(id);
+        const sigs = signature(vector);
+        sigs.forEach((sig, t) => {
+          if (!buckets[t].has(sig)) buckets[t].set(sig, new Set());
+          buckets[t].get(sig).add(id);
+        });
+        signatures.set(id, sigs);
+        vectors.set(id, vector);
+      }
+    },
+    remove(ids) {
+      for (const id of ids) {
+        unlink(id);
+        vectors.delete(id);
+      }
+    },
+    query(vector, k = 10) {
+      if (vectors.size === 0) return [];
+      const candidates = new Set();
+      signature(vector).forEach((sig, t) => {
+        for (const id of buckets[t].get(sig) || []) candidates.add(id);
+      });
+      return exact(vector, candidates.size >= k ? candidates : vectors.keys(), k);
+    },
+  };
+}
+
+const VECTOR_STORES = {
+  brute: createBruteForceVectorStore,
+  lsh: createLSHVectorStore,
+};
+
+/**
+ * Okapi BM25 of `query` against each text, normalized to 0-1 and damped by
+ * the share of query terms a text contains (so one rare word matching a
+ * long query does not score like a full match).
+ */
+function bm25Scores(query, texts, { k1 = 1.2, b = 0.75 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const docs = texts.map(t => tokenize(t));
+  if (terms.length === 0 || docs.length === 0) return texts.map(() => 0);
+  const avgLen = docs.reduce((n, d) => n + d.length, 0) / docs.length || 1;
+  const df = new Map(terms.map(t => [t, docs.filter(d => d.includes(t)).length]));
+  const raw = docs.map(d => {
+    const tf = new Map();
+    for (const w of d) tf.set(w, (tf.get(w) || 0) + 1);
+    let score = 0;
+    let hits = 0;
+    for (const t of terms) {
+      const f = tf.get(t);
+      if (!f) continue;
+      hits++;
+      const idf = Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.length / avgLen));
+    }
+    return { score, coverage: hits / terms.length };
+  });
+  const max = Math.max(...raw.map(r => r.score));
+  return raw.map(r => (max > 0 ? (r.score / max) * r.coverage : 0));
+}
+
+/**
+ * Keyword-only recall (BM25), for when no embeddings are wanted
+ */
+function keywordFallback(query, memory) {
+  const entries = Object.entries(memory).filter(([key]) => !key.startsWith('_'));
+  const scores = bm25Scores(query, entries.map(([key, value]) => `${key}: ${value}`));
+  const matches = entries
+    .map(([key, value], i) => ({ key, value: String(value).slice(0, 200), relevance: Math.round(scores[i] * 100) / 100 }))
+    .filter(m => m.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance);
+  return { matches: matches.slice(0, 10), method: 'bm25' };
+}
+
+/**
+ * Store fresh vectors ({ cacheKey: vector }) and mark `used` keys as
+ * recently used; the least recently used beyond MAX_EMBEDDING_CACHE are
+ * evicted. Entries in the old memory-key format are dropped on write.
+ */
+async function cacheEmbeddings(storage, fresh, used = []) {
+  if (Object.keys(fresh).length === 0) return;
+  const now = Date.now();
+  await updateKey(storage, 'urchinEmbeddingCache', (cache = {}) => {
+    const next = {};
+    for (const [k, e] of Object.entries(cache)) if (Array.isArray(e?.vector)) next[k] = e;
+    for (const k of used) if (next[k]) next[k] = { ...next[k], usedAt: now };
+    for (const [k, vector] of Object.entries(fresh)) next[k] = { vector, usedAt: now };
+    const keys = Object.keys(next);
+    if (keys.length > MAX_EMBEDDING_CACHE) {
+      keys.sort((a, b) => next[a].usedAt - next[b].usedAt);
+      for (const k of keys.slice(0, keys.length - MAX_EMBEDDING_CACHE)) delete next[k];
+    }
+    return next;
+  });
+}
+
+/**
+ * Query vector plus one vector (or null) per text. Cached texts are looked up
+ * by content hash; the query and every uncached text go in one batched call.
+ * Local embeddings are computed directly and never cached.
+ */
+async function embedForSearch(query, texts, storage, cfg) {
+  if (cfg.local) {
+    const [queryVector, ...vectors] = await getEmbeddings([query, ...texts], null, cfg);
+    return { queryVector, vectors };
+  }
+  const keys = texts.map(t => `${cfg.model}:${contentHash(t)}`);
+  const { urchinEmbeddingCache = {} } = await storage.get('urchinEmbeddingCache');
+  const missing = [...new Set(keys.filter(k => !Array.isArray(urchinEmbeddingCache[k]?.vector)))];
+  const missingText = new Map(keys.map((k, i) => [k, texts[i]]));
+  const [queryVector, ...fresh] = await getEmbeddings([query, ...missing.map(k => missingText.get(k))], null, cfg);
+  const freshByKey = {};
+  missing.forEach((k, i) => {
+    if (fresh[i]) freshByKey[k] = fresh[i];
+  });
+  await cacheEmbeddings(storage, freshByKey, keys.filter(k => !freshByKey[k]));
+  return { queryVector, vectors: keys.map(k => freshByKey[k] || urchinEmbeddingCache[k]?.vector || null) };
+}
+
+// In-process search indexes: underlying storage → Map of
+// `<scope>|<index name>|<model>` → { store, hashes }
+const memoryIndexes = new WeakMap();
+
+/**
+ * What an index on `storage` belongs to. Scoped views are recreated for
+ * every run, so indexes are keyed by the storage underneath plus the
+ * view's key prefix (user-level, so all of a user's conversations share
+ * one index).
+ */
+function memoryIndexOwner(storage) {
+  if (!storage?.base || !storage.identity) return { base: storage, scope: '' };
+  const inner = memoryIndexOwner(storage.base);
+  return { base: inner.base, scope: `${inner.scope}${scopedKey('', storage.identity)}` };
+}
+
+function memoryIndexFor(storage, name, model, settings) {
+  const { base, scope } = memoryIndexOwner(storage);
+  let byName = memoryIndexes.get(base);
+  if (!byName) memoryIndexes.set(base, (byName = new Map()));
+  const id = `${scope}|${name}|${model}`;
+  if (!byName.has(id)) {
+    const make = typeof settings.vectorStore === 'function'
+      ? settings.vectorStore
+      : VECTOR_STORES[settings.vectorStore] || createBruteForceVectorStore;
+    byName.set(id, { store: make(), hashes: new Map() });
+  }
+  return byName.get(id);
+}
+
+/**
+ * Drop every in-process index built for `storage`'s scope
+ */
+function dropMemoryIndexes(storage) {
+  const { base, scope } = memoryIndexOwner(storage);
+  const byName = memoryIndexes.get(base);
+  if (!byName) return;
+  for (const id of [...byName.keys()]) {
+    if (id.slice(0, id.indexOf('|')) === scope) byName.delete(id);
+  }
+}
+
+/**
+ * Hybrid recall over `memories` ({ key: text }). Candidates come from the
+ * vector store (settings.vectorStore: 'brute' | 'lsh' | () => store) plus
+ * any BM25 hit; each is scored 0.7 × cosine + 0.3 × BM25, or BM25 alone
+ * when no embeddings are available. `index` names the in-process index so
+ * different memory sets on one storage don't evict each other.
+ * Resolves to { matches: [{ key, value, score, vector, lexical }], method }.
+ */
+async function searchMemories(query, memories, storage, settings = {}, { limit = 10, minScore = 0.2, index = 'memory' } = {}) {
+  const docs = Object.entries(memories)
+    .filter(([key]) => !key.startsWith('_'))
+    .map(([key, value]) => ({ key, value, text: `${key}: ${String(value).slice(0, 500)}` }));
+  if (docs.length === 0) return { matches: [], method: 'bm25' };
+  const lexical = bm25Scores(query, docs.map(d => d.text));
+
+  const cfg = resolveEmbeddingConfig(settings);
+  const { queryVector, vectors } = cfg
+    ? await embedForSearch(query, docs.map(d => d.text), storage, cfg)
+    : { queryVector: null, vectors: [] };
+
+  const candidates = new Set(docs.map((d, i) => (lexical[i] > 0 ? i : -1)).filter(i => i >= 0));
+  if (queryVector) {
+    const idx = memoryIndexFor(storage, index, cfg.model, settings);
+    const live = new Set(docs.map(d => d.key));
+    const stale = [...idx.hashes.keys()].filter(k => !live.has(k));
+    idx.store.remove(stale);
+    for (const k of stale) idx.hashes.delete(k);
+    const changed = [];
+    docs.forEach((d, i) => {
+      const hash = contentHash(d.text);
+      if (!vectors[i] || idx.hashes.get(d.key) === hash) return;
+      idx.hashes.set(d.key, hash);
+      changed.push({ id: d.key, vector: vectors[i] });
+    });
+    idx.store.upsert(changed);
+    const position = new Map(docs.map((d, i) => [d.key, i]));
+    for (const hit of idx.store.query(queryVector, Math.max(limit * 5, 50))) {
+      if (position.has(hit.id)) candidates.add(position.get(hit.id));
+    }
+  }
+
+  const round = (x) => Math.round(x * 100) / 100;
+  const matches = [...candidates].map(i => {
+    const vector = queryVector && vectors[i] ? Math.max(0, cosineSimilarity(queryVector, vectors[i])) : 0;
+    const score = queryVector ? HYBRID_VECTOR_WEIGHT * vector + (1 - HYBRID_VECTOR_WEIGHT) * lexical[i] : lexical[i];
+    return { key: docs[i].key, value: docs[i].value, score: round(score), vector: round(vector), lexical: round(lexical[i]) };
+  });
+  return {
+    matches: matches.filter(m => m.score > minScore).sort((a, b) => b.score - a.score).slice(0, limit),
+    method: queryVector ? 'hybrid' : 'bm25',
+  };
+}
+
+async function semanticRecallWithEmbeddings(query, memory, storage, settings) {
+  const { matches, method } = await searchMemories(query, memory, storage, settings, { limit: 10, index: 'search' });
+  return {
+    matches: matches.map(m => ({ key: m.key, value: String(m.value).slice(0, 200), relevance: m.score })),
+    method,
+  };
+}
+
+async function relevanceFilterMemories(userInput, memories, storage, settings, maxResults = 8) {
+  const { matches } = await searchMemories(userInput, memories, storage, settings, { limit: maxResults, index: 'layers' });
+  return matches.map(m => ({ key: m.key, value: m.value, sim: m.score }));
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * LEARNED SKILLS (records, dedup, cap, relevance)
+ *
+ * urchinSkills is an array of
+ *   { name, instruction, when, always, disabled, source: 'learned' | 'manual',
+ *     score: 0-100, usageCount, learnedAt, updatedAt, reinforceCount, … }
+ * Names are unique slugs. Adding a skill whose instruction nearly matches
+ * an existing one reinforces that skill instead of creating a twin.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_SKILLS = 50;
+const SKILL_DUPLICATE_SIMILARITY = 0.7;
+// Up to this many skills are injected as-is; beyond it only relevant ones
+const SKILL_INJECT_ALL = 5;
+
+function skillSlug(name) {
+  return String(name || '').toLowerCase().trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+/**
+ * Jaccard overlap of the instructions' terms (0-1)
+ */
+function skillSimilarity(a, b) {
+  const ta = new Set(tokenize(a.instruction));
+  const tb = new Set(tokenize(b.instruction));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * Evict past `max`: disabled skills first, then low scores (with a small
+ * bonus for frequent use), then the longest unused
+ */
+function capSkills(skills, max = MAX_SKILLS) {
+  if (skills.length <= max) return skills;
+  const retention = (s) => (s.disabled ? -1 : (s.score ?? 50) + Math.min(10, Math.log2(1 + (s.usageCount || 0)) * 2));
+  const touched = (s) => s.lastUsedAt || s.updatedAt || s.learnedAt || 0;
+  const ranked = [...skills].sort((a, b) => retention(a) - retention(b) || touched(a) - touched(b));
+  const drop = new Set(ranked.slice(0, skills.length - max));
+  return skills.filter(s => !drop.has(s));
+}
+
+/**
+ * Add a skill to the list (pure). Same name → the existing skill is edited
+ * ('manual' source) or reinforced (any other source); near-identical
+ * instruction → the existing skill is reinforced; otherwise
+ * a new skill is appended and the list capped at MAX_SKILLS.
+ * Returns { skills, skill, action: 'added' | 'updated' | 'reinforced' }.
+ */
+function addSkill(skills = [], { name, instruction, when = '', always = false }, source = 'manual') {
+  const now = Date.now();
+  const slug = skillSlug(name);
+  const byName = skills.find(s => s.name === slug);
+  if (byName && source === 'manual') {
+    const skill = { ...byName, instruction, when: when || byName.when || '', always: !!always, disabled: false, updatedAt: now };
+    return { skills: skills.map(s => (s === byName ? skill : s)), skill, action: 'updated' };
+  }
+  // A learned proposal never edits or re-enables a skill, only reinforces it
+  const twin = byName || skills.find(s => skillSimilarity(s, { instruction }) >= SKILL_DUPLICATE_SIMILARITY);
+  if (twin) {
+    const skill = {
+      ...twin,
+      disabled: source === 'manual' ? false : twin.disabled,
+      score: Math.min(100, (twin.score ?? 50) + 5),
+      reinforceCount: (twin.reinforceCount || 0) + 1,
+      updatedAt: now,
+    };
+    return { skills: skills.map(s => (s === twin ? skill : s)), skill, action: 'reinforced' };
+  }
+  const skill = {
+    name: slug, instruction, when: when || '', always: !!always, disabled: false, source,
+    score: 50, usageCount: 0, learnedAt: now, updatedAt: now,
+  };
+  return { skills: capSkills([...skills, skill]), skill, action: 'added' };
+}
+
+/**
+ * Pick the skills worth injecting for this input. Small sets go in whole;
+ * larger ones are ranked with searchMemories, and `always` skills are kept.
+ */
+async function selectRelevantSkills(userInput, skills, storage, settings, limit = 8) {
+  if (skills.length <= SKILL_INJECT_ALL) return skills;
+  const docs = Object.fromEntries(skills.map((s, i) => [`${i}:${s.name}`, `${s.when || ''} ${s.instruction}`.trim()]));
+  const { matches } = await searchMemories(userInput, docs, storage, settings, { limit, minScore: 0.1, index: 'skills' });
+  const picked = new Set(matches.map(m => Number(m.key.split(':')[0])));
+  return skills.filter((s, i) => s.always || picked.has(i));
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * PROJECT PLANS (milestones with dependencies, due dates, staleness)
+ *
+ * urchinProjects maps a project name to
+ *   { goals: [], dueDate, createdAt, updatedAt,
+ *     milestones: [{ name, tasks, status, notes, dueDate, dependsOn: [names],
+ *                    subtasks: [{ task, requestId, at }], updatedAt }] }
+ * Status is pending | in_progress | done | blocked; dueDate is YYYY-MM-DD.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_PROJECTS = 10;
+// Up to this many active projects are injected as-is; beyond it only relevant ones
+const PROJECT_INJECT_ALL = 2;
+
+/**
+ * Accepts anything Date can parse; returns YYYY-MM-DD, or null for empty
+ */
+function normalizeDueDate(value) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid dueDate "${value}"; use YYYY-MM-DD.`);
+  return d.toISOString().slice(0, 10);
+}
+
+function isProjectActive(project) {
+  return project.milestones.length === 0 || project.milestones.some(m => m.status !== 'done');
+}
+
+/**
+ * Names of the milestone's dependencies that are not done yet
+ */
+function milestoneBlockers(project, milestone) {
+  return (milestone.dependsOn || []).filter(dep => project.milestones.find(m => m.name === dep)?.status !== 'done');
+}
+
+/**
+ * Check dependsOn only names milestones of the same project and has no
+ * cycles; returns an error message or null
+ */
+function validateMilestoneDependencies(milestones) {
+  const names = new Set(milestones.map(m => m.name));
+  for (const m of milestones) {
+    const unknown = (m.dependsOn || []).filter(d => !names.has(d));
+    if (unknown.length > 0) return `Milestone "${m.name}" depends on unknown milestone(s): ${unknown.join(', ')}.`;
+  }
+  const state = new Map();
+  const visit = (name) => {
+    if (state.get(name) === 'done') return false;
+    if (state.get(name) === 'visiting') return true;
+    state.set(name, 'visiting');
+    const cyclic = (milestones.find(m => m.name === name).dependsOn || []).some(visit);
+    state.set(name, 'done');
+    return cyclic;
+  };
+  const cyclic = milestones.find(m => visit(m.name));
+  return cyclic ? `Milestone dependencies form a cycle (through "${cyclic.name}").` : null;
+}
+
+/**
+ * Keep at most `max` projects: finished projects go first, then the ones
+ * untouched the longest
+ */
+function evictStaleProjects(projects, max = MAX_PROJECTS) {
+  const names = Object.keys(projects);
+  if (names.length <= max) return projects;
+  const ranked = names.sort((a, b) =>
+    Number(isProjectActive(projects[a])) - Number(isProjectActive(projects[b])) ||
+    (projects[a].updatedAt || 0) - (projects[b].updatedAt || 0));
+  const next = { ...projects };
+  for (const name of ranked.slice(0, names.length - max)) delete next[name];
+  return next;
+}
+
+/**
+ * Prompt text for one project: progress, goals and the open milestones
+ * with status, due date and blockers
+ */
+function projectDigest(name, project, today = new Date().toISOString().slice(0, 10)) {
+  const done = project.milestones.filter(m => m.status === 'done').length;
+  const lines = [`  • ${name} (${done}/${project.milestones.length} milestones done${project.dueDate ? `, due ${project.dueDate}` : ''})`];
+  if (project.goals?.length) lines.push(`    goals: ${project.goals.join('; ')}`);
+  for (const m of project.milestones.filter(ms => ms.status !== 'done').slice(0, 6)) {
+    const blockers = milestoneBlockers(project, m);
+    const notes = [
+      m.status,
+      m.dueDate ? `due ${m.dueDate}${m.dueDate < today ? ' — OVERDUE' : ''}` : '',
+      blockers.length ? `waiting on ${blockers.join(', ')}` : '',
+    ].filter(Boolean).join(', ');
+    lines.push(`    - ${m.name} [${notes}]${m.tasks?.length ? `: ${m.tasks.join('; ')}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Record decomposition subtasks on a milestone (pure). A pending milestone
+ * moves to in_progress. Returns undefined when the milestone is gone.
+ */
+function attachSubtasks(projects = {}, projectName, milestoneName, tasks, requestId) {
+  const project = projects[projectName];
+  const milestone = project?.milestones.find(m => m.name === milestoneName);
+  if (!milestone) return undefined;
+  const now = Date.now();
+  const updated = {
+    ...milestone,
+    status: milestone.status === 'pending' ? 'in_progress' : milestone.status,
+    subtasks: [...(milestone.subtasks || []), ...tasks.map(task => ({ task, requestId, at: now }))].slice(-20),
+    updatedAt: now,
+  };
+  return {
+    ...projects,
+    [projectName]: { ...project, milestones: project.milestones.map(m => (m === milestone ? updated : m)), updatedAt: now },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * CANCELLATION (AbortSignal plumbing, timeouts)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function createAbortError(message = 'Aborted') {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+function abortMessage(signal) {
+  const reason = signal?.reason;
+  if (typeof reason === 'string') return reason;
+  if (reason instanceof Error && reason.name !== 'AbortError') return reason.message;
+  return 'Aborted';
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError(abortMessage(signal));
+}
+
+/**
+ * Child signal that aborts with its parent or after timeoutMs (0 = never).
+ * Call dispose() when done so long-lived parents don't collect listeners.
+ */
+function linkedSignal(parent, timeoutMs = 0) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) controller.abort(parent.reason);
+  else if (parent) parent.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs > 0
+    ? setTimeout(() => { timedOut = true; controller.abort(`Timed out after ${timeoutMs}ms`); }, timeoutMs)
+    : null;
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    abort: (reason) => controller.abort(reason),
+    dispose() {
+      clearTimeout(timer);
+      if (parent) parent.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Reject as soon as signal aborts, even if the promise ignores it
+ */
+function abortable(promise, signal) {
+  if (!signal) return Promise.resolve(promise);
+  if (signal.aborted) return Promise.reject(createAbortError(abortMessage(signal)));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(abortMessage(signal)));
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(
+      (v) => { signal.removeEventListener('abort', onAbort); resolve(v); },
+      (e) => { signal.removeEventListener('abort', onAbort); reject(e); }
+    );
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * WEB FETCH (URL guard, capped reads, content extraction)
+ *
+ * FETCH_URL reads settings.fetch, merged over DEFAULT_FETCH_SETTINGS:
+ *   allowPrivateNetwork  false → refuse loopback, private, link-local and
+ *                        internal hosts (checked after DNS in Node, which
+ *                        then connects only to the checked addresses)
+ *   allowedSchemes       ['http:', 'https:']
+ *   allowHosts           hosts ('example.com', '*.corp.example') trusted
+ *                        even when they resolve to private addresses
+ *   blockHosts           hosts always refused
+ *   lookup               async host → [addresses]; null skips DNS checks
+ *   maxBytes, maxChars, maxLinks, timeoutMs, maxRedirects
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const DEFAULT_FETCH_SETTINGS = {
+  allowPrivateNetwork: false,
+  allowedSchemes: ['http:', 'https:'],
+  allowHosts: [],
+  blockHosts: [],
+  maxBytes: 2000000,
+  maxChars: 8000,
+  maxLinks: 30,
+  timeoutMs: 15000,
+  maxRedirects: 5,
+};
+
+const FETCH_ACCEPT = 'text/html,application/xhtml+xml,application/json;q=0.9,application/rss+xml,application/atom+xml,application/xml;q=0.8,text/plain;q=0.8,*/*;q=0.5';
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$|^metadata(\.google\.internal)?$/i;
+
+const isNodeRuntime = () => typeof process !== 'undefined' && !!process.versions?.node;
+
+function isPrivateIPv4(ip) {
+  const p = ip.split('.').map(Number);
+  if (p.length !== 4 || p.some(n => !Number.isInteger(n) || n < 0 || n > 255)) return false;
+  const [a, b, c] = p;
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) || (a === 192 && b === 0 && c === 0) || (a === 198 && (b === 18 || b === 19));
+}
+
+function isPrivateIPv6(ip) {
+  const h = ip.toLowerCase();
+  if (h === '::' || h === '::1') return true;
+  // IPv4-mapped / -compatible and NAT64 (64:ff9b::/96), in either notation
+  // URL may produce
+  const dotted = h.match(/^(?:::(?:ffff:)?|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPrivateIPv4(dotted[1]);
+  const hex = h.match(/^(?:::(?:ffff:)?|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const hi = parseInt(hex[1], 16);
+    const lo = parseInt(hex[2], 16);
+    return isPrivateIPv4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return /^f[cd]/.test(h) || /^fe[89ab]/.test(h) || /^ff/.test(h);
+}
+
+function isPrivateAddress(address) {
+  return address.includes(':') ? isPrivateIPv6(address) : isPrivateIPv4(address);
+}
+
+function hostMatches(host, pattern) {
+  const p = String(pattern).toLowerCase().replace(/^\*\./, '');
+  return host === p || host.endsWith(`.${p}`);
+}
+
+// Node's resolver; browsers (and extension workers) have no DNS API
+function nodeLookup() {
+  if (!isNodeRuntime() || typeof require !== 'function') return null;
+  const dns = require('dns').promises;
+  return async (host) => (await dns.lookup(host, { all: true })).map(a => a.address);
+}
+
+/**
+ * Throws unless `rawUrl` may be fetched under `cfg` (see the section
+ * header); resolves to the parsed URL. Every redirect hop is checked again.
+ */
+async function assertFetchAllowed(rawUrl, cfg = DEFAULT_FETCH_SETTINGS) {
+  return (await checkFetchTarget(rawUrl, cfg)).url;
+}
+
+/**
+ * assertFetchAllowed's check → { url, addresses }, where addresses are the
+ * DNS results that were vetted (null when no lookup was needed)
+ */
+async function checkFetchTarget(rawUrl, cfg) {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch (_) {
+    throw new Error(`Invalid URL "${rawUrl}".`);
+  }
+  const { allowedSchemes = [], allowHosts = [], blockHosts = [] } = cfg;
+  if (!allowedSchemes.includes(url.protocol)) throw new Error(`Scheme ${url.protocol} is not allowed.`);
+  if (url.username || url.password) throw new Error('URLs with credentials are not allowed.');
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (blockHosts.some(h => hostMatches(host, h))) throw new Error(`Host ${host} is blocked.`);
+  if (cfg.allowPrivateNetwork || allowHosts.some(h => hostMatches(host, h))) return { url, addresses: null };
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(':')) {
+    if (isPrivateAddress(host)) throw new Error(`Address ${host} is private or reserved.`);
+    return { url, addresses: null };
+  }
+  if (INTERNAL_HOSTNAME.test(host)) throw new Error(`Host ${host} is internal.`);
+  const lookup = cfg.lookup === undefined ? nodeLookup() : cfg.lookup;
+  if (!lookup) return { url, addresses: null };
+  const addresses = await lookup(host);
+  const internal = addresses.find(isPrivateAddress);
+  if (internal) throw new Error(`Host ${host} resolves to private address ${internal}.`);
+  if (addresses.length === 0) throw new Error(`Host ${host} did not resolve.`);
+  return { url, addresses };
+}
+
+/**
+ * GET `url` with Node's http(s), connecting only to `addresses` so the
+ * host can't resolve somewhere else between the check and the request
+ * (DNS rebinding). Redirects are not followed. Resolves to a Response.
+ */
+function fetchPinned(url, addresses, { signal, headers }) {
+  const lib = require(url.protocol === 'https:' ? 'https' : 'http');
+  const lookup = (host, options, callback) => {
+    const family = typeof options === 'number' ? options : options?.family;
+    const usable = addresses
+      .map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+      .filter(a => !family || a.family === family);
+    if (usable.length === 0) return callback(Object.assign(new Error(`No checked IPv${family} address for ${host}.`), { code: 'ENOTFOUND' }));
+    if (options?.all) return callback(null, usable);
+    callback(null, usable[0].address, usable[0].family);
+  };
+  return new Promise((resolve, reject) => {
+    const req = lib.request(url, { headers, signal, lookup }, (res) => {
+      try {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          for (const v of [].concat(value)) responseHeaders.append(name, v);
+        }
+        const empty = [204, 205, 304].includes(res.statusCode);
+        if (empty) res.resume();
+        // Pull-based by hand: Readable.toWeb throws on Node 18 when a
+        // cancelled body later ends
+        const chunks = res[Symbol.asyncIterator]();
+        const body = empty ? null : new ReadableStream({
+          async pull(controller) {
+            const { done, value } = await chunks.next();
+            if (done) controller.close();
+            else controller.enqueue(new Uint8Array(value));
+          },
+          cancel() { res.destroy(); },
+        });
+        resolve(new Response(body, { status: res.statusCode, statusText: res.statusMessage, headers: responseHeaders }));
+      } catch (e) {
+        res.destroy();
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Read at most maxBytes of a response body → { bytes: Uint8Array, truncated }
+ */
+async function readBodyCapped(res, maxBytes) {
+  if (!res.body?.getReader) {
+    const all = new Uint8Array(await res.arrayBuffer());
+    return { bytes: all.subarray(0, maxBytes), truncated: all.length > maxBytes };
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let total = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (total + value.length > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - total));
+      total = maxBytes;
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+    chunks.push(value);
+    total += value.length;
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const c of chunks) { bytes.set(c, offset); offset += c.length; }
+  return { bytes, truncated };
+}
+
+/**
+ * Decode with the charset from the Content-Type header, else from a
+ * <meta charset> or <?xml encoding> near the start, else UTF-8
+ */
+function decodeBody(bytes, contentType) {
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 2048));
+  const charset = /charset=["']?([\w.:-]+)/i.exec(contentType || '')?.[1] ||
+    /<meta[^>]+charset=["']?([\w.:-]+)/i.exec(head)?.[1] ||
+    /<\?xml[^>]+encoding=["']([\w.:-]+)/i.exec(head)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (_) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * 'html' | 'json' | 'feed' | 'xml' | 'markdown' | 'text', or null when the
+ * body isn't text. Generic types are sniffed from the body.
+ */
+function detectContentFormat(contentType, body, url = '') {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  const start = body.slice(0, 1000).trimStart();
+  if (/[/+]json$/.test(type)) return 'json';
+  if (/(rss|atom)\+xml$/.test(type)) return 'feed';
+  if (/html/.test(type)) return 'html';
+  if (/[/+]xml$/.test(type)) return /<(rss|feed|rdf:rdf)[\s>]/i.test(body.slice(0, 3000)) ? 'feed' : 'xml';
+  if (type === 'text/markdown' || type === 'text/x-markdown') return 'markdown';
+  if (type && !type.startsWith('text/') && type !== 'application/octet-stream') return null;
+  if (/^[[{]/.test(start)) {
+    try { JSON.parse(body); return 'json'; } catch (_) {}
+  }
+  if (/^(<!doctype html|<html)/i.test(start)) return 'html';
+  if (/^<\?xml/i.test(start)) return /<(rss|feed|rdf:rdf)[\s>]/i.test(body.slice(0, 3000)) ? 'feed' : 'xml';
+  if (/\.(md|markdown)$/i.test(new URL(url, 'http://x').pathname)) return 'markdown';
+  return 'text';
+}
+
+// ── Markup parsing (tolerant, regex-tokenized; enough for extraction) ──
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™', middot: '·', bull: '•',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×', divide: '÷', szlig: 'ß', shy: '',
+};
+// &eacute; &Uuml; &ntilde; ... → letter + combining mark
+const ACCENT_MARKS = { acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303', cedil: '\u0327', ring: '\u030a' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    const accented = /^([a-z])(acute|grave|circ|uml|tilde|cedil|ring)$/i.exec(e);
+    if (accented) return (accented[1] + ACCENT_MARKS[accented[2].toLowerCase()]).normalize('NFC');
+    return NAMED_ENTITIES[e] ?? NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  for (const m of raw.matchAll(/([^\s=/"'<>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * HTML or XML → a light tree of { tag, attrs, children, parent } and
+ * { text } nodes. Unclosed tags close with their ancestors; stray end tags
+ * are ignored. In XML mode nothing is void or raw text, and CDATA is text.
+ */
+function parseMarkup(source, { xml = false } = {}) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const addText = (text, raw = false) => { if (text) top().children.push({ text, raw, parent: top() }); };
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let last = 0;
+  let m;
+  while ((m = token.exec(source))) {
+    addText(source.slice(last, m.index));
+    last = token.lastIndex;
+    if (m[1] !== undefined) { addText(m[1], true); continue; }
+    if (!m[3]) continue;
+    const tag = m[3].toLowerCase();
+    if (m[2]) {
+      const i = stack.map(n => n.tag).lastIndexOf(tag);
+      if (i > 0) stack.length = i;
+      continue;
+    }
+    const node = { tag, attrs: parseAttributes(m[4]), children: [], parent: top() };
+    top().children.push(node);
+    if (!xml && RAW_TEXT_ELEMENTS.has(tag)) {
+      const close = new RegExp(`</${tag}\\s*>`, 'gi');
+      close.lastIndex = last;
+      const end = close.exec(source);
+      node.children.push({ text: source.slice(last, end ? end.index : source.length), parent: node });
+      last = token.lastIndex = end ? close.lastIndex : source.length;
+      continue;
+    }
+    if (m[4].trim().endsWith('/') || (!xml && VOID_ELEMENTS.has(tag))) continue;
+    stack.push(node);
+  }
+  addText(source.slice(last));
+  return root;
+}
+
+function findAll(node, test, found = []) {
+  for (const c of node.children || []) {
+    if (c.tag && test(c)) found.push(c);
+    if (c.children) findAll(c, test, found);
+  }
+  return found;
+}
+
+function textOf(node) {
+  if (node.text !== undefined) return node.raw ? node.text : decodeEntities(node.text);
+  return (node.children || []).map(textOf).join('').replace(/\s+/g, ' ').trim();
+}
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'header',
+  'hr', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul', 'body', 'html', 'item', 'entry',
+]);
+
+/**
+ * A subtree as readable plain text: paragraphs split by blank lines,
+ * headings as '#', list items as '-', table cells separated by '|'
+ */
+function renderMarkupText(node) {
+  const out = [];
+  const visit = (n, pre) => {
+    if (n.text !== undefined) {
+      const text = n.raw ? n.text : decodeEntities(n.text);
+      out.push(pre ? text : text.replace(/\s+/g, ' '));
+      return;
+    }
+    if (n.tag === 'br') { out.push('\n'); return; }
+    const heading = /^h([1-6])$/.exec(n.tag);
+    if (heading) out.push(`\n\n${'#'.repeat(Number(heading[1]))} `);
+    else if (n.tag === 'li') out.push('\n- ');
+    else if (n.tag === 'td' || n.tag === 'th') out.push(' | ');
+    else if (BLOCK_ELEMENTS.has(n.tag)) out.push('\n\n');
+    for (const c of n.children) visit(c, pre || n.tag === 'pre');
+    if (heading || BLOCK_ELEMENTS.has(n.tag)) out.push('\n\n');
+  };
+  visit(node, false);
+  return out.join('')
+    .replace(/[ \t]+\n/g, '\n').replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n').replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// ── Readable main content (readability-style scoring) ──
+
+const BOILERPLATE_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button', 'select', 'textarea',
+  'nav', 'aside', 'footer', 'object', 'embed', 'dialog',
+]);
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|search|menu|menubar)$/i;
+const UNLIKELY_CONTENT = /cookie|consent|gdpr|banner|\bnav|menu|breadcrumb|sidebar|footer|masthead|comment|share|social|related|promo|sponsor|advert|\bads?\b|popup|modal|newsletter|subscribe|signup/i;
+const LIKELY_CONTENT = /article|content|main|post|entry|story|body|text|blog/i;
+
+function classMarker(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+}
+
+function pruneBoilerplate(node) {
+  node.children = node.children.filter((c) => {
+    if (c.text !== undefined) return true;
+    if (BOILERPLATE_ELEMENTS.has(c.tag) || BOILERPLATE_ROLES.test(c.attrs.role || '')) return false;
+    if (c.attrs['aria-hidden'] === 'true' || 'hidden' in c.attrs) return false;
+    const marker = classMarker(c);
+    if (!['html', 'body', 'article', 'main'].includes(c.tag) && UNLIKELY_CONTENT.test(marker) && !LIKELY_CONTENT.test(marker)) return false;
+    pruneBoilerplate(c);
+    return true;
+  });
+}
+
+function linkDensity(node) {
+  const length = textOf(node).length;
+  if (!length) return 1;
+  return findAll(node, n => n.tag === 'a').reduce((sum, a) => sum + textOf(a).length, 0) / length;
+}
+
+function baseContentScore(node) {
+  const byTag = { article: 10, main: 10, div: 5, section: 3, pre: 3, td: 3, blockquote: 3, form: -3, ul: -3, ol: -3, li: -3, th: -5 };
+  const marker = classMarker(node);
+  return (byTag[node.tag] || 0) + (LIKELY_CONTENT.test(marker) ? 25 : 0) - (UNLIKELY_CONTENT.test(marker) ? 25 : 0);
+}
+
+/**
+ * The element holding the page's main content: paragraphs score their
+ * parent (and half their grandparent) by length and commas, then scores
+ * are discounted by link density. Well-scored siblings of the winner are
+ * kept with it. Returns a list of nodes.
+ */
+function findMainContent(root) {
+  const scores = new Map();
+  for (const p of findAll(root, n => ['p', 'pre', 'td', 'blockquote'].includes(n.tag))) {
+    const text = textOf(p);
+    if (text.length < 25) continue;
+    const score = 1 + text.split(/[,，]/).length + Math.min(3, Math.floor(text.length / 100));
+    for (const [el, share] of [[p.parent, 1], [p.parent?.parent, 0.5]]) {
+      if (!el || el.tag === '#root') continue;
+      scores.set(el, (scores.has(el) ? scores.get(el) : baseContentScore(el)) + score * share);
+    }
+  }
+  const adjusted = new Map([...scores].map(([el, s]) => [el, s * (1 - linkDensity(el))]));
+  let best = null;
+  for (const [el, s] of adjusted) if (!best || s > adjusted.get(best)) best = el;
+  if (!best) {
+    const fallback = findAll(root, n => n.tag === 'article')[0] || findAll(root, n => n.tag === 'main')[0] || findAll(root, n => n.tag === 'body')[0] || root;
+    return [fallback];
+  }
+  const threshold = Math.max(10, adjusted.get(best) * 0.2);
+  return (best.parent?.children || [best]).filter(c => c === best || (adjusted.get(c) || 0) >= threshold);
+}
+
+function resolveHttpUrl(href, base) {
+  try {
+    const u = new URL(href, base);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function normalizeDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : d.toISOString();
+}
+
+// datePublished anywhere in the page's JSON-LD blocks
+function jsonLdDate(root) {
+  const find = (v) => {
+    if (!v || typeof v !== 'object') return null;
+    if (v.datePublished) return v.datePublished;
+    for (const child of Array.isArray(v) ? v : Object.values(v)) {
+      const found = find(child);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const s of findAll(root, n => n.tag === 'script' && /ld\+json/i.test(n.attrs.type || ''))) {
+    try {
+      const found = find(JSON.parse(textOf(s)));
+      if (found) return found;
+    } catch (_) {}
+  }
+  return null;
+}
+
+/**
+ * HTML → { title, description, canonicalUrl, publishedAt, siteName, lang,
+ * content, links: [{ text, url }] } with the main content as plain text and
+ * the links found in it, resolved against the page URL (or <base href>)
+ */
+function extractPageContent(html, pageUrl, { maxLinks = DEFAULT_FETCH_SETTINGS.maxLinks } = {}) {
+  const root = parseMarkup(html);
+  const metas = findAll(root, n => n.tag === 'meta');
+  const meta = (...names) => {
+    for (const name of names) {
+      const m = metas.find(x => (x.attrs.property || x.attrs.name || x.attrs.itemprop || '').toLowerCase() === name);
+      if (m?.attrs.content?.trim()) return m.attrs.content.trim();
+    }
+    return null;
+  };
+  const base = resolveHttpUrl(findAll(root, n => n.tag === 'base')[0]?.attrs.href || '', pageUrl) || pageUrl;
+  const canonical = findAll(root, n => n.tag === 'link' && (n.attrs.rel || '').toLowerCase().split(/\s+/).includes('canonical'))[0]?.attrs.href;
+  const titleNode = findAll(root, n => n.tag === 'title')[0];
+  const timeNode = findAll(root, n => n.tag === 'time' && n.attrs.datetime)[0];
+
+  const metadata = {
+    title: meta('og:title', 'twitter:title') || (titleNode ? textOf(titleNode) : null),
+    description: meta('description', 'og:description', 'twitter:description'),
+    canonicalUrl: resolveHttpUrl(canonical || meta('og:url') || '', base),
+    publishedAt: normalizeDate(meta('article:published_time', 'og:published_time', 'datepublished', 'pubdate', 'date', 'dc.date')
+      || jsonLdDate(root) || timeNode?.attrs.datetime),
+    siteName: meta('og:site_name', 'application-name'),
+    lang: findAll(root, n => n.tag === 'html')[0]?.attrs.lang || null,
+  };
+
+  pruneBoilerplate(root);
+  const main = findMainContent(root);
+  const content = main.map(renderMarkupText).filter(Boolean).join('\n\n');
+  const links = [];
+  const seen = new Set([pageUrl.split('#')[0]]);
+  for (const a of main.flatMap(n => findAll(n, x => x.tag === 'a' && x.attrs.href))) {
+    const url = resolveHttpUrl(a.attrs.href, base);
+    if (!url || seen.has(url.split('#')[0])) continue;
+    seen.add(url.split('#')[0]);
+    links.push({ text: textOf(a).slice(0, 120), url });
+    if (links.length >= maxLinks) break;
+  }
+  return { ...metadata, content, links };
+}
+
+/**
+ * RSS 2.0 / RSS 1.0 / Atom → { title, description, items: [{ title, url, publishedAt, summary }] }
+ */
+function parseFeed(xml, feedUrl) {
+  const root = parseMarkup(xml, { xml: true });
+  const child = (node, ...tags) => node.children.find(c => tags.includes(c.tag));
+  const htmlText = (node) => (node ? renderMarkupText(parseMarkup(textOf(node))) : '');
+  const channel = findAll(root, n => n.tag === 'channel' || n.tag === 'feed')[0] || root;
+  const items = findAll(root, n => n.tag === 'item' || n.tag === 'entry').map((item) => {
+    const links = item.children.filter(c => c.tag === 'link');
+    const link = links.find(l => !l.attrs.rel || l.attrs.rel === 'alternate') || links[0];
+    const when = child(item, 'pubdate', 'published', 'updated', 'dc:date');
+    return {
+      title: textOf(child(item, 'title') || { text: '' }),
+      url: link ? resolveHttpUrl(link.attrs.href || textOf(link), feedUrl) : null,
+      publishedAt: when ? normalizeDate(textOf(when)) : null,
+      summary: htmlText(child(item, 'description', 'summary', 'content', 'content:encoded')).slice(0, 300),
+    };
+  });
+  return {
+    title: textOf(child(channel, 'title') || { text: '' }) || null,
+    description: htmlText(child(channel, 'description', 'subtitle')) || null,
+    items,
+  };
+}
+
+/**
+ * Built-in FETCH_URL: guard, fetch (in Node, redirects re-checked hop by
+ * hop and connections pinned to the checked addresses), read up to
+ * maxBytes, decode, then dispatch on content type.
+ * Resolves to { success, url, finalUrl, status, contentType, format,
+ * title?, description?, canonicalUrl?, publishedAt?, siteName?, links?,
+ * items?, contentPreview, length, truncated } or { error }.
+ */
+async function fetchUrl(url, ctx) {
+  const cfg = { ...DEFAULT_FETCH_SETTINGS, ...(ctx?.settings?.fetch || {}) };
+  const requested = String(url || '').trim();
+  let target;
+  let addresses;
+  try {
+    ({ url: target, addresses } = await checkFetchTarget(requested, cfg));
+  } catch (e) {
+    return { error: `Fetch blocked: ${e.message}`, blocked: true };
+  }
+
+  const req = linkedSignal(ctx?.signal, cfg.timeoutMs);
+  // Browsers can't read redirect targets or pick the address to connect
+  // to, and a page can't reach the server's network anyway, so only Node
+  // follows redirects by hand and pins each hop to its checked addresses
+  const manualRedirects = isNodeRuntime();
+  const headers = { 'User-Agent': 'Mozilla/5.0 (compatible; UrchinLoop/1.0)', Accept: FETCH_ACCEPT };
+  try {
+    let res;
+    for (let hop = 0; ; hop++) {
+      res = manualRedirects && addresses
+        ? await fetchPinned(target, addresses, { signal: req.signal, headers })
+        : await fetch(target.href, { signal: req.signal, redirect: manualRedirects ? 'manual' : 'follow', headers });
+      const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+      if (!manualRedirects || !location) break;
+      await res.body?.cancel?.().catch(() => {});
+      if (hop >= cfg.maxRedirects) throw new Error(`More than ${cfg.maxRedirects} redirects.`);
+      try {
+        ({ url: target, addresses } = await checkFetchTarget(new URL(location, target).href, cfg));
+      } catch (e) {
+        return { error: `Fetch blocked: redirect to ${location}: ${e.message}`, blocked: true };
+      }
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const contentType = res.headers.get('content-type') || '';
+    const finalUrl = res.url || target.href;
+    const { bytes, truncated: bodyTruncated } = await readBodyCapped(res, cfg.maxBytes);
+    const body = decodeBody(bytes, contentType);
+    const format = detectContentFormat(contentType, body, finalUrl);
+    if (!format) return { error: `Unsupported content type ${contentType.split(';')[0]} (${bytes.length} bytes).`, url: requested, finalUrl };
+
+    let page = { content: body };
+    if (format === 'html') {
+      page = extractPageContent(body, finalUrl, { maxLinks: cfg.maxLinks });
+    } else if (format === 'feed') {
+      const feed = parseFeed(body, finalUrl);
+      page = {
+        title: feed.title,
+        description: feed.description,
+        items: feed.items.slice(0, 20),
+        content: feed.items.map(i => `- ${i.title}${i.publishedAt ? ` (${i.publishedAt.slice(0, 10)})` : ''}${i.url ? ` ${i.url}` : ''}${i.summary ? `\n  ${i.summary}` : ''}`).join('\n'),
+      };
+    } else if (format === 'json') {
+      try { page = { content: JSON.stringify(JSON.parse(body), null, 2) }; } catch (_) {}
+    } else if (format === 'xml') {
+      page = { content: renderMarkupText(parseMarkup(body, { xml: true })) };
+    }
+
+    const { content, ...metadata } = page;
+    const result = { success: true, url: requested, finalUrl, status: res.status, contentType: contentType.split(';')[0] || null, format };
+    for (const [k, v] of Object.entries(metadata)) if (v != null && !(Array.isArray(v) && v.length === 0)) result[k] = v;
+    result.contentPreview = content.slice(0, cfg.maxChars);
+    result.length = content.length;
+    result.truncated = bodyTruncated || content.length > cfg.maxChars;
+    return result;
+  } catch (e) {
+    if (ctx?.signal?.aborted) throw e;
+    return { error: `Fetch failed: ${req.timedOut() ? `timed out after ${cfg.timeoutMs}ms` : e.message}` };
+  } finally {
+    req.dispose();
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * WEB SEARCH (pluggable providers, merged and deduplicated results)
+ *
+ * WEB_SEARCH reads settings.search:
+ *   providers  ['duckduckgo'] by default. Each entry is a SEARCH_PROVIDERS
+ *              name, { name, baseUrl?, apiKey?, ...options }, or an
+ *              async (query, { limit, signal, settings }) → [{ title, url, snippet }]
+ *   limit      results returned after merging (8)
+ *   fetchTop   fetch the top N results through fetchUrl (0)
+ *   fetchChars page text kept per fetched result (3000)
+ *   timeoutMs  per provider request (10000)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const DEFAULT_SEARCH_SETTINGS = { providers: ['duckduckgo'], limit: 8, fetchTop: 0, fetchChars: 3000, timeoutMs: 10000 };
+// Reciprocal rank fusion constant: higher flattens the advantage of rank 1
+const SEARCH_RRF_K = 60;
+
+async function getSearchJSON(url, headers, signal) {
+  const res = await fetch(url, { signal, headers: { Accept: 'application/json', ...headers } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Each adapter resolves to [{ title, url, snippet }] best first, or throws
+ */
+const SEARCH_PROVIDERS = {
+  // Instant Answer API: no key, but only returns abstracts and related topics
+  duckduckgo: async (query, cfg, { signal }) => {
+    const data = await getSearchJSON(`https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`, {}, signal);
+    const results = [];
+    if (data.AbstractText) results.push({ title: data.Heading || query, snippet: data.AbstractText, url: data.AbstractURL });
+    for (const topic of (data.RelatedTopics || []).slice(0, 5)) {
+      if (topic.Text) results.push({ title: topic.Text.split(' - ')[0], snippet: topic.Text, url: topic.FirstURL });
+      for (const sub of (topic.Topics || []).slice(0, 2)) {
+        if (sub.Text) results.push({ title: sub.Text.split(' - ')[0], snippet: sub.Text, url: sub.FirstURL });
+      }
+    }
+    return results;
+  },
+  // Self-hosted SearXNG (JSON output must be enabled in its settings.yml)
+  searxng: async (query, cfg, { limit, signal }) => {
+    if (!cfg.baseUrl) throw new Error('searxng needs baseUrl (your instance URL)');
+    const params = new URLSearchParams({ q: query, format: 'json', ...(cfg.categories ? { categories: cfg.categories } : {}), ...(cfg.language ? { language: cfg.language } : {}) });
+    const data = await getSearchJSON(`${cfg.baseUrl.replace(/\/+$/, '')}/search?${params}`, cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {}, signal);
+    return (data.results || []).slice(0, limit).map(r => ({ title: r.title, url: r.url, snippet: r.content }));
+  },
+  brave: async (query, cfg, { limit, signal }) => {
+    if (!cfg.apiKey) throw new Error('brave needs apiKey');
+    const url = `${cfg.baseUrl || 'https://api.search.brave.com/res/v1/web/search'}?q=${encodeURIComponent(query)}&count=${Math.min(limit, 20)}`;
+    const data = await getSearchJSON(url, { 'X-Subscription-Token': cfg.apiKey }, signal);
+    return (data.web?.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.description }));
+  },
+  bing: async (query, cfg, { limit, signal }) => {
+    if (!cfg.apiKey) throw new Error('bing needs apiKey');
+    const url = `${cfg.baseUrl || 'https://api.bing.microsoft.com/v7.0/search'}?q=${encodeURIComponent(query)}&count=${Math.min(limit, 50)}`;
+    const data = await getSearchJSON(url, { 'Ocp-Apim-Subscription-Key': cfg.apiKey }, signal);
+    return (data.webPages?.value || []).map(r => ({ title: r.name, url: r.url, snippet: r.snippet }));
+  },
+};
+
+/**
+ * A providers entry → { name, search(query, opts) }
+ */
+function resolveSearchProvider(entry, i) {
+  if (typeof entry === 'function') {
+    return { name: entry.providerName || entry.name || `custom${i}`, search: (query, opts) => entry(query, opts) };
+  }
+  const cfg = typeof entry === 'string' ? { name: entry } : entry || {};
+  const adapter = typeof cfg.search === 'function' ? cfg.search : SEARCH_PROVIDERS[cfg.name];
+  if (!adapter) throw new Error(`Unknown search provider "${cfg.name}".`);
+  return { name: cfg.name || `custom${i}`, search: (query, opts) => adapter(query, cfg, opts) };
+}
+
+/**
+ * Identity of a result across providers: no scheme, www., fragment,
+ * trailing slash or tracking parameters
+ */
+function searchResultKey(url) {
+  try {
+    const u = new URL(url);
+    for (const p of [...u.searchParams.keys()]) if (/^(utm_|fbclid$|gclid$|ref$|ref_src$)/i.test(p)) u.searchParams.delete(p);
+    u.searchParams.sort();
+    const query = u.searchParams.toString();
+    return `${u.hostname.replace(/^www\./i, '').toLowerCase()}${u.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+  } catch (_) {
+    return String(url).trim();
+  }
+}
+
+function cleanSnippet(text) {
+  return textOf(parseMarkup(String(text || ''))).slice(0, 500);
+}
+
+/**
+ * Merge ranked lists from several providers: duplicates collapse into one
+ * result that lists every source, and order is by reciprocal rank fusion
+ * (a result ranked well by two providers beats one ranked first by one).
+ * Returns [{ title, url, snippet, rank, source, sources }].
+ */
+function mergeSearchResults(lists, limit = DEFAULT_SEARCH_SETTINGS.limit) {
+  const merged = new Map();
+  for (const { source, results } of lists) {
+    results.forEach((r, i) => {
+      if (!r?.url) return;
+      const key = searchResultKey(r.url);
+      const existing = merged.get(key);
+      if (existing) {
+        existing.score += 1 / (SEARCH_RRF_K + i + 1);
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+        if (!existing.snippet && r.snippet) existing.snippet = cleanSnippet(r.snippet);
+        return;
+      }
+      merged.set(key, {
+        title: cleanSnippet(r.title) || r.url, url: r.url, snippet: cleanSnippet(r.snippet), source, sources: [source],
+        score: 1 / (SEARCH_RRF_K + i + 1),
+      });
+    });
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, sources, source, ...r }, i) => ({ ...r, rank: i + 1, source, sources }));
+}
+
+/**
+ * Built-in WEB_SEARCH: query every configured provider at once, merge and
+ * deduplicate, then optionally read the top pages through fetchUrl (same
+ * URL guard and size limits). Resolves to { success, query, results,
+ * providers, errors? } — a provider that fails is reported in `errors`
+ * unless all of them fail.
+ */
+async function webSearch(query, ctx) {
+  const cfg = { ...DEFAULT_SEARCH_SETTINGS, ...(ctx?.settings?.search || {}) };
+  const q = String(query || '').trim();
+  if (!q) return { error: 'WEB_SEARCH needs a query.' };
+  let providers;
+  try {
+    providers = (Array.isArray(cfg.providers) ? cfg.providers : [cfg.providers]).map(resolveSearchProvider);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  const errors = [];
+  const lists = await Promise.all(providers.map(async (p) => {
+    const req = linkedSignal(ctx?.signal, cfg.timeoutMs);
+    try {
+      const results = await abortable(p.search(q, { limit: cfg.limit, signal: req.signal, settings: ctx?.settings || {} }), req.signal);
+      return { source: p.name, results: Array.isArray(results) ? results : [] };
+    } catch (e) {
+      if (ctx?.signal?.aborted) throw e;
+      errors.push({ source: p.name, error: req.timedOut() ? `timed out after ${cfg.timeoutMs}ms` : e.message });
+      return { source: p.name, results: [] };
+    } finally {
+      req.dispose();
+    }
+  }));
+  if (errors.length === providers.length) {
+    return { error: `Search failed: ${errors.map(e => `${e.source}: ${e.error}`).join('; ')}` };
+  }
+
+  const results = mergeSearchResults(lists, cfg.limit);
+  if (cfg.fetchTop > 0) {
+    await Promise.all(results.slice(0, cfg.fetchTop).map(async (r) => {
+      const page = await fetchUrl(r.url, ctx);
+      if (page.error) {
+        r.pageError = page.error;
+        return;
+      }
+      r.page = {
+        ...(page.title ? { title: page.title } : {}),
+        ...(page.publishedAt ? { publishedAt: page.publishedAt } : {}),
+        content: page.contentPreview.slice(0, cfg.fetchChars),
+      };
+    }));
+  }
+  return { success: true, query: q, results, providers: providers.map(p => p.name), ...(errors.length ? { errors } : {}) };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * BUILT-IN TOOLS (implement only what you need; override via options.tools)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function createBuiltInTools(storage) {
+  // Provenance stamped on memory writes: the conversation and run they came from
+  const memorySource = (ctx) => {
+    const conversationId = storage.identity?.conversationId ?? null;
+    const requestId = ctx?.requestId ?? null;
+    return conversationId == null && requestId == null ? null : { conversationId, requestId };
+  };
+
+  return {
+    WEB_SEARCH: webSearch,
+
+    FETCH_URL: fetchUrl,
+
+    REMEMBER: async (param, ctx) => {
+      try {
+        const data = extractJSON(param) || JSON.parse(param);
+        const { key, value, tags, importance, ttlDays } = data;
+        if (!key) return { error: 'REMEMBER needs {"key":"...","value":"..."}' };
+        if (!isManualMemoryKey(key)) return { error: reservedMemoryKeyError(key) };
+        const source = memorySource(ctx);
+        await updateKey(storage, 'urchinMemory', (urchinMemory = {}) => ({
+          ...urchinMemory,
+          [key]: writeMemoryEntry(urchinMemory[key], { value, tags, importance, ttlDays }, source),
+        }));
+        return { success: true, message: `Remembered "${key}".` };
+      } catch (e) {
+        return { error: `Memory save failed: ${e.message}` };
+      }
+    },
+
+    RECALL: async (param) => {
+      try {
+        const key = param.trim();
+        const { urchinMemory = {} } = await storage.get('urchinMemory');
+        const shared = sharedTier(storage, 'memory');
+        const { urchinMemory: sharedMemory = {} } = shared ? await shared.get('urchinMemory') : {};
+        if (key === 'all') {
+          return { success: true, memory: memoryValues(urchinMemory), ...(shared ? { shared: memoryValues(sharedMemory) } : {}) };
+        }
+        const own = isExpiredMemory(urchinMemory[key]) ? undefined : urchinMemory[key];
+        const found = own ?? (isExpiredMemory(sharedMemory[key]) ? undefined : sharedMemory[key]);
+        if (found === undefined) return { success: true, key, value: 'Nothing saved under this key.' };
+        if (own !== undefined) await touchMemories(storage, [key]);
+        if (!isManualMemoryKey(key)) return { success: true, key, value: found };
+        const entry = toMemoryEntry(found);
+        return {
+          success: true, key, value: entry.value, tags: entry.tags, importance: entry.importance,
+          savedAt: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null,
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+        };
+      } catch (e) {
+        return { error: `Memory recall failed: ${e.message}` };
+      }
+    },
+
+    UPDATE_MEMORY: async (param, ctx) => {
+      try {
+        const data = extractJSON(param) || JSON.parse(param);
+        const { key, value, tags, importance, ttlDays } = data;
+        if (!key) return { error: 'UPDATE_MEMORY needs {"key":"...", plus value, tags, importance or ttlDays}' };
+        const source = memorySource(ctx);
+        let found = false;
+        await updateKey(storage, 'urchinMemory', (urchinMemory = {}) => {
+          found = isManualMemoryKey(key) && urchinMemory[key] !== undefined && !isExpiredMemory(urchinMemory[key]);
+          if (!found) return undefined;
+          return { ...urchinMemory, [key]: writeMemoryEntry(urchinMemory[key], { value, tags, importance, ttlDays }, source) };
+        });
+        if (!found) return { error: `No memory "${key}". Use REMEMBER to create it.` };
+        return { success: true, message: `Updated "${key}".` };
+      } catch (e) {
+        return { error: `Memory update failed: ${e.message}` };
+      }
+    },
+
+    FORGET: async (param) => {
+      try {
+        const key = String(extractJSON(param)?.key ?? param).trim();
+        if (!key || !isManualMemoryKey(key)) return { error: 'FORGET needs the key of a saved memory.' };
+        let found = false;
+        await updateKey(storage, 'urchinMemory', (urchinMemory = {}) => {
+          found = urchinMemory[key] !== undefined;
+          if (!found) return undefined;
+          const next = { ...urchinMemory };
+          delete next[key];
+          return next;
+        });
+        if (!found) return { error: `No memory "${key}".` };
+        return { success: true, message: `Forgot "${key}".` };
+      } catch (e) {
+        return { error: `Forget failed: ${e.message}` };
+      }
+    },
+
+    LIST_MEMORIES: async (param) => {
+      try {
+        const tag = String(extractJSON(param)?.tag ?? param ?? '').trim().toLowerCase();
+        const { urchinMemory = {} } = await storage.get('urchinMemory');
+        const now = Date.now();
+        const entries = Object.entries(urchinMemory)
+          .filter(([k, v]) => isManualMemoryKey(k) && !isExpiredMemory(v, now))
+          .map(([key, v]) => ({ key, ...toMemoryEntry(v) }))
+          .filter(e => !tag || e.tags.includes(tag))
+          .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        return {
+          success: true,
+          ...(tag ? { tag } : {}),
+          count: entries.length,
+          memories: entries.slice(0, 50).map(e => ({
+            key: e.key, value: e.value.slice(0, 200), tags: e.tags, importance: e.importance,
+            accessCount: e.accessCount,
+            updatedAt: e.updatedAt ? new Date(e.updatedAt).toISOString() : null,
+            expiresAt: e.expiresAt ? new Date(e.expiresAt).toISOString() : null,
+          })),
+        };
+      } catch (e) {
+        return { error: `List memories failed: ${e.message}` };
+      }
+    },
+
+    SEARCH_MEMORY: async (query, ctx) => {
+      try {
+        const { urchinMemory = {}, urchinProfile = {} } = await storage.get(['urchinMemory', 'urchinProfile']);
+        const shared = sharedTier(storage, 'memory');
+        const { urchinMemory: sharedMemory = {} } = shared ? await shared.get('urchinMemory') : {};
+        const combined = {
+          ...Object.fromEntries(Object.entries(memoryValues(sharedMemory)).map(([k, v]) => [`shared_${k}`, v])),
+          ...memoryValues(urchinMemory),
+          ...Object.fromEntries(Object.entries(urchinProfile).map(([k, v]) => [`profile_${k}`, v])),
+        };
+        const settings = ctx?.settings || {};
+        const found = await semanticRecallWithEmbeddings(query, combined, storage, settings);
+        await touchMemories(storage, found.matches.map(m => m.key).filter(k => urchinMemory[k] !== undefined));
+        return { success: true, query, ...found };
+      } catch (e) {
+        return { error: `Memory search failed: ${e.message}` };
+      }
+    },
+
+    LEARN_SKILL: async (param) => {
+      try {
+        const data = extractJSON(param) || JSON.parse(param);
+        if (!skillSlug(data.name) || !data.instruction) return { error: 'LEARN_SKILL needs {"name":"...","instruction":"..."}' };
+        let result = null;
+        await updateKey(storage, 'urchinSkills', (current = []) => {
+          result = addSkill(current, data, 'manual');
+          return result.skills;
+        });
+        const { skill, action } = result;
+        if (action === 'reinforced') return { success: true, message: `Already known as "${skill.name}"; reinforced it instead of adding a duplicate.` };
+        return { success: true, message: `Skill "${skill.name}" ${action}.` };
+      } catch (e) {
+        return { error: `Learn skill failed: ${e.message}` };
+      }
+    },
+
+    UPDATE_SKILL: async (param) => {
+      try {
+        const data = extractJSON(param) || JSON.parse(param);
+        const name = skillSlug(data.name);
+        let found = false;
+        await updateKey(storage, 'urchinSkills', (current = []) => {
+          found = current.some(s => s.name === name);
+          if (!found) return undefined;
+          return current.map(s => (s.name !== name ? s : {
+            ...s,
+            ...(data.instruction !== undefined ? { instruction: data.instruction } : {}),
+            ...(data.when !== undefined ? { when: data.when } : {}),
+            ...(data.always !== undefined ? { always: !!data.always } : {}),
+            updatedAt: Date.now(),
+          }));
+        });
+        if (!found) return { error: `No skill "${name}". Use LEARN_SKILL to add it.` };
+        return { success: true, message: `Updated skill "${name}".` };
+      } catch (e) {
+        return { error: `Update skill failed: ${e.message}` };
+      }
+    },
+
+    DISABLE_SKILL: async (param) => {
+      try {
+        const data = param.trim().startsWith('{') ? extractJSON(param) || {} : { name: param };
+        const name = skillSlug(data.name);
+        const disabled = data.enable !== true;
+        let found = false;
+        await updateKey(storage, 'urchinSkills', (current = []) => {
+          found = current.some(s => s.name === name);
+          if (!found) return undefined;
+          return current.map(s => (s.name === name ? { ...s, disabled, updatedAt: Date.now() } : s));
+        });
+        if (!found) return { error: `No skill "${name}".` };
+        return { success: true, message: `Skill "${name}" ${disabled ? 'disabled' : 're-enabled'}.` };
+      } catch (e) {
+        return { error: `Disable skill failed: ${e.message}` };
+      }
+    },
+
+    LIST_SKILLS: async (param) => {
+      try {
+        const includeDisabled = /true/i.test(String(extractJSON(param)?.includeDisabled ?? param));
+        const { urchinSkills = [] } = await storage.get('urchinSkills');
+        const skills = urchinSkills.filter(s => includeDisabled || !s.disabled);
+        return {
+          success: true,
+          count: skills.length,
+          skills: skills.map(s => ({
+            name: s.name, instruction: s.instruction, when: s.when || '', always: !!s.always,
+            disabled: !!s.disabled, source: s.source || 'learned', score: s.score ?? 50, usageCount: s.usageCount || 0,
+          })),
+        };
+      } catch (e) {
+        return { error: `List skills failed: ${e.message}` };
+      }
+    },
+
+    SET_GOAL: async (param) => {
+      try {
+        const plan = extractJSON(param) || JSON.parse(param);
+        if (!plan.project) return { error: 'Need a "project" name.' };
+        const now = Date.now();
+        const milestones = (plan.milestones || []).map(m => ({
+          name: m.name, tasks: m.tasks || [], status: m.status || 'pending',
+          notes: m.notes || '', dueDate: normalizeDueDate(m.dueDate),
+          dependsOn: [...new Set(m.dependsOn || [])], updatedAt: now
+        }));
+        const invalid = validateMilestoneDependencies(milestones);
+        if (invalid) return { error: invalid };
+        const dueDate = normalizeDueDate(plan.dueDate);
+        await updateKey(storage, 'urchinProjects', (current = {}) => {
+          const previous = current[plan.project];
+          return evictStaleProjects({
+            ...current,
+            [plan.project]: {
+              goals: plan.goals || [],
+              dueDate,
+              // Keep the history of subtasks already attached to surviving milestones
+              milestones: milestones.map(m => {
+                const old = previous?.milestones.find(o => o.name === m.name);
+                return old?.subtasks ? { ...m, subtasks: old.subtasks } : m;
+              }),
+              createdAt: previous?.createdAt || now,
+              updatedAt: now
+            },
+          });
+        });
+        return { success: true, message: `Project "${plan.project}" saved with ${milestones.length} milestones.` };
+      } catch (e) { return { error: `Set goal failed: ${e.message}` }; }
+    },
+
+    UPDATE_GOAL: async (param) => {
+      try {
+        const upd = extractJSON(param) || JSON.parse(param);
+        if (!upd.project || !upd.milestone) return { error: 'Need "project" and "milestone".' };
+        const dueDate = upd.dueDate !== undefined ? normalizeDueDate(upd.dueDate) : undefined;
+        let failure = null;
+        let proj = null;
+        let ms = null;
+        await updateKey(storage, 'urchinProjects', (current = {}) => {
+          const urchinProjects = JSON.parse(JSON.stringify(current));
+          proj = urchinProjects[upd.project];
+          failure = !proj ? `No project "${upd.project}".` : null;
+          ms = proj?.milestones.find(m => m.name === upd.milestone);
+          if (proj && !ms) failure = `No milestone "${upd.milestone}".`;
+          if (failure) return undefined;
+          if (upd.status) ms.status = upd.status;
+          if (upd.notes) ms.notes = (ms.notes ? ms.notes + ' | ' : '') + upd.notes;
+          if (dueDate !== undefined) ms.dueDate = dueDate;
+          if (upd.dependsOn !== undefined) {
+            ms.dependsOn = [...new Set(upd.dependsOn || [])];
+            failure = validateMilestoneDependencies(proj.milestones);
+            if (failure) return undefined;
+          }
+          ms.updatedAt = Date.now();
+          proj.updatedAt = Date.now();
+          return urchinProjects;
+        });
+        if (failure) return { error: failure };
+        const blockers = milestoneBlockers(proj, ms);
+        const warning = blockers.length > 0 && ms.status !== 'pending' && ms.status !== 'blocked'
+          ? ` Note: still depends on unfinished ${blockers.join(', ')}.`
+          : '';
+        return { success: true, message: `"${upd.milestone}" → ${ms.status}. ${proj.milestones.filter(m => m.status === 'done').length}/${proj.milestones.length} done.${warning}` };
+      } catch (e) { return { error: `Update goal failed: ${e.message}` }; }
+    },
+
+    GET_GOALS: async () => {
+      try {
+        const { urchinProjects = {} } = await storage.get('urchinProjects');
+        const projects = Object.entries(urchinProjects);
+        if (projects.length === 0) return { success: true, projects: [], message: 'No project plans.' };
+        return { success: true, projects: projects.map(([name, p]) => ({
+          name, goals: p.goals, dueDate: p.dueDate || null,
+          milestones: p.milestones.map(m => ({
+            name: m.name, status: m.status, tasks: m.tasks, notes: m.notes, dueDate: m.dueDate || null,
+            dependsOn: m.dependsOn || [], blockedBy: milestoneBlockers(p, m), subtasks: (m.subtasks || []).map(st => st.task),
+          })),
+          progress: `${p.milestones.filter(m => m.status === 'done').length}/${p.milestones.length}`
+        })) };
+      } catch (e) { return { error: `Get goals failed: ${e.message}` }; }
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * TOOL PROTOCOL (text tags or native function calling)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const BUILT_IN_TOOL_SPECS = {
+  WEB_SEARCH: {
+    description: 'Search the web for real-time info. Returns ranked results (title, url, snippet), with page content for the top results when configured.',
+    parameters: { type: 'object', properties: { query: { type: 'string', description: 'Search query' } }, required: ['query'] },
+    examples: [{ query: 'Solana token price' }],
+    cacheable: true,
+  },
+  FETCH_URL: {
+    description: 'Fetch a URL and read its main content: article text from HTML (with title, description, publish date and links), JSON, RSS/Atom feeds, plain text or markdown.',
+    parameters: { type: 'object', properties: { url: { type: 'string', description: 'Absolute http(s) URL' } }, required: ['url'] },
+    examples: [{ url: 'https://example.com' }],
+    cacheable: true,
+  },
+  REMEMBER: {
+    description: 'Save a fact to persistent memory. Optional tags, importance (1-5, default 3) and ttlDays for facts that go stale.',
+    parameters: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' },
+        value: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        importance: { type: 'integer', minimum: 1, maximum: 5 },
+        ttlDays: { type: 'number' },
+      },
+      required: ['key', 'value'],
+    },
+    examples: [{ key: 'favorite_chain', value: 'Solana', tags: ['crypto'] }],
+    parallelSafe: false,
+  },
+  UPDATE_MEMORY: {
+    description: 'Change the value, tags, importance or expiry (ttlDays, 0 = never) of a saved memory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' },
+        value: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        importance: { type: 'integer', minimum: 1, maximum: 5 },
+        ttlDays: { type: 'number' },
+      },
+      required: ['key'],
+    },
+    examples: [{ key: 'favorite_chain', value: 'Ethereum' }],
+    parallelSafe: false,
+  },
+  FORGET: {
+    description: 'Delete a saved memory by key.',
+    parameters: { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] },
+    examples: [{ key: 'favorite_chain' }],
+    parallelSafe: false,
+  },
+  LIST_MEMORIES: {
+    description: 'List saved memories with their tags and metadata, optionally only those with a tag.',
+    parameters: { type: 'object', properties: { tag: { type: 'string' } } },
+    examples: [{ tag: 'crypto' }],
+  },
+  RECALL: {
+    description: 'Recall saved info by key. Use "all" for everything.',
+    parameters: { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] },
+    examples: [{ key: 'all' }],
+  },
+  SEARCH_MEMORY: {
+    description: 'Semantic search across memories (embeddings when available, keyword fallback).',
+    parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+    examples: [{ query: 'wallet addresses' }],
+  },
+  LEARN_SKILL: {
+    description: 'Save a lasting behavioral rule for how to respond (e.g. after a correction). "when" describes the situations it applies to; always=true applies it everywhere.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        instruction: { type: 'string' },
+        when: { type: 'string' },
+        always: { type: 'boolean' },
+      },
+      required: ['name', 'instruction'],
+    },
+    examples: [{ name: 'no-emoji', instruction: 'Never use emoji in replies.', always: true }],
+    parallelSafe: false,
+  },
+  UPDATE_SKILL: {
+    description: 'Edit the instruction, "when" or "always" of a learned skill.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        instruction: { type: 'string' },
+        when: { type: 'string' },
+        always: { type: 'boolean' },
+      },
+      required: ['name'],
+    },
+    examples: [{ name: 'no-emoji', instruction: 'Avoid emoji except in casual chat.' }],
+    parallelSafe: false,
+  },
+  DISABLE_SKILL: {
+    description: 'Stop applying a learned skill (enable=true turns it back on).',
+    parameters: {
+      type: 'object',
+      properties: { name: { type: 'string' }, enable: { type: 'boolean' } },
+      required: ['name'],
+    },
+    examples: [{ name: 'no-emoji' }],
+    parallelSafe: false,
+  },
+  LIST_SKILLS: {
+    description: 'List learned skills with scores and usage.',
+    parameters: { type: 'object', properties: { includeDisabled: { type: 'boolean' } } },
+  },
+  SET_GOAL: {
+    description: 'Create or replace a multi-session project plan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        project: { type: 'string' },
+        goals: { type: 'array', items: { type: 'string' } },
+        dueDate: { type: 'string', description: 'YYYY-MM-DD' },
+        milestones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              tasks: { type: 'array', items: { type: 'string' } },
+              status: { type: 'string' },
+              notes: { type: 'string' },
+              dueDate: { type: 'string', description: 'YYYY-MM-DD' },
+              dependsOn: { type: 'array', items: { type: 'string' }, description: 'Names of milestones that must be done first' },
+            },
+            required: ['name'],
+          },
+        },
+      },
+      required: ['project'],
+    },
+    examples: [{
+      project: 'launch-site', goals: ['Ship landing page'],
+      milestones: [{ name: 'Design', tasks: ['Wireframe'], dueDate: '2025-07-01' }, { name: 'Build', dependsOn: ['Design'] }],
+    }],
+    parallelSafe: false,
+  },
+  UPDATE_GOAL: {
+    description: 'Update the status or notes of a project milestone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        project: { type: 'string' },
+        milestone: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'in_progress', 'done', 'blocked'] },
+        notes: { type: 'string' },
+        dueDate: { type: 'string', description: 'YYYY-MM-DD, or empty to clear' },
+        dependsOn: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['project', 'milestone'],
+    },
+    examples: [{ project: 'launch-site', milestone: 'Design', status: 'done' }],
+    parallelSafe: false,
+  },
+  GET_GOALS: {
+    description: 'List project plans with milestone progress.',
+    parameters: { type: 'object', properties: {} },
+  },
+};
+
+const LEGACY_TOOL_PARAMETERS = { type: 'object', properties: { input: { type: 'string' } } };
+
+/**
+ * Native call arguments → the single string a legacy (param, ctx) handler expects
+ */
+function argsToParam(args, parameters) {
+  const props = Object.keys(parameters?.properties || {});
+  if (props.length === 0) return '';
+  if (props.length === 1) {
+    const v = args?.[props[0]];
+    return v == null ? '' : typeof v === 'string' ? v : JSON.stringify(v);
+  }
+  return JSON.stringify(args || {});
+}
+
+/**
+ * Text-tag param string → the arguments object a schema'd handler expects
+ */
+function paramToArgs(param, parameters) {
+  const props = Object.keys(parameters?.properties || {});
+  const parsed = param.trim().startsWith('{') ? extractJSON(param) : null;
+  if (parsed && typeof parsed === 'object') return parsed;
+  if (props.length === 1) return param ? { [props[0]]: param } : {};
+  return {};
+}
+
+/**
+ * Normalize a tools map into a registry callable from either protocol.
+ * Entries are legacy handlers `async (param, ctx) => result` or definitions:
+ *
+ *   {
+ *     description: 'What it does',
+ *     parameters: { type: 'object', properties: {...}, required: [...] },
+ *     examples: [{ ...args }],
+ *     parallelSafe: true,   // false → calls of this tool run one at a time
+ *     cacheable: false,     // true → decomposed subtasks share results of identical calls
+ *     policy: 'auto',       // 'require-approval' → ask onApprovalRequired first; 'deny' → never run
+ *     handler: async (args, ctx) => result,
+ *   }
+ *
+ * Arguments are validated and coerced against `parameters` before the
+ * handler runs; failures come back to the model as validationErrors.
+ * Legacy handlers named like a built-in use the built-in spec; other legacy
+ * handlers get the raw param unvalidated.
+ */
+function buildToolRegistry(tools, specs = BUILT_IN_TOOL_SPECS) {
+  const registry = {};
+  for (const [name, entry] of Object.entries(tools)) {
+    if (typeof entry === 'function') {
+      const spec = specs[name];
+      registry[name] = spec
+        ? createToolEntry(name, spec, (args, ctx) => entry(argsToParam(args, spec.parameters), ctx))
+        : {
+          name,
+          description: `Custom tool ${name}.`,
+          parameters: LEGACY_TOOL_PARAMETERS,
+          examples: [],
+          parallelSafe: true,
+          cacheable: false,
+          policy: null,
+          invoke: (input, ctx) => entry(typeof input === 'string' ? input : argsToParam(input, LEGACY_TOOL_PARAMETERS), ctx),
+        };
+    } else if (entry && typeof entry.handler === 'function') {
+      registry[name] = createToolEntry(name, entry, entry.handler);
+    }
+  }
+  return registry;
+}
+
+function createToolEntry(name, def, call) {
+  const tool = {
+    name,
+    description: def.description || '',
+    parameters: def.parameters || { type: 'object', properties: {} },
+    examples: def.examples || [],
+    parallelSafe: def.parallelSafe !== false,
+    cacheable: def.cacheable === true,
+    policy: def.policy ? assertToolPolicy(def.policy, `tool ${name}`) : null,
+  };
+  tool.invoke = async (input, ctx) => {
+    const args = typeof input === 'string' ? paramToArgs(input, tool.parameters) : (input || {});
+    const { value, errors } = validateToolArgs(args, tool.parameters);
+    if (errors.length > 0) {
+      return {
+        error: `Invalid parameters for ${name}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        validationErrors: errors,
+        usage: formatToolUsage(tool),
+      };
+    }
+    return call(value, ctx);
+  };
+  return tool;
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * TOOL ARGUMENT VALIDATION (JSON Schema subset with coercion)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function schemaTypeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function matchesSchemaType(v, type) {
+  const actual = schemaTypeOf(v);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Coerce a value an LLM is likely to send ("3", "true", a JSON string) into
+ * the schema type. Returns undefined when no sensible coercion exists.
+ */
+function coerceToSchemaType(v, type) {
+  const str = typeof v === 'string' ? v.trim() : null;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      if (str === null || str === '' || !isFinite(Number(str))) return undefined;
+      const n = Number(str);
+      return type === 'integer' && !Number.isInteger(n) ? undefined : n;
+    }
+    case 'boolean':
+      if (str === null) return undefined;
+      if (/^(true|yes|1)$/i.test(str)) return true;
+      if (/^(false|no|0)$/i.test(str)) return false;
+      return undefined;
+    case 'string':
+      if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+      if (v && typeof v === 'object') return JSON.stringify(v);
+      return undefined;
+    case 'object': {
+      if (str === null || !str.startsWith('{')) return undefined;
+      const obj = extractJSON(str);
+      return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : undefined;
+    }
+    case 'array':
+      if (str !== null && str.startsWith('[')) {
+        try {
+          const arr = JSON.parse(str);
+          return Array.isArray(arr) ? arr : undefined;
+        } catch (_) {
+          return undefined;
+        }
+      }
+      return v === undefined || v === null ? undefined : [v];
+    case 'null':
+      return str === '' || str === 'null' ? null : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate and coerce tool arguments against a JSON Schema subset: type,
+ * properties, required, additionalProperties, enum, default, items,
+ * minimum/maximum, minLength/maxLength, pattern, minItems/maxItems.
+ * Returns { value, errors: [{ path, message }] }.
+ */
+function validateToolArgs(value, schema = {}, path = '') {
+  const errors = [];
+  const where = path || '(root)';
+  let v = value === undefined && schema.default !== undefined ? JSON.parse(JSON.stringify(schema.default)) : value;
+  if (v === undefined) return { value: v, errors };
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(t => matchesSchemaType(v, t))) {
+    const coerced = types.map(t => coerceToSchemaType(v, t)).find(c => c !== undefined);
+    if (coerced === undefined) {
+      errors.push({ path: where, message: `must be ${types.join(' or ')}, got ${schemaTypeOf(v)}` });
+      return { value: v, errors };
+    }
+    v = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) {
+    errors.push({ path: where, message: `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}` });
+  }
+  if (typeof v === 'string') {
+    if (schema.minLength != null && v.length < schema.minLength) errors.push({ path: where, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength != null && v.length > schema.maxLength) errors.push({ path: where, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) errors.push({ path: where, message: `must match ${schema.pattern}` });
+  }
+  if (typeof v === 'number') {
+    if (schema.minimum != null && v < schema.minimum) errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && v > schema.maximum) errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+  }
+  if (Array.isArray(v)) {
+    if (schema.minItems != null && v.length < schema.minItems) errors.push({ path: where, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems != null && v.length > schema.maxItems) errors.push({ path: where, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) {
+      v = v.map((item, i) => {
+        const r = validateToolArgs(item, schema.items, `${path}[${i}]`);
+        errors.push(...r.errors);
+        return r.value;
+      });
+    }
+  }
+  if (schemaTypeOf(v) === 'object' && (schema.properties || schema.required)) {
+    const out = { ...v };
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      const r = validateToolArgs(out[key], sub, path ? `${path}.${key}` : key);
+      errors.push(...r.errors);
+      if (r.value !== undefined) out[key] = r.value;
+    }
+    for (const key of schema.required || []) {
+      if (out[key] === undefined || out[key] === null) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(out)) {
+        if (!schema.properties?.[key]) errors.push({ path: path ? `${path}.${key}` : key, message: 'is not allowed' });
+      }
+    }
+    v = out;
+  }
+  return { value: v, errors };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * TOOL PROMPT (TOOLS section generated from the registry)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+function schemaPlaceholder(schema = {}) {
+  if (schema.enum) return JSON.stringify(schema.enum.join('|'));
+  const type = [].concat(schema.type || 'string')[0];
+  if (type === 'number' || type === 'integer') return '0';
+  if (type === 'boolean') return 'true';
+  if (type === 'array') return '[...]';
+  if (type === 'object') return '{...}';
+  return '"..."';
+}
+
+/**
+ * Text-protocol usage line for a tool, e.g. <<TOOL:REMEMBER:{"key":"...","value":"..."}>>
+ */
+function formatToolUsage(tool) {
+  const props = Object.entries(tool.parameters?.properties || {});
+  if (props.length === 0) return `<<TOOL:${tool.name}>>`;
+  if (props.length === 1) return `<<TOOL:${tool.name}:${props[0][0]}>>`;
+  return `<<TOOL:${tool.name}:{${props.map(([k, sub]) => `"${k}":${schemaPlaceholder(sub)}`).join(',')}}>>`;
+}
+
+/**
+ * Render the TOOLS section of the system prompt from a registry (or from the
+ * built-in specs when none is given)
+ */
+function renderToolsPrompt(tools, { toolMode = 'text' } = {}) {
+  const list = tools
+    ? Object.values(tools)
+    : Object.entries(BUILT_IN_TOOL_SPECS).map(([name, spec]) => ({ name, ...spec }));
+
+  const optionalNote = (tool) => {
+    const required = new Set(tool.parameters?.required || []);
+    const optional = Object.keys(tool.parameters?.properties || {}).filter(k => !required.has(k));
+    return optional.length > 0 && Object.keys(tool.parameters.properties).length > 1 ? ` Optional: ${optional.join(', ')}.` : '';
+  };
+
+  if (toolMode === 'native') {
+    return 'TOOLS — call these through the function-calling interface (parameters are provided with the request):\n' +
+      list.map(t => `- ${t.name} — ${t.description}`).join('\n');
+  }
+  return 'TOOLS — include the exact tag to invoke:\n' + list.map(t => {
+    let line = `${formatToolUsage(t)} — ${t.description}${optionalNote(t)}`;
+    for (const ex of (t.examples || []).slice(0, 2)) line += `\n    e.g. <<TOOL:${t.name}${Object.keys(t.parameters?.properties || {}).length ? ':' + argsToParam(ex, t.parameters) : ''}>>`;
+    return line;
+  }).join('\n');
+}
+
+function parseToolArguments(args) {
+  if (args && typeof args === 'object') return args;
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (_) {
+    return extractJSON(String(args)) || {};
+  }
+}
+
+function toOpenAITools(tools) {
+  return tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+}
+
+function toAnthropicTools(tools) {
+  return tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+}
+
+/**
+ * Loop messages → OpenAI chat messages (tool calls and tool results included)
+ */
+function toOpenAIMessages(systemPrompt, messages) {
+  const out = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      out.push({ role: 'tool', tool_call_id: m.toolCallId, content: String(m.content ?? '') });
+    } else if (m.role === 'assistant' && m.toolCalls?.length) {
+      out.push({
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(tc => ({
+          id: tc.id, type: 'function', function: { name: tc.name, arguments: JSON.stringify(tc.arguments ?? {}) },
+        })),
+      });
+    } else {
+      out.push({ role: m.role, content: m.content });
+    }
+  }
+  return out;
+}
+
+/**
+ * Loop messages → Anthropic Messages content blocks. Consecutive same-role
+ * messages are merged since the API requires strict user/assistant turns.
+ */
+function toAnthropicMessages(messages) {
+  const out = [];
+  const push = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.toolCallId, content: String(m.content ?? '') }]);
+    } else if (m.role === 'assistant') {
+      push('assistant', [
+        ...(m.content ? [{ type: 'text', text: m.content }] : []),
+        ...(m.toolCalls || []).map(tc => ({ type: 'tool_use', id: tc.id, name: tc.name, input: tc.arguments ?? {} })),
+      ]);
+    } else {
+      push('user', [{ type: 'text', text: String(m.content ?? '') }]);
+    }
+  }
+  return out;
+}
+
+function fromOpenAIMessage(message = {}) {
+  return {
+    content: message.content || '',
+    toolCalls: (message.tool_calls || []).map(tc => ({
+      id: tc.id, name: tc.function?.name, arguments: parseToolArguments(tc.function?.arguments),
+    })),
+  };
+}
+
+function fromAnthropicContent(blocks = []) {
+  return {
+    content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+    toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * LLM PROVIDERS (OpenAI-compatible, Anthropic Messages, Ollama)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const STOP_REASONS = {
+  stop: 'stop', end_turn: 'stop', stop_sequence: 'stop',
+  length: 'length', max_tokens: 'length',
+  tool_calls: 'tool_calls', tool_use: 'tool_calls', function_call: 'tool_calls',
+  content_filter: 'content_filter', refusal: 'content_filter',
+};
+
+function normalizeStopReason(reason) {
+  return reason ? STOP_REASONS[reason] || reason : null;
+}
+
+/**
+ * POST a JSON body to an LLM endpoint with the run signal and a 120s timeout.
+ * Returns the response plus fail (maps errors) and done (releases the timer).
+ */
+async function requestLLM(url, headers, body, signal) {
+  const req = linkedSignal(signal, 120000);
+  const fail = (e) => {
+    if (signal?.aborted) return createAbortError(abortMessage(signal));
+    if (e.name === 'AbortError') {
+      const err = new Error('LLM request timed out.');
+      err.timeout = true;
+      return err;
+    }
+    return e;
+  };
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: req.signal,
+    });
+    if (!res.ok) {
+      const err = new Error(`LLM API ${res.status}: ${(await res.text()).slice(0, 300)}`);
+      err.status = res.status;
+      const retryAfterMs = parseRetryAfter(res.headers.get('retry-after-ms'), res.headers.get('retry-after'));
+      if (retryAfterMs != null) err.retryAfterMs = retryAfterMs;
+      throw err;
+    }
+    return { res, fail, done: () => req.dispose() };
+  } catch (e) {
+    req.dispose();
+    throw fail(e);
+  }
+}
+
+/**
+ * Retry-After as milliseconds: retry-after-ms, delta-seconds, or an HTTP date
+ */
+function parseRetryAfter(msHeader, header) {
+  if (msHeader && isFinite(Number(msHeader))) return Math.max(0, Number(msHeader));
+  if (!header) return null;
+  if (isFinite(Number(header))) return Math.max(0, Number(header) * 1000);
+  const at = Date.parse(header);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Report usage and stop reason to callOptions.onMeta (the loop logs them)
+ */
+function metaReporter(provider, model, callOptions) {
+  return (usage, stopReason) => {
+    if (!callOptions.onMeta) return;
+    try {
+      callOptions.onMeta({ provider, model, usage, stopReason: normalizeStopReason(stopReason) });
+    } catch (_) {}
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, OpenRouter, vLLM, LM Studio…).
+ * With callOptions.stream, returns an async iterable of text deltas (SSE)
+ * instead of the full completion string. With callOptions.tools, returns
+ * { content, toolCalls } (streamed tool calls arrive as final items).
+ */
+async function callOpenAIChat(systemPrompt, messages, settings = {}, callOptions = {}) {
+  const apiKey = settings.llmApiKey || settings.apiKey;
+  const model = settings.llmModel || settings.model || 'gpt-4o-mini';
+  const baseUrl = settings.llmBaseUrl || 'https://api.openai.com/v1/chat/completions';
+  const stream = !!callOptions.stream;
+  const tools = callOptions.tools || [];
+  const report = metaReporter('openai', model, callOptions);
+
+  // Self-hosted compatible servers often need no key
+  if (!apiKey && !settings.llmBaseUrl) throw new Error('No LLM API key configured. Set llmApiKey in settings.');
+
+  const { res, fail, done } = await requestLLM(baseUrl, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+    model,
+    messages: toOpenAIMessages(systemPrompt, messages),
+    temperature: settings.temperature ?? 0.7,
+    max_tokens: settings.maxTokens || 8192,
+    ...(tools.length > 0 ? { tools: toOpenAITools(tools) } : {}),
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+  }, callOptions.signal);
+
+  if (stream) return streamOpenAIDeltas(res, fail, done, report);
+  try {
+    const data = await res.json();
+    const choice = data.choices?.[0];
+    report(openAIUsage(data.usage), choice?.finish_reason);
+    if (tools.length > 0) return fromOpenAIMessage(choice?.message);
+    return choice?.message?.content || '';
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    done();
+  }
+}
+
+function openAIUsage(usage) {
+  return usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null;
+}
+
+async function* streamOpenAIDeltas(res, fail, onFinish, report) {
+  const calls = [];
+  let usage = null;
+  let stopReason = null;
+  try {
+    for await (const evt of parseSSE(res.body)) {
+      if (evt.data === '[DONE]') break;
+      let data;
+      try { data = JSON.parse(evt.data); } catch (_) { continue; }
+      if (data.usage) usage = openAIUsage(data.usage);
+      const choice = data.choices?.[0];
+      if (choice?.finish_reason) stopReason = choice.finish_reason;
+      const delta = choice?.delta || {};
+      if (delta.content) yield delta.content;
+      // Tool call name/arguments arrive in fragments keyed by index
+      for (const tc of delta.tool_calls || []) {
+        const i = tc.index ?? calls.length;
+        const call = calls[i] || (calls[i] = { id: '', name: '', args: '' });
+        if (tc.id) call.id = tc.id;
+        if (tc.function?.name) call.name += tc.function.name;
+        if (tc.function?.arguments) call.args += tc.function.arguments;
+      }
+    }
+    for (const call of calls.filter(Boolean)) {
+      yield { type: 'tool_call', id: call.id, name: call.name, arguments: parseToolArguments(call.args) };
+    }
+    report(usage, stopReason);
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    onFinish();
+  }
+}
+
+/**
+ * Anthropic Messages API: top-level system prompt, content blocks, tool_use.
+ * Same return contract as callOpenAIChat.
+ */
+async function callAnthropicMessages(systemPrompt, messages, settings = {}, callOptions = {}) {
+  const apiKey = settings.llmApiKey || settings.apiKey;
+  const model = settings.llmModel || settings.model || 'claude-3-5-sonnet-latest';
+  const baseUrl = settings.llmBaseUrl || 'https://api.anthropic.com/v1/messages';
+  const stream = !!callOptions.stream;
+  const tools = callOptions.tools || [];
+  const report = metaReporter('anthropic', model, callOptions);
+
+  if (!apiKey) throw new Error('No LLM API key configured. Set llmApiKey in settings.');
+
+  const { res, fail, done } = await requestLLM(baseUrl, {
+    'x-api-key': apiKey,
+    'anthropic-version': settings.anthropicVersion || '2023-06-01',
+  }, {
+    model,
+    ...(systemPrompt ? { system: systemPrompt } : {}),
+    messages: toAnthropicMessages(messages),
+    temperature: settings.temperature ?? 0.7,
+    max_tokens: settings.maxTokens || 8192,
+    ...(tools.length > 0 ? { tools: toAnthropicTools(tools) } : {}),
+    ...(stream ? { stream: true } : {}),
+  }, callOptions.signal);
+
+  if (stream) return streamAnthropicDeltas(res, fail, done, report);
+  try {
+    const data = await res.json();
+    report(anthropicUsage(data.usage), data.stop_reason);
+    const turn = fromAnthropicContent(data.content || []);
+    return tools.length > 0 ? turn : turn.content;
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    done();
+  }
+}
+
+function anthropicUsage(usage) {
+  return usage ? { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 } : null;
+}
+
+async function* streamAnthropicDeltas(res, fail, onFinish, report) {
+  const blocks = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let stopReason = null;
+  try {
+    for await (const evt of parseSSE(res.body)) {
+      let data;
+      try { data = JSON.parse(evt.data); } catch (_) { continue; }
+      if (data.type === 'message_start') {
+        usage.inputTokens = data.message?.usage?.input_tokens || 0;
+      } else if (data.type === 'content_block_start') {
+        blocks[data.index] = { ...data.content_block, json: '' };
+      } else if (data.type === 'content_block_delta') {
+        if (data.delta?.type === 'text_delta') yield data.delta.text;
+        else if (data.delta?.type === 'input_json_delta' && blocks[data.index]) blocks[data.index].json += data.delta.partial_json;
+      } else if (data.type === 'message_delta') {
+        if (data.delta?.stop_reason) stopReason = data.delta.stop_reason;
+        if (data.usage?.output_tokens) usage.outputTokens = data.usage.output_tokens;
+      } else if (data.type === 'error') {
+        throw new Error(`LLM API stream error: ${data.error?.message || 'unknown'}`);
+      }
+    }
+    for (const b of blocks.filter(b => b?.type === 'tool_use')) {
+      yield { type: 'tool_call', id: b.id, name: b.name, arguments: parseToolArguments(b.json || b.input) };
+    }
+    report(usage, stopReason);
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    onFinish();
+  }
+}
+
+/**
+ * Ollama-style local server (/api/chat). Streams newline-delimited JSON.
+ */
+async function callOllamaChat(systemPrompt, messages, settings = {}, callOptions = {}) {
+  const model = settings.llmModel || settings.model || 'llama3.1';
+  const baseUrl = settings.llmBaseUrl || 'http://localhost:11434/api/chat';
+  const stream = !!callOptions.stream;
+  const tools = callOptions.tools || [];
+  const report = metaReporter('ollama', model, callOptions);
+  const apiKey = settings.llmApiKey || settings.apiKey;
+
+  // Ollama wants tool call arguments as objects, not JSON strings
+  const wire = toOpenAIMessages(systemPrompt, messages).map(m => (m.tool_calls
+    ? { ...m, content: m.content || '', tool_calls: m.tool_calls.map(tc => ({ function: { name: tc.function.name, arguments: parseToolArguments(tc.function.arguments) } })) }
+    : m));
+
+  const { res, fail, done } = await requestLLM(baseUrl, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+    model,
+    messages: wire,
+    stream,
+    options: { temperature: settings.temperature ?? 0.7, num_predict: settings.maxTokens || 8192 },
+    ...(tools.length > 0 ? { tools: toOpenAITools(tools) } : {}),
+  }, callOptions.signal);
+
+  if (stream) return streamOllamaDeltas(res, fail, done, report);
+  try {
+    const data = await res.json();
+    report(ollamaUsage(data), data.done_reason);
+    if (tools.length > 0) return fromOllamaMessage(data.message);
+    return data.message?.content || '';
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    done();
+  }
+}
+
+function ollamaUsage(data) {
+  return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+}
+
+function fromOllamaMessage(message = {}) {
+  return {
+    content: message.content || '',
+    toolCalls: (message.tool_calls || []).map((tc, i) => ({
+      id: tc.id || `call_${i + 1}`, name: tc.function?.name, arguments: parseToolArguments(tc.function?.arguments),
+    })),
+  };
+}
+
+async function* streamOllamaDeltas(res, fail, onFinish, report) {
+  try {
+    for await (const line of readLines(res.body)) {
+      if (!line.trim()) continue;
+      let data;
+      try { data = JSON.parse(line); } catch (_) { continue; }
+      if (data.error) throw new Error(`LLM API stream error: ${data.error}`);
+      if (data.message?.content) yield data.message.content;
+      for (const tc of fromOllamaMessage(data.message).toolCalls) yield { type: 'tool_call', ...tc };
+      if (data.done) report(ollamaUsage(data), data.done_reason);
+    }
+  } catch (e) {
+    throw fail(e);
+  } finally {
+    onFinish();
+  }
+}
+
+/**
+ * Chat providers by name. Add your own: LLM_PROVIDERS.mine = async (system, messages, settings, callOptions) => …
+ */
+const LLM_PROVIDERS = {
+  openai: callOpenAIChat,
+  anthropic: callAnthropicMessages,
+  ollama: callOllamaChat,
+};
+
+/**
+ * Default LLM caller — dispatches on settings.provider (default 'openai')
+ */
+async function defaultCallLLM(systemPrompt, messages, settings = {}, callOptions = {}) {
+  const name = settings.provider || 'openai';
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+  return provider(systemPrompt, messages, settings, callOptions);
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * RESILIENCE (retry with backoff, fallback chain, circuit breaker)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const DEFAULT_RETRY = { retries: 2, baseDelayMs: 500, maxDelayMs: 20000 };
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError(abortMessage(signal)));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(abortMessage(signal)));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const NETWORK_ERROR_CODE = /^(ECONNREFUSED|ECONNRESET|ECONNABORTED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|EPIPE|EHOSTUNREACH|ENETUNREACH|UND_ERR_)/;
+
+/**
+ * fetch's own failure to reach the server: a code like ECONNRESET on the
+ * error or its cause (Node), or the TypeError browsers throw. Any other
+ * TypeError is a bug, not an outage.
+ */
+function isNetworkError(e) {
+  if (NETWORK_ERROR_CODE.test(e.code || '') || NETWORK_ERROR_CODE.test(e.cause?.code || '')) return true;
+  return e.name === 'TypeError' && /^(fetch failed|failed to fetch|networkerror|load failed|network request failed)/i.test(e.message || '');
+}
+
+/**
+ * 408/409/425/429/5xx, timeouts and network failures are worth retrying.
+ * Custom callLLM implementations can set err.status or err.retryable.
+ */
+function isRetryableLLMError(e) {
+  if (!e || e.name === 'AbortError') return false;
+  if (typeof e.retryable === 'boolean') return e.retryable;
+  if (e.status) return [408, 409, 425, 429].includes(e.status) || e.status >= 500;
+  return !!e.timeout || isNetworkError(e);
+}
+
+/**
+ * Exponential backoff with jitter; a server's Retry-After wins if longer
+ */
+function backoffDelay(attempt, policy, retryAfterMs) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  const jittered = Math.round(cap / 2 + Math.random() * cap / 2);
+  return retryAfterMs != null ? Math.max(retryAfterMs, jittered) : jittered;
+}
+
+function llmTargetKey(settings = {}) {
+  return `${settings.provider || 'openai'}:${settings.llmModel || settings.model || 'default'}`;
+}
+
+/**
+ * Per-target circuit breaker. After failureThreshold consecutive retryable
+ * failures a target is skipped for cooldownMs; the next call after that is
+ * a trial, and one more failure re-opens it.
+ */
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+  const circuits = {};
+  return {
+    isOpen(key) {
+      const c = circuits[key];
+      return !!c && c.openedAt > 0 && Date.now() - c.openedAt < cooldownMs;
+    },
+    recordSuccess(key) {
+      delete circuits[key];
+    },
+    recordFailure(key) {
+      const c = circuits[key] || (circuits[key] = { failures: 0, openedAt: 0 });
+      c.failures++;
+      if (c.failures >= failureThreshold) c.openedAt = Date.now();
+    },
+    state(key) {
+      const c = circuits[key];
+      if (!c || c.openedAt === 0) return 'closed';
+      return this.isOpen(key) ? 'open' : 'half-open';
+    },
+  };
+}
+
+/**
+ * Tag `e` as an LLM failure — out of retries and fallbacks, circuit open,
+ * or a stream that broke part-way — which urchinLoop turns into a failed
+ * result instead of rejecting
+ */
+function markLLMFailure(e) {
+  if (e && typeof e === 'object' && !Object.isFrozen(e)) e.llmFailure = true;
+  return e;
+}
+
+// Default breakers, one per callLLM: runs through the same caller share
+// circuit state, a different caller (or a fixed one) starts closed
+const defaultCircuitBreakers = new WeakMap();
+
+function defaultCircuitBreakerFor(callLLM) {
+  if (!defaultCircuitBreakers.has(callLLM)) defaultCircuitBreakers.set(callLLM, createCircuitBreaker());
+  return defaultCircuitBreakers.get(callLLM);
+}
+
+/**
+ * Wrap a callLLM with retries and a fallback chain. `fallbacks` is a list of
+ * settings overrides ({ provider, llmModel, llmApiKey, … }) tried in order
+ * after the primary settings. Streams are retried only until their first
+ * delta arrives. Every attempt is reported to onAttempt.
+ */
+function createResilientCallLLM(callLLM, { retry = {}, fallbacks = [], breaker = null, onAttempt = null } = {}) {
+  const policy = { ...DEFAULT_RETRY, ...(retry || { retries: 0 }) };
+  const record = (attempt) => {
+    if (!onAttempt) return;
+    try { onAttempt(attempt); } catch (_) {}
+  };
+
+  // Hold back a stream until its first item so early failures can be retried
+  const attemptOnce = async (systemPrompt, messages, target, callOptions) => {
+    const result = await callLLM(systemPrompt, messages, target, callOptions);
+    if (!result || typeof result[Symbol.asyncIterator] !== 'function') return result;
+    const it = result[Symbol.asyncIterator]();
+    const first = await abortable(it.next(), callOptions.signal);
+    return (async function* () {
+      if (first.done) return;
+      yield first.value;
+      try {
+        yield* { [Symbol.asyncIterator]: () => it };
+      } catch (e) {
+        throw callOptions.signal?.aborted || e?.name === 'AbortError' ? e : markLLMFailure(e);
+      }
+    })();
+  };
+
+  return async function resilientCallLLM(systemPrompt, messages, settings = {}, callOptions = {}) {
+    const signal = callOptions.signal;
+    const all = [settings, ...fallbacks.map(f => ({ ...settings, ...f }))];
+    const targets = breaker ? all.filter(t => !breaker.isOpen(llmTargetKey(t))) : all;
+    if (targets.length === 0) {
+      const err = new Error(`LLM unavailable: circuit open for ${all.map(llmTargetKey).join(', ')}.`);
+      err.circuitOpen = true;
+      throw markLLMFailure(err);
+    }
+
+    let lastError;
+    for (let t = 0; t < targets.length; t++) {
+      const key = llmTargetKey(targets[t]);
+      const next = targets[t + 1];
+      for (let attempt = 0; attempt <= policy.retries; attempt++) {
+        throwIfAborted(signal);
+        const started = Date.now();
+        const base = { purpose: callOptions.purpose || null, target: key, attempt: attempt + 1 };
+        try {
+          const result = await attemptOnce(systemPrompt, messages, targets[t], callOptions);
+          if (breaker) breaker.recordSuccess(key);
+          record({ ...base, ok: true, durationMs: Date.now() - started });
+          return result;
+        } catch (e) {
+          if (signal?.aborted || e.name === 'AbortError') throw e;
+          lastError = e;
+          const retryable = isRetryableLLMError(e);
+          if (retryable && breaker) breaker.recordFailure(key);
+          const failed = { ...base, ok: false, error: e.message, ...(e.status ? { status: e.status } : {}), durationMs: Date.now() - started };
+          // Retry the same target unless it's hopeless, asks us to wait too
+          // long while a fallback exists, or its circuit just opened
+          const waitTooLong = next && e.retryAfterMs > policy.maxDelayMs;
+          if (retryable && attempt < policy.retries && !waitTooLong && !(breaker && breaker.isOpen(key))) {
+            const delayMs = backoffDelay(attempt, policy, e.retryAfterMs);
+            record({ ...failed, retryInMs: delayMs });
+            await sleep(delayMs, signal);
+            continue;
+          }
+          record({ ...failed, ...(next ? { fallbackTo: llmTargetKey(next) } : {}) });
+          break;
+        }
+      }
+    }
+    throw markLLMFailure(lastError);
   };
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
- * CONTEXT & MESSAGE UTILITIES
+ * USAGE & BUDGETS (token accounting, cost ceilings)
  * ───────────────────────────────────────────────────────────────────────── */
 
+// Output tokens assumed for a call when checking whether it fits the budget
+const DEFAULT_OUTPUT_RESERVE = 1000;
+const BUDGET_FINAL_NOTE = '[Budget limit reached. Do not call any more tools. Give your best final answer now using what you already have.]';
+
 /**
- * Trim messages to stay within context window budget
+ * Cost of a call in USD. `pricing` maps model names (exact match, else the
+ * longest matching prefix, else '*') to { input, output } USD per million
+ * tokens, or is a function (model, usage) => usd.
  */
-function trimMessagesToBudget(messages, budget = MAX_CONTEXT_CHARS) {
-  let total = messages.reduce((s, m) => s + (m.content || '').length, 0);
-  let i = 0;
-  while (total > budget && i < messages.length - 2) {
-    const old = messages[i].content.length;
-    messages[i].content = messages[i].content.slice(0, 200) + '…[trimmed]';
-    total -= old - messages[i].content.length;
-    i++;
-  }
-  return messages;
+function priceUsage(pricing, model, usage) {
+  if (!pricing || !usage) return 0;
+  if (typeof pricing === 'function') return Number(pricing(model, usage)) || 0;
+  const name = model || '';
+  const prefix = Object.keys(pricing).filter(k => name.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  const rate = pricing[name] || pricing[prefix] || pricing['*'];
+  if (!rate) return 0;
+  return ((usage.inputTokens || 0) * (rate.input || 0) + (usage.outputTokens || 0) * (rate.output || 0)) / 1e6;
 }
 
 /**
- * Summarize large tool results to avoid context overflow
+ * Accumulates token usage and cost for a run and checks them against
+ * `budget` (this run) and `userBudget` (this run plus `userSpent`, the
+ * user's ledger at the start of the run). Both take { maxTokens, maxCostUsd }.
  */
-function summarizeToolResult(toolName, result) {
-  const raw = JSON.stringify(result);
-  if (raw.length <= 3000) return raw;
-  if (toolName === 'FETCH_URL' && result.contentPreview) {
-    return JSON.stringify({ ...result, contentPreview: (result.contentPreview || '').slice(0, 2500) + '…[truncated]' });
-  }
-  return raw.slice(0, 2500) + '…[truncated]';
+function createUsageMeter({ pricing = null, countTokens = estimateTokens, budget = null, userBudget = null, userSpent = null } = {}) {
+  const totals = { inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, calls: 0, estimated: false, byPurpose: {} };
+  const prior = { totalTokens: userSpent?.totalTokens || 0, costUsd: userSpent?.costUsd || 0 };
+  const over = (limits, tokens, cost) =>
+    !!limits && ((limits.maxTokens != null && tokens > limits.maxTokens) || (limits.maxCostUsd != null && cost > limits.maxCostUsd));
+
+  return {
+    countTokens,
+    record({ purpose = 'other', model = null, usage, estimated = false }) {
+      const inputTokens = usage?.inputTokens || 0;
+      const outputTokens = usage?.outputTokens || 0;
+      const costUsd = priceUsage(pricing, model, { inputTokens, outputTokens });
+      const bucket = totals.byPurpose[purpose] || (totals.byPurpose[purpose] = { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0 });
+      for (const t of [totals, bucket]) {
+        t.inputTokens += inputTokens;
+        t.outputTokens += outputTokens;
+        t.costUsd += costUsd;
+        t.calls++;
+      }
+      totals.totalTokens = totals.inputTokens + totals.outputTokens;
+      if (estimated) totals.estimated = true;
+    },
+    /** 'run' or 'user' if spending `projected` ({ inputTokens, outputTokens }) would break a limit, else null */
+    exceeded(projected = {}, model = null) {
+      const tokens = totals.totalTokens + (projected.inputTokens || 0) + (projected.outputTokens || 0);
+      const cost = totals.costUsd + priceUsage(pricing, model, projected);
+      if (over(budget, tokens, cost)) return 'run';
+      if (over(userBudget, prior.totalTokens + tokens, prior.costUsd + cost)) return 'user';
+      return null;
+    },
+    totals() {
+      return { ...totals, byPurpose: Object.fromEntries(Object.entries(totals.byPurpose).map(([k, v]) => [k, { ...v }])) };
+    },
+  };
 }
 
 /**
- * Extract JSON from LLM output (handles markdown wrapping)
+ * Wrap a callLLM so every call is recorded on `meter` under
+ * callOptions.purpose (or `purpose`). Provider-reported usage (via onMeta) is used when
+ * available; otherwise input and output are estimated with the meter's
+ * tokenizer. With `enforce`, calls that would break a budget throw instead.
  */
-function extractJSON(raw) {
-  let cleaned = raw.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-  try {
-    return JSON.parse(cleaned);
-  } catch (_) {}
-  const start = cleaned.indexOf('{');
-  const end = cleaned.lastIndexOf('}');
-  if (start !== -1 && end > start) {
-    try {
-      return JSON.parse(cleaned.slice(start, end + 1));
-    } catch (_) {}
+function meterCallLLM(callLLM, meter, { enforce = false, reserveTokens = DEFAULT_OUTPUT_RESERVE, purpose = 'other' } = {}) {
+  return async function meteredCallLLM(systemPrompt, messages, settings = {}, callOptions = {}) {
+    const model = settings.llmModel || settings.model || null;
+    const inputTokens = meter.countTokens(systemPrompt) + countMessageTokens(messages, meter.countTokens);
+    const limit = enforce && meter.exceeded({ inputTokens, outputTokens: reserveTokens }, model);
+    if (limit) {
+      const err = new Error(`LLM call skipped: ${limit} budget exhausted.`);
+      err.budgetExceeded = limit;
+      throw err;
+    }
+
+    let meta = null;
+    const onMeta = (m) => {
+      meta = m;
+      if (callOptions.onMeta) callOptions.onMeta(m);
+    };
+    const result = await callLLM(systemPrompt, messages, settings, { ...callOptions, onMeta });
+    return tapLLMResult(result, ({ content, toolCalls }) => {
+      const output = content + (toolCalls.length ? JSON.stringify(toolCalls.map(tc => tc.arguments)) : '');
+      const usage = meta?.usage || { inputTokens, outputTokens: meter.countTokens(output) };
+      meter.record({ purpose: callOptions.purpose || purpose, model: meta?.model || model, usage, estimated: !meta?.usage });
+    });
+  };
+}
+
+/**
+ * Call onSettle({ content, toolCalls }, error) once a callLLM result is
+ * complete. Streams are passed through and settle when they end.
+ */
+function tapLLMResult(result, onSettle) {
+  if (result && typeof result[Symbol.asyncIterator] === 'function') {
+    return (async function* () {
+      let content = '';
+      const toolCalls = [];
+      let error = null;
+      try {
+        for await (const item of result) {
+          if (typeof item === 'string') content += item;
+          else if (item?.type === 'tool_call') toolCalls.push(item);
+          yield item;
+        }
+      } catch (e) {
+        error = e;
+        throw e;
+      } finally {
+        onSettle({ content, toolCalls }, error);
+      }
+    })();
   }
-  return null;
+  if (typeof result === 'string') onSettle({ content: result, toolCalls: [] }, null);
+  else onSettle({ content: result?.content || '', toolCalls: result?.toolCalls || [] }, null);
+  return result;
+}
+
+/**
+ * Per-user usage ledger (storage key urchinUsage). With periodMs, totals
+ * reset once the current period is older than that.
+ */
+async function loadUsageLedger(storage, periodMs = 0) {
+  const { urchinUsage } = await storage.get('urchinUsage');
+  return freshUsageLedger(urchinUsage, periodMs);
+}
+
+function freshUsageLedger(urchinUsage, periodMs) {
+  const fresh = { periodStart: Date.now(), inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, runs: 0 };
+  if (!urchinUsage || (periodMs > 0 && Date.now() - urchinUsage.periodStart >= periodMs)) return fresh;
+  return { ...fresh, ...urchinUsage };
+}
+
+async function addToUsageLedger(storage, delta, periodMs = 0, runs = 0) {
+  return updateKey(storage, 'urchinUsage', (current) => {
+    const ledger = freshUsageLedger(current, periodMs);
+    ledger.inputTokens += delta.inputTokens;
+    ledger.outputTokens += delta.outputTokens;
+    ledger.totalTokens += delta.totalTokens;
+    ledger.costUsd += delta.costUsd;
+    ledger.runs += runs;
+    return ledger;
+  });
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
- * SEMANTIC MEMORY — embeddings + cosine similarity with keyword fallback
+ * TRACING & REPLAY (structured run traces, offline regression replays)
  * ───────────────────────────────────────────────────────────────────────── */
 
-function cosineSimilarity(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  let dot = 0, magA = 0, magB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    magA += a[i] * a[i];
-    magB += b[i] * b[i];
-  }
-  const denom = Math.sqrt(magA) * Math.sqrt(magB);
-  return denom === 0 ? 0 : dot / denom;
+// Storage keys snapshotted into a trace so a replay sees the same memory
+const TRACE_STORAGE_KEYS = ['urchinCondensed', 'urchinMemory', 'urchinProfile', 'urchinSkills', 'urchinUsage'];
+
+/**
+ * Settings without credentials, safe to put in a trace
+ */
+function redactSettings(settings = {}) {
+  return Object.fromEntries(Object.entries(settings).filter(([k, v]) =>
+    typeof v !== 'function' && !/key|token|secret|password|authorization/i.test(k)));
 }
 
-async function getEmbedding(text, settings) {
-  const apiKey = settings.llmApiKey || settings.apiKey;
-  if (!apiKey) return null;
-  const baseUrl = settings.llmBaseUrl || 'https://api.openai.com/v1';
-  const embUrl = baseUrl.replace(/\/chat\/completions\/?$/, '') + '/embeddings';
-  try {
-    const res = await fetch(embUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
-      body: JSON.stringify({ model: 'text-embedding-3-small', input: text.slice(0, 2000) }),
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    return data.data?.[0]?.embedding || null;
-  } catch (_) {
-    return null;
-  }
+/**
+ * Collects trace events for a run. child(tags) returns a recorder that
+ * writes into the same event list with `tags` (e.g. { subtask: 1 }) added.
+ */
+function createTraceRecorder() {
+  const events = [];
+  const make = (tags) => ({
+    events,
+    record(event) {
+      events.push({ seq: events.length + 1, ...tags, ...event });
+    },
+    child(more) {
+      return make({ ...tags, ...more });
+    },
+  });
+  return make({});
 }
 
-function keywordFallback(query, memory) {
-  const keywords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-  if (keywords.length === 0) return { matches: [], method: 'keyword' };
-  const matches = [];
-  for (const [key, value] of Object.entries(memory)) {
-    if (key.startsWith('_')) continue;
-    const combined = `${key} ${value}`.toLowerCase();
-    const matchCount = keywords.filter(kw => combined.includes(kw)).length;
-    if (matchCount > 0) {
-      matches.push({ key, value: String(value).slice(0, 200), relevance: matchCount / keywords.length });
+/**
+ * Wrap a callLLM so every call is recorded as an 'llm' trace event with its
+ * request, response (or error), provider meta and duration. Calls cut short
+ * by cancellation are not recorded.
+ */
+function traceCallLLM(callLLM, recorder, getStep = () => null) {
+  return async function tracedCallLLM(systemPrompt, messages, settings = {}, callOptions = {}) {
+    const started = Date.now();
+    const event = {
+      type: 'llm',
+      purpose: callOptions.purpose || 'other',
+      step: getStep(),
+      request: {
+        systemPrompt,
+        messages: JSON.parse(JSON.stringify(messages.map(({ sections, ...m }) => m))),
+        stream: !!callOptions.stream,
+        ...(callOptions.tools ? { tools: callOptions.tools.map(t => t.name) } : {}),
+      },
+    };
+    const onMeta = (m) => {
+      event.meta = m;
+      if (callOptions.onMeta) callOptions.onMeta(m);
+    };
+    const finish = (fields) => recorder.record({ ...event, ...fields, durationMs: Date.now() - started });
+    const failure = (e) => ({ error: { message: e.message, ...(e.status ? { status: e.status } : {}) } });
+
+    let result;
+    try {
+      result = await callLLM(systemPrompt, messages, settings, { ...callOptions, onMeta });
+    } catch (e) {
+      if (e.name !== 'AbortError') finish(failure(e));
+      throw e;
     }
-  }
-  matches.sort((a, b) => b.relevance - a.relevance);
-  return { matches: matches.slice(0, 10), method: 'keyword' };
+    return tapLLMResult(result, (response, error) => {
+      if (!error) finish({ response });
+      else if (error.name !== 'AbortError') finish({ response, ...failure(error) });
+    });
+  };
 }
 
-async function semanticRecallWithEmbeddings(query, memory, storage, settings) {
-  const queryEmb = await getEmbedding(query, settings);
-  if (!queryEmb) return keywordFallback(query, memory);
-
-  const { urchinEmbeddingCache = {} } = await storage.get('urchinEmbeddingCache');
-  const matches = [];
-  let cacheUpdated = false;
+/**
+ * Stub callLLM and tools that play a recorded trace back. LLM responses are
+ * served in recorded order per purpose (plan, step, compact, synthesize…),
+ * tool results in recorded order per tool name. Anything the replay asks for
+ * that the trace doesn't have lands in `mismatches`.
+ */
+function createReplayStubs(trace) {
+  const llmQueues = {};
+  const toolQueues = {};
+  const known = new Set((trace.tools || []).map(t => t.name));
+  for (const ev of trace.events || []) {
+    if (ev.type === 'llm') (llmQueues[ev.purpose] || (llmQueues[ev.purpose] = [])).push(ev);
+    if (ev.type === 'tool' && known.has(ev.name)) (toolQueues[ev.name] || (toolQueues[ev.name] = [])).push(ev);
+  }
+  const mismatches = [];
 
-  for (const [key, value] of Object.entries(memory)) {
-    if (key.startsWith('_')) continue;
-    const text = `${key}: ${value}`;
-    let emb = urchinEmbeddingCache[key];
-    if (!emb) {
-      emb = await getEmbedding(text, settings);
-      if (emb) { urchinEmbeddingCache[key] = emb; cacheUpdated = true; }
+  async function callLLM(systemPrompt, messages, settings, callOptions = {}) {
+    const purpose = callOptions.purpose || 'other';
+    const ev = llmQueues[purpose]?.shift();
+    if (!ev) {
+      mismatches.push({ type: 'llm', purpose, message: `No recorded ${purpose} response left.` });
+      throw new Error(`Replay: no recorded LLM response for "${purpose}".`);
     }
-    if (emb) {
-      const sim = cosineSimilarity(queryEmb, emb);
-      if (sim > 0.25) matches.push({ key, value: String(value).slice(0, 200), relevance: Math.round(sim * 100) / 100 });
+    if (ev.meta && callOptions.onMeta) callOptions.onMeta(ev.meta);
+    if (ev.error && !ev.response) {
+      const err = new Error(ev.error.message);
+      if (ev.error.status) err.status = ev.error.status;
+      throw err;
     }
-  }
-
-  if (cacheUpdated) {
-    const keys = Object.keys(urchinEmbeddingCache);
-    if (keys.length > 300) {
-      for (const k of keys.slice(0, keys.length - 300)) delete urchinEmbeddingCache[k];
+    const { content = '', toolCalls = [] } = ev.response || {};
+    if (callOptions.stream) {
+      return (async function* () {
+        if (content) yield content;
+        for (const tc of toolCalls) yield { ...tc, type: 'tool_call' };
+      })();
     }
-    await storage.set({ urchinEmbeddingCache });
+    return callOptions.tools ? { content, toolCalls } : content;
   }
 
-  matches.sort((a, b) => b.relevance - a.relevance);
-  return { matches: matches.slice(0, 10), method: 'embeddings' };
-}
-
-async function relevanceFilterMemories(userInput, memories, storage, settings, maxResults = 8) {
-  const queryEmb = await getEmbedding(userInput, settings);
-  const { urchinEmbeddingCache = {} } = await storage.get('urchinEmbeddingCache');
-  const scored = [];
-  let cacheUpdated = false;
-
-  for (const [key, value] of Object.entries(memories)) {
-    if (key.startsWith('_')) continue;
-    const text = `${key}: ${String(value).slice(0, 500)}`;
-    if (queryEmb) {
-      let emb = urchinEmbeddingCache[key];
-      if (!emb) {
-        emb = await getEmbedding(text, settings);
-        if (emb) { urchinEmbeddingCache[key] = emb; cacheUpdated = true; }
-      }
-      if (emb) {
-        scored.push({ key, value, sim: cosineSimilarity(queryEmb, emb) });
-        continue;
-      }
-    }
-    const kw = userInput.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-    const combined = text.toLowerCase();
-    const mc = kw.filter(w => combined.includes(w)).length;
-    scored.push({ key, value, sim: kw.length > 0 ? (mc / kw.length) * 0.5 : 0 });
+  const tools = {};
+  for (const t of trace.tools || []) {
+    tools[t.name] = {
+      description: t.description,
+      parameters: {},
+      parallelSafe: t.parallelSafe,
+      handler: async () => {
+        const ev = toolQueues[t.name]?.shift();
+        if (!ev) {
+          mismatches.push({ type: 'tool', name: t.name, message: `No recorded ${t.name} result left.` });
+          return { error: `Replay: no recorded result for ${t.name}.` };
+        }
+        return ev.result;
+      },
+    };
   }
 
-  if (cacheUpdated) {
-    const keys = Object.keys(urchinEmbeddingCache);
-    if (keys.length > 300) {
-      for (const k of keys.slice(0, keys.length - 300)) delete urchinEmbeddingCache[k];
-    }
-    await storage.set({ urchinEmbeddingCache });
-  }
+  const unused = () => ({
+    llm: Object.values(llmQueues).reduce((n, q) => n + q.length, 0),
+    tools: Object.values(toolQueues).reduce((n, q) => n + q.length, 0),
+  });
+  return { callLLM, tools, mismatches, unused };
+}
 
-  scored.sort((a, b) => b.sim - a.sim);
-  return scored.filter(s => s.sim > 0.2).slice(0, maxResults);
+/**
+ * Re-run a recorded trace through urchinLoop with stub callLLM and tools,
+ * on a memory storage seeded from the trace. Deterministic and offline, so
+ * a saved trace doubles as a regression test:
+ *
+ *   const r = await replayTrace(JSON.parse(fs.readFileSync('bad-answer.json')));
+ *   assert.equal(r.answer, r.replay.expectedAnswer);
+ *
+ * `options` override the recorded ones (e.g. a changed systemPrompt).
+ */
+async function replayTrace(trace, options = {}) {
+  const stubs = createReplayStubs(trace);
+  const storage = createMemoryStorage();
+  await storage.set(JSON.parse(JSON.stringify(trace.storage || {})));
+  const recorded = trace.options || {};
+  const result = await urchinLoop(trace.userInput, {
+    ...recorded,
+    ...(trace.input || {}),
+    settings: { ...(recorded.settings || {}), embeddingProvider: 'none' },
+    storage,
+    callLLM: stubs.callLLM,
+    tools: stubs.tools,
+    retry: false,
+    fallbacks: [],
+    circuitBreaker: null,
+    runPostJobs: false,
+    trace: true,
+    ...options,
+  });
+  const unused = stubs.unused();
+  return {
+    ...result,
+    replay: {
+      ok: stubs.mismatches.length === 0 && unused.llm === 0 && unused.tools === 0,
+      expectedAnswer: trace.answer,
+      mismatches: stubs.mismatches,
+      unused,
+    },
+  };
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
- * BUILT-IN TOOLS (implement only what you need; override via options.tools)
+ * STREAMING (SSE parsing, incremental THINK/TOOL tag detection)
  * ───────────────────────────────────────────────────────────────────────── */
 
-async function webSearch(query, _ctx) {
-  try {
-    const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`;
-    const res = await fetch(url);
-    const data = await res.json();
-    const results = [];
-    if (data.AbstractText) {
-      results.push({ title: data.Heading || query, snippet: data.AbstractText, url: data.AbstractURL });
-    }
-    if (data.RelatedTopics) {
-      for (const topic of (data.RelatedTopics || []).slice(0, 5)) {
-        if (topic.Text) results.push({ snippet: topic.Text, url: topic.FirstURL || '' });
-        if (topic.Topics) {
-          for (const sub of topic.Topics.slice(0, 2)) {
-            if (sub.Text) results.push({ snippet: sub.Text, url: sub.FirstURL || '' });
-          }
-        }
+/**
+ * Yield lines from a fetch body (ReadableStream or async iterable of bytes)
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  const push = function* (chunk) {
+    buf += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      yield buf.slice(0, nl).replace(/\r$/, '');
+      buf = buf.slice(nl + 1);
+    }
+  };
+  if (body && typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield* push(value);
       }
+    } finally {
+      reader.releaseLock();
     }
-    return { success: true, results: results.slice(0, 8) };
-  } catch (e) {
-    return { error: e.message };
+  } else if (body) {
+    for await (const chunk of body) yield* push(chunk);
   }
+  buf += decoder.decode();
+  if (buf) yield buf;
 }
 
-async function fetchUrl(url, _ctx) {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-    const res = await fetch(url.trim(), {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; UrchinLoop/1.0)' },
-    });
-    clearTimeout(timeout);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const html = await res.text();
-    const text = html
-      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-      .replace(/<[^>]+>/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    return { success: true, url: url.trim(), contentPreview: text.slice(0, 8000) };
-  } catch (e) {
-    return { error: `Fetch failed: ${e.message}` };
+/**
+ * Parse a server-sent events body into {event, data} records
+ */
+async function* parseSSE(body) {
+  let event = 'message';
+  let data = [];
+  for await (const line of readLines(body)) {
+    if (line === '') {
+      if (data.length > 0) yield { event, data: data.join('\n') };
+      event = 'message';
+      data = [];
+    } else if (line.startsWith(':')) {
+      continue;
+    } else if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
   }
+  if (data.length > 0) yield { event, data: data.join('\n') };
 }
 
-function createBuiltInTools(storage) {
-  return {
-    WEB_SEARCH: webSearch,
-
-    FETCH_URL: fetchUrl,
-
-    REMEMBER: async (param) => {
-      try {
-        const data = extractJSON(param) || JSON.parse(param);
-        const { key, value } = data;
-        if (!key) return { error: 'REMEMBER needs {"key":"...","value":"..."}' };
-        const { urchinMemory = {} } = await storage.get('urchinMemory');
-        urchinMemory[key] = value;
-        await storage.set({ urchinMemory });
-        return { success: true, message: `Remembered "${key}".` };
-      } catch (e) {
-        return { error: `Memory save failed: ${e.message}` };
-      }
-    },
+/**
+ * Drain a callLLM result into { content, toolCalls }, forwarding text deltas
+ * to onDelta. Accepts a string, a { content, toolCalls } object, or an async
+ * iterable of string deltas and { type: 'tool_call', id, name, arguments }.
+ */
+async function readLLMTurn(result, onDelta, signal) {
+  let content = '';
+  const toolCalls = [];
+  const addCall = (tc) => toolCalls.push({
+    id: tc.id || `call_${toolCalls.length + 1}`,
+    name: tc.name,
+    arguments: parseToolArguments(tc.arguments),
+  });
 
-    RECALL: async (param) => {
-      try {
-        const key = param.trim();
-        const { urchinMemory = {} } = await storage.get('urchinMemory');
-        if (key === 'all') {
-          return { success: true, memory: urchinMemory };
+  if (result && typeof result[Symbol.asyncIterator] === 'function') {
+    const it = result[Symbol.asyncIterator]();
+    try {
+      while (true) {
+        const { done, value: item } = await abortable(it.next(), signal);
+        if (done) break;
+        if (!item) continue;
+        if (typeof item === 'string') {
+          content += item;
+          if (onDelta) onDelta(item);
+        } else if (item.type === 'tool_call') {
+          addCall(item);
         }
-        return { success: true, key, value: urchinMemory[key] ?? 'Nothing saved under this key.' };
-      } catch (e) {
-        return { error: `Memory recall failed: ${e.message}` };
       }
-    },
-
-    SEARCH_MEMORY: async (query, ctx) => {
-      try {
-        const { urchinMemory = {}, urchinProfile = {} } = await storage.get(['urchinMemory', 'urchinProfile']);
-        const combined = {
-          ...urchinMemory,
-          ...Object.fromEntries(Object.entries(urchinProfile).map(([k, v]) => [`profile_${k}`, v])),
-        };
-        const settings = ctx?.settings || {};
-        return { success: true, query, ...(await semanticRecallWithEmbeddings(query, combined, storage, settings)) };
-      } catch (e) {
-        return { error: `Memory search failed: ${e.message}` };
-      }
-    },
-
-    SET_GOAL: async (param) => {
-      try {
-        const plan = extractJSON(param) || JSON.parse(param);
-        if (!plan.project) return { error: 'Need a "project" name.' };
-        const { urchinProjects = {} } = await storage.get('urchinProjects');
-        urchinProjects[plan.project] = {
-          goals: plan.goals || [],
-          milestones: (plan.milestones || []).map(m => ({
-            name: m.name, tasks: m.tasks || [], status: m.status || 'pending',
-            notes: m.notes || '', updatedAt: Date.now()
-          })),
-          createdAt: urchinProjects[plan.project]?.createdAt || Date.now(),
-          updatedAt: Date.now()
-        };
-        const keys = Object.keys(urchinProjects);
-        if (keys.length > 10) delete urchinProjects[keys[0]];
-        await storage.set({ urchinProjects });
-        return { success: true, message: `Project "${plan.project}" saved with ${plan.milestones?.length || 0} milestones.` };
-      } catch (e) { return { error: `Set goal failed: ${e.message}` }; }
-    },
-
-    UPDATE_GOAL: async (param) => {
-      try {
-        const upd = extractJSON(param) || JSON.parse(param);
-        if (!upd.project || !upd.milestone) return { error: 'Need "project" and "milestone".' };
-        const { urchinProjects = {} } = await storage.get('urchinProjects');
-        const proj = urchinProjects[upd.project];
-        if (!proj) return { error: `No project "${upd.project}".` };
-        const ms = proj.milestones.find(m => m.name === upd.milestone);
-        if (!ms) return { error: `No milestone "${upd.milestone}".` };
-        if (upd.status) ms.status = upd.status;
-        if (upd.notes) ms.notes = (ms.notes ? ms.notes + ' | ' : '') + upd.notes;
-        ms.updatedAt = Date.now();
-        proj.updatedAt = Date.now();
-        await storage.set({ urchinProjects });
-        return { success: true, message: `"${upd.milestone}" → ${upd.status}. ${proj.milestones.filter(m => m.status === 'done').length}/${proj.milestones.length} done.` };
-      } catch (e) { return { error: `Update goal failed: ${e.message}` }; }
-    },
+    } catch (e) {
+      if (typeof it.return === 'function') Promise.resolve(it.return()).catch(() => {});
+      throw e;
+    }
+    return { content, toolCalls };
+  }
 
-    GET_GOALS: async () => {
-      try {
-        const { urchinProjects = {} } = await storage.get('urchinProjects');
-        const projects = Object.entries(urchinProjects);
-        if (projects.length === 0) return { success: true, projects: [], message: 'No project plans.' };
-        return { success: true, projects: projects.map(([name, p]) => ({
-          name, goals: p.goals,
-          milestones: p.milestones.map(m => ({ name: m.name, status: m.status, tasks: m.tasks, notes: m.notes })),
-          progress: `${p.milestones.filter(m => m.status === 'done').length}/${p.milestones.length}`
-        })) };
-      } catch (e) { return { error: `Get goals failed: ${e.message}` }; }
-    },
-  };
+  if (result && typeof result === 'object') {
+    content = String(result.content ?? '');
+    for (const tc of result.toolCalls || []) addCall(tc);
+  } else {
+    content = typeof result === 'string' ? result : String(result ?? '');
+  }
+  if (content && onDelta) onDelta(content);
+  return { content, toolCalls };
 }
 
-/* ─────────────────────────────────────────────────────────────────────────
- * LLM CALLER (default — OpenAI-compatible; replace with your provider)
- * ───────────────────────────────────────────────────────────────────────── */
+/**
+ * Drain a callLLM result — either a string or an async iterable of deltas —
+ * forwarding each delta to onDelta. Returns the full text.
+ */
+async function readLLMResponse(result, onDelta, signal) {
+  return (await readLLMTurn(result, onDelta, signal)).content;
+}
 
-async function defaultCallLLM(systemPrompt, messages, settings = {}) {
-  const apiKey = settings.llmApiKey || settings.apiKey;
-  const model = settings.llmModel || settings.model || 'gpt-4o-mini';
-  const baseUrl = settings.llmBaseUrl || 'https://api.openai.com/v1/chat/completions';
+/**
+ * Incremental parser for <<THINK>>…<</THINK>> and <<TOOL:NAME:param>> tags.
+ * Text that could still turn into a tag is held back until it is resolved,
+ * so partial tags never reach onText; one still open at end() is dropped.
+ */
+function createTagStreamParser(handlers = {}) {
+  const THINK_OPEN = '<<THINK>>';
+  const THINK_CLOSE = '<</THINK>>';
+  const TOOL_OPEN = '<<TOOL:';
+  let buf = '';
+  let inThink = false;
+  let thinkText = '';
 
-  if (!apiKey) throw new Error('No LLM API key configured. Set llmApiKey in settings.');
+  const text = (s) => { if (s && handlers.onText) handlers.onText(s); };
+  const think = (s) => {
+    if (!s) return;
+    thinkText += s;
+    if (handlers.onThinkDelta) handlers.onThinkDelta(s);
+  };
+  // Length of the longest suffix of `s` that is a prefix of `tag`
+  const partialSuffix = (s, tag) => {
+    for (let n = Math.min(s.length, tag.length - 1); n > 0; n--) {
+      if (tag.startsWith(s.slice(-n))) return n;
+    }
+    return 0;
+  };
 
-  const body = JSON.stringify({
-    model,
-    messages: [{ role: 'system', content: systemPrompt }, ...messages],
-    temperature: 0.7,
-    max_tokens: 8192,
-  });
+  function drain() {
+    while (buf.length > 0) {
+      if (inThink) {
+        const end = buf.indexOf(THINK_CLOSE);
+        if (end === -1) {
+          const hold = partialSuffix(buf, THINK_CLOSE);
+          think(buf.slice(0, buf.length - hold));
+          buf = buf.slice(buf.length - hold);
+          return;
+        }
+        think(buf.slice(0, end));
+        buf = buf.slice(end + THINK_CLOSE.length);
+        inThink = false;
+        if (handlers.onThinkEnd) handlers.onThinkEnd(thinkText.trim());
+        thinkText = '';
+        continue;
+      }
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 120000);
+      const start = buf.indexOf('<<');
+      if (start === -1) {
+        const hold = buf.endsWith('<') ? 1 : 0;
+        text(buf.slice(0, buf.length - hold));
+        buf = buf.slice(buf.length - hold);
+        return;
+      }
+      text(buf.slice(0, start));
+      buf = buf.slice(start);
 
-  try {
-    const res = await fetch(baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body,
-      signal: controller.signal,
-    });
-    clearTimeout(timeout);
-    if (!res.ok) throw new Error(`LLM API ${res.status}: ${(await res.text()).slice(0, 300)}`);
-    const data = await res.json();
-    return data.choices?.[0]?.message?.content || '';
-  } catch (e) {
-    clearTimeout(timeout);
-    if (e.name === 'AbortError') throw new Error('LLM request timed out.');
-    throw e;
+      if (buf.startsWith(THINK_OPEN)) {
+        buf = buf.slice(THINK_OPEN.length);
+        inThink = true;
+        if (handlers.onThinkStart) handlers.onThinkStart();
+        continue;
+      }
+      const m = buf.match(TOOL_REGEX_SINGLE);
+      if (m && m.index === 0) {
+        buf = buf.slice(m[0].length);
+        if (handlers.onTool) handlers.onTool(m[1], (m[2] || '').trim());
+        continue;
+      }
+      // Could still become a tag once more text arrives
+      if (THINK_OPEN.startsWith(buf) || TOOL_OPEN.startsWith(buf) || /^<<TOOL:\w*(>|:[\s\S]*)?$/.test(buf)) return;
+      text(buf[0]);
+      buf = buf.slice(1);
+    }
   }
+
+  return {
+    push(chunk) {
+      buf += chunk;
+      drain();
+    },
+    end() {
+      if (inThink) {
+        think(buf);
+        if (handlers.onThinkEnd) handlers.onThinkEnd(thinkText.trim());
+      } else if (!/^<<./.test(buf)) {
+        // Held text longer than '<<' is a tag cut off by a truncated
+        // stream; it is dropped rather than leaked into the answer
+        text(buf);
+      }
+      buf = '';
+      inThink = false;
+      thinkText = '';
+    },
+  };
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
@@ -420,79 +4384,92 @@ async function loadMemoryLayers(storage, options) {
 
   const {
     urchinCondensed = '',
-    urchinMemory = {},
+    urchinMemory: storedMemory = {},
     urchinProfile = {},
     urchinSkills = [],
-  } = await storage.get(['urchinCondensed', 'urchinMemory', 'urchinProfile', 'urchinSkills']);
+    urchinProjects = {},
+  } = await storage.get(['urchinCondensed', 'urchinMemory', 'urchinProfile', 'urchinSkills', 'urchinProjects']);
 
+  // Every message carries its `layer`; the current user turn is assembled
+  // from `sections` so compaction can cut one layer without touching the rest
   const messages = [];
 
   // Layer 1: Condensed history
   if (urchinCondensed && urchinCondensed.length > 0) {
     messages.push({
       role: 'user',
+      layer: 'condensed',
       content: `[Previous conversation history (condensed):\n${urchinCondensed}]`,
     });
-    messages.push({ role: 'assistant', content: 'Understood — I remember our previous conversations.' });
+    messages.push({ role: 'assistant', layer: 'condensed', content: 'Understood — I remember our previous conversations.' });
   }
 
   // Layer 2: Recent messages (last 30)
   for (const h of history.slice(-MAX_HISTORY)) {
     messages.push({
       role: h.role === 'user' ? 'user' : 'assistant',
+      layer: 'history',
       content: h.text,
     });
   }
 
   // Layer 3: Current user message with context
-  let userMsg = '';
+  let pageMsg = '';
   if (pageContext.url) {
-    userMsg += `[Page: ${pageContext.title || ''} — ${pageContext.url}]\n`;
-    if (pageContext.selection) userMsg += `[Selected text: ${pageContext.selection}]\n`;
-    if (pageContext.visibleText) userMsg += `[Page content: ${String(pageContext.visibleText).slice(0, 3000)}]\n`;
+    pageMsg += `[Page: ${pageContext.title || ''} — ${pageContext.url}]\n`;
+    if (pageContext.selection) pageMsg += `[Selected text: ${pageContext.selection}]\n`;
+    if (pageContext.visibleText) pageMsg += `[Page content: ${String(pageContext.visibleText).slice(0, 3000)}]\n`;
   }
   if (context.length > 0) {
-    userMsg += '\nCaptured context:\n' + context.map(c => `[${c.type}] ${c.value}`).join('\n') + '\n';
+    pageMsg += '\nCaptured context:\n' + context.map(c => `[${c.type}] ${c.value}`).join('\n') + '\n';
   }
-  userMsg += '\n' + (options.userInput || '');
-  messages.push({ role: 'user', content: userMsg.trim() });
+  const current = { role: 'user', layer: 'input', content: '', sections: [] };
+  const addSection = (layer, text) => {
+    current.sections.push({ layer, text });
+    current.content = current.sections.map(sec => sec.text).join('\n\n');
+  };
+  if (pageMsg.trim()) addSection('page', pageMsg.trim());
+  addSection('input', (options.userInput || '').trim());
+  messages.push(current);
 
   // Layer 4: User profile (capped at 50 keys)
   if (urchinProfile && Object.keys(urchinProfile).length > 0) {
     const profileEntries = Object.entries(urchinProfile).slice(-50);
     if (Object.keys(urchinProfile).length > 50) {
-      await storage.set({ urchinProfile: Object.fromEntries(profileEntries) });
+      await updateKey(storage, 'urchinProfile', (current = {}) =>
+        Object.keys(current).length > 50 ? Object.fromEntries(Object.entries(current).slice(-50)) : undefined);
     }
     const profileStr = profileEntries.map(([k, v]) => `  ${k}: ${v}`).join('\n');
-    messages[messages.length - 1].content += `\n\n[User profile (permanent):\n${profileStr}]`;
+    addSection('profile', `[User profile (permanent):\n${profileStr}]`);
   }
 
-  // Layer 5: Relevance-filtered session summaries + manual memories
+  // Layer 5: Relevance-filtered session summaries + manual memories.
+  // Legacy entries are migrated, expired ones dropped and the least
+  // important / least recently used evicted past MAX_MANUAL_MEMORIES.
+  const pruned = pruneMemory(storedMemory);
+  if (pruned) await updateKey(storage, 'urchinMemory', (current) => pruneMemory(current));
+  const urchinMemory = memoryValues(pruned || storedMemory);
   const sessionKeys = Object.keys(urchinMemory).filter(k => k.startsWith('session_')).sort().reverse();
-  const manualKeys = Object.keys(urchinMemory).filter(k => !k.startsWith('session_') && !k.startsWith('_'));
-
-  if (manualKeys.length > 100) {
-    const toRemove = manualKeys.slice(0, manualKeys.length - 100);
-    for (const k of toRemove) delete urchinMemory[k];
-    await storage.set({ urchinMemory });
-  }
 
   const allMemEntries = {};
   for (const k of sessionKeys.slice(0, 20)) allMemEntries[k] = urchinMemory[k];
-  const currentManualKeys = Object.keys(urchinMemory).filter(k => !k.startsWith('session_') && !k.startsWith('_'));
+  const currentManualKeys = Object.keys(urchinMemory).filter(isManualMemoryKey);
   for (const k of currentManualKeys) allMemEntries[k] = urchinMemory[k];
 
   const totalEntries = Object.keys(allMemEntries).length;
   const settings = options.settings || {};
+  // Manual memories put in front of the model — feedback is attributed to them
+  let activeMemoryKeys = [];
 
   if (totalEntries <= 6) {
     if (sessionKeys.length > 0) {
       const sessStr = sessionKeys.slice(0, 10).map(k => urchinMemory[k]).join('\n---\n');
-      messages[messages.length - 1].content += `\n\n[Past session summaries:\n${sessStr}]`;
+      addSection('sessions', `[Past session summaries:\n${sessStr}]`);
     }
     if (currentManualKeys.length > 0) {
+      activeMemoryKeys = currentManualKeys;
       const manStr = currentManualKeys.map(k => `  ${k}: ${urchinMemory[k]}`).join('\n');
-      messages[messages.length - 1].content += `\n\n[Saved memories:\n${manStr}]`;
+      addSection('memories', `[Saved memories:\n${manStr}]`);
     }
   } else {
     const relevant = await relevanceFilterMemories(options.userInput || '', allMemEntries, storage, settings, 10);
@@ -504,61 +4481,128 @@ async function loadMemoryLayers(storage, options) {
 
     if (sessionSet.size > 0) {
       const sessStr = [...sessionSet].map(k => urchinMemory[k]).filter(Boolean).join('\n---\n');
-      messages[messages.length - 1].content += `\n\n[Relevant session summaries (${sessionSet.size}/${sessionKeys.length} total):\n${sessStr}]`;
+      addSection('sessions', `[Relevant session summaries (${sessionSet.size}/${sessionKeys.length} total):\n${sessStr}]`);
     }
     if (relevantManual.length > 0) {
+      activeMemoryKeys = relevantManual.map(r => r.key);
+      await touchMemories(storage, activeMemoryKeys);
       const manStr = relevantManual.map(r => `  ${r.key}: ${r.value}`).join('\n');
-      messages[messages.length - 1].content += `\n\n[Relevant memories (${relevantManual.length}/${currentManualKeys.length} total):\n${manStr}]`;
+      addSection('memories', `[Relevant memories (${relevantManual.length}/${currentManualKeys.length} total):\n${manStr}]`);
     } else if (currentManualKeys.length > 0 && currentManualKeys.length <= 10) {
+      activeMemoryKeys = currentManualKeys;
       const manStr = currentManualKeys.map(k => `  ${k}: ${urchinMemory[k]}`).join('\n');
-      messages[messages.length - 1].content += `\n\n[Saved memories:\n${manStr}]`;
+      addSection('memories', `[Saved memories:\n${manStr}]`);
     }
   }
 
-  // Layer 6: Learned skills — filtered by score, with quality info
+  // Layer 5b: Shared (tenant-wide) knowledge — relevance-filtered like layer 5
+  const sharedMemoryStore = sharedTier(storage, 'memory');
+  if (sharedMemoryStore) {
+    const { urchinMemory: sharedMemory = {} } = await sharedMemoryStore.get('urchinMemory');
+    const sharedEntries = Object.fromEntries(Object.entries(memoryValues(sharedMemory)).filter(([k]) => isManualMemoryKey(k)));
+    const sharedCount = Object.keys(sharedEntries).length;
+    const picked = sharedCount <= 6
+      ? Object.entries(sharedEntries).map(([key, value]) => ({ key, value }))
+      : await relevanceFilterMemories(options.userInput || '', sharedEntries, sharedMemoryStore, settings, 6);
+    if (picked.length > 0) {
+      const sharedStr = picked.map(r => `  ${r.key}: ${r.value}`).join('\n');
+      addSection('memories', `[Shared knowledge (${picked.length}/${sharedCount} total):\n${sharedStr}]`);
+    }
+  }
+
+  // Layer 6: Learned skills — filtered by score and relevance, with quality
+  // info. Shared skills are applied too, but only the user's own are tracked
+  // and scored.
   const activeSkillNames = [];
-  if (urchinSkills && urchinSkills.length > 0) {
-    const viable = urchinSkills.filter(s => (s.score ?? 50) > 15);
-    if (viable.length > 0) {
-      const skillBlock = viable.map(s => {
-        s.usageCount = (s.usageCount || 0) + 1;
-        s.lastUsedAt = Date.now();
+  const sharedSkillStore = sharedTier(storage, 'skills');
+  const { urchinSkills: sharedSkills = [] } = sharedSkillStore ? await sharedSkillStore.get('urchinSkills') : {};
+  const usable = (s) => !s.disabled && (s.score ?? 50) > 15;
+  const ownUsable = (urchinSkills || []).filter(usable);
+  const candidates = [
+    ...ownUsable,
+    ...sharedSkills.filter(s => usable(s) && !ownUsable.some(v => v.name === s.name)).map(s => ({ ...s, shared: true })),
+  ];
+  const relevantSkills = await selectRelevantSkills(options.userInput || '', candidates, storage, settings);
+  const viable = relevantSkills.filter(s => !s.shared);
+  const viableShared = relevantSkills.filter(s => s.shared);
+  if (viable.length > 0 || viableShared.length > 0) {
+    const skillBlock = [
+      ...viable.map(s => {
         activeSkillNames.push(s.name);
         return `  • ${s.name} [score:${s.score ?? 50}]: ${s.instruction}`;
-      }).join('\n');
-      messages[messages.length - 1].content += `\n\n[Learned skills (apply these):\n${skillBlock}]`;
-      await storage.set({ urchinSkills });
+      }),
+      ...viableShared.map(s => `  • ${s.name} [shared]: ${s.instruction}`),
+    ].join('\n');
+    addSection('skills', `[Learned skills (apply these):\n${skillBlock}]`);
+    if (viable.length > 0) {
+      await updateKey(storage, 'urchinSkills', (current = []) => current.map(s => (
+        activeSkillNames.includes(s.name)
+          ? { ...s, usageCount: (s.usageCount || 0) + 1, lastUsedAt: Date.now() }
+          : s
+      )));
     }
   }
 
-  return { messages, activeSkillNames };
+  // Layer 7: Active project plans — open milestones with due dates and
+  // blockers; relevance-filtered once there are several projects, keeping
+  // the most recently touched one for continuity
+  const active = Object.entries(urchinProjects)
+    .filter(([, p]) => isProjectActive(p))
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  let shownProjects = active;
+  if (active.length > PROJECT_INJECT_ALL) {
+    const docs = Object.fromEntries(active.map(([name, p]) => [name, projectDigest(name, p)]));
+    const { matches } = await searchMemories(options.userInput || '', docs, storage, settings, { limit: 3, index: 'projects' });
+    const picked = new Set([active[0][0], ...matches.map(m => m.key)]);
+    shownProjects = active.filter(([name]) => picked.has(name));
+  }
+  if (shownProjects.length > 0) {
+    addSection('projects', `[Active projects (${shownProjects.length}/${active.length}):\n${shownProjects.map(([name, p]) => projectDigest(name, p)).join('\n')}]`);
+  }
+  const activeProjects = active.map(([name, p]) => ({
+    name, milestones: p.milestones.filter(m => m.status !== 'done').map(m => m.name),
+  }));
+
+  return { messages, activeSkillNames, activeMemoryKeys, activeProjects };
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
  * POST-RESPONSE JOBS (background memory maintenance)
  * ───────────────────────────────────────────────────────────────────────── */
 
-async function runPostResponseJobs(storage, messages, history, callLLM, settings, activeSkillNames = []) {
-  const { urchinMemory = {}, urchinCondensed = '' } = await storage.get(['urchinMemory', 'urchinCondensed']);
-  const convCount = parseInt(urchinMemory._convCount || '0', 10) + 1;
-  urchinMemory._convCount = String(convCount);
+const CORRECTION_PATTERNS = [
+  /\bno\b.*\bwrong\b/, /\bstop\b.*\bdoing\b/, /\bdon'?t\b.*\bdo that\b/,
+  /\bnot what i\b/, /\bi didn'?t ask\b/, /\bthat'?s wrong\b/, /\btry again\b/,
+  /\bincorrect\b/, /\bwrong\b/, /\bnot helpful\b/, /\buseless\b/,
+  /\bno[,.]?\s*(that|this) is/, /\bactually[,.]?\s*(i|it|the)\b/
+];
+const PRAISE_PATTERNS = [
+  /\bthanks?\b/, /\bthank you\b/, /\bperfect\b/, /\bgreat\b/, /\bexactly\b/,
+  /\bnice\b/, /\bawesome\b/, /\bgood job\b/, /\blove it\b/, /\bnailed it\b/
+];
+// Standing instructions worth turning into a skill even without a correction
+const PREFERENCE_PATTERNS = [
+  /\bfrom now on\b/, /\bin the future\b/, /\b(always|never)\b.*\b(use|do|reply|answer|write|include|say)\b/,
+  /\bplease (stop|don'?t)\b/, /\bi (prefer|want you to|'?d rather)\b/, /\bnext time\b/
+];
+
+async function runPostResponseJobs(storage, messages, history, callLLM, settings, activeSkillNames = [], jobOptions = {}) {
+  const { signal = null, degraded = false } = jobOptions;
+  throwIfAborted(signal);
+  const { urchinCondensed = '' } = await storage.get('urchinCondensed');
+  const urchinMemory = await updateKey(storage, 'urchinMemory', (current = {}) => ({
+    ...current,
+    _convCount: String(parseInt(current._convCount || '0', 10) + 1),
+  }));
+  const convCount = parseInt(urchinMemory._convCount, 10);
 
   // 0) Implicit satisfaction signal from conversation patterns
   if (activeSkillNames.length > 0 && history.length >= 2) {
     try {
-      const { urchinSkills = [] } = await storage.get('urchinSkills');
       let signal = 0;
       const lastUserMsgs = history.filter(h => h.role === 'user').slice(-3).map(h => h.text.toLowerCase());
-      const negPatterns = [
-        /\bno\b.*\bwrong\b/, /\bstop\b.*\bdoing\b/, /\bdon'?t\b.*\bdo that\b/,
-        /\bnot what i\b/, /\bi didn'?t ask\b/, /\bthat'?s wrong\b/, /\btry again\b/,
-        /\bincorrect\b/, /\bwrong\b/, /\bnot helpful\b/, /\buseless\b/,
-        /\bno[,.]?\s*(that|this) is/, /\bactually[,.]?\s*(i|it|the)\b/
-      ];
-      const posPatterns = [
-        /\bthanks?\b/, /\bthank you\b/, /\bperfect\b/, /\bgreat\b/, /\bexactly\b/,
-        /\bnice\b/, /\bawesome\b/, /\bgood job\b/, /\blove it\b/, /\bnailed it\b/
-      ];
+      const negPatterns = CORRECTION_PATTERNS;
+      const posPatterns = PRAISE_PATTERNS;
       for (const msg of lastUserMsgs) {
         if (negPatterns.some(p => p.test(msg))) signal -= 15;
         if (posPatterns.some(p => p.test(msg))) signal += 10;
@@ -566,23 +4610,27 @@ async function runPostResponseJobs(storage, messages, history, callLLM, settings
       if (history.length <= 2 && !posPatterns.some(p => p.test(lastUserMsgs[lastUserMsgs.length - 1] || ''))) signal -= 3;
       if (history.length >= 8) signal += 5;
       if (signal !== 0) {
-        let updated = false;
-        for (const skill of urchinSkills) {
-          if (activeSkillNames.includes(skill.name)) {
-            const delta = Math.max(-20, Math.min(15, signal));
-            skill.score = Math.max(0, Math.min(100, Math.round((skill.score ?? 50) + delta)));
-            skill.lastSignalAt = Date.now();
-            skill.signalCount = (skill.signalCount || 0) + 1;
-            updated = true;
-          }
-        }
-        if (updated) await storage.set({ urchinSkills });
+        const delta = Math.max(-20, Math.min(15, signal));
+        await updateKey(storage, 'urchinSkills', (current = []) => {
+          if (!current.some(s => activeSkillNames.includes(s.name))) return undefined;
+          return current.map(skill => (
+            activeSkillNames.includes(skill.name)
+              ? {
+                  ...skill,
+                  score: Math.max(0, Math.min(100, Math.round((skill.score ?? 50) + delta))),
+                  lastSignalAt: Date.now(),
+                  signalCount: (skill.signalCount || 0) + 1,
+                }
+              : skill
+          ));
+        });
       }
     } catch (_) {}
   }
 
   // A) Session summary — every 3rd conversation
-  if (convCount % 3 === 0 && messages.length >= 3) {
+  throwIfAborted(signal);
+  if (!degraded && convCount % 3 === 0 && messages.length >= 3) {
     try {
       const summaryMessages = [
         ...messages.slice(-10),
@@ -592,91 +4640,847 @@ async function runPostResponseJobs(storage, messages, history, callLLM, settings
             'Summarize this conversation in 3-5 bullet points. Extract: key topics, decisions, entities mentioned. Be specific.',
         },
       ];
-      const summary = await callLLM('You are a memory system. Output ONLY the bullet-point summary.', summaryMessages, settings);
-      urchinMemory[`session_${Date.now()}`] = summary.slice(0, MAX_SESSION_CHARS);
-      const sessionKeys = Object.keys(urchinMemory).filter(k => k.startsWith('session_')).sort();
-      if (sessionKeys.length > MAX_SESSION_SUMMARIES) {
-        for (const old of sessionKeys.slice(0, sessionKeys.length - MAX_SESSION_SUMMARIES)) {
-          delete urchinMemory[old];
+      const summary = await callLLM('You are a memory system. Output ONLY the bullet-point summary.', summaryMessages, settings, { signal });
+      await updateKey(storage, 'urchinMemory', (current = {}) => {
+        const next = { ...current, [`session_${Date.now()}`]: summary.slice(0, MAX_SESSION_CHARS) };
+        const sessionKeys = Object.keys(next).filter(k => k.startsWith('session_')).sort();
+        if (sessionKeys.length > MAX_SESSION_SUMMARIES) {
+          for (const old of sessionKeys.slice(0, sessionKeys.length - MAX_SESSION_SUMMARIES)) {
+            delete next[old];
+          }
+        }
+        return next;
+      });
+    } catch (_) {}
+  }
+
+  // B) Profile extraction — every 5th conversation
+  throwIfAborted(signal);
+  if (!degraded && convCount % 5 === 0 && messages.length >= 3) {
+    try {
+      const { urchinProfile = {} } = await storage.get('urchinProfile');
+      const currentProfile = Object.entries(urchinProfile).map(([k, v]) => `${k}: ${v}`).join('\n') || '(empty)';
+      const profileMessages = [
+        {
+          role: 'user',
+          content:
+            `Current profile:\n${currentProfile}\n\nRecent conversation:\n` +
+            messages.slice(-6).map(m => `${m.role}: ${String(m.content).slice(0, 300)}`).join('\n') +
+            '\n\nExtract NEW user info (name, preferences, projects). Return ONLY valid JSON. If nothing new, return {}.',
+        },
+      ];
+      const profileRaw = await callLLM('Output ONLY a JSON object.', profileMessages, settings, { signal });
+      const newProfile = extractJSON(profileRaw) || {};
+      if (Object.keys(newProfile).length > 0) {
+        await updateKey(storage, 'urchinProfile', (current = {}) => ({ ...current, ...newProfile }));
+      }
+    } catch (_) {}
+  }
+
+  // C) Condensation — when history exceeds 40 messages
+  throwIfAborted(signal);
+  if (!degraded && history.length > 40) {
+    try {
+      const oldMessages = history.slice(0, history.length - 30);
+      const oldText = oldMessages.map(h => `[${h.role}] ${String(h.text).slice(0, 300)}`).join('\n');
+      const condensePrompt = `Existing condensed:\n${urchinCondensed || '(none)'}\n\nNew to condense:\n${oldText}\n\nCompress into a dense narrative (max 2000 chars). Preserve key facts, entities, decisions.`;
+      const condensed = await callLLM('You are a memory compressor. Output ONLY the compressed narrative.', [{ role: 'user', content: condensePrompt }], settings, { signal });
+      await updateKey(storage, 'urchinCondensed', () => condensed.slice(0, MAX_CONDENSED_CHARS));
+    } catch (_) {
+      throwIfAborted(signal);
+      const oldMessages = history.slice(0, history.length - 30);
+      const oldText = oldMessages.map(h => `[${h.role}] ${String(h.text).slice(0, 200)}`).join('\n');
+      const newCondensed = (urchinCondensed ? urchinCondensed + '\n---\n' : '') + oldText;
+      await updateKey(storage, 'urchinCondensed', () => newCondensed.slice(-MAX_CONDENSED_CHARS));
+    }
+  }
+
+  // D) Skill self-evaluation — every 10th conversation, score and prune
+  throwIfAborted(signal);
+  if (!degraded && convCount % 10 === 0 && activeSkillNames.length > 0 && messages.length >= 4) {
+    try {
+      const { urchinSkills = [] } = await storage.get('urchinSkills');
+      const activeForEval = urchinSkills.filter(s => activeSkillNames.includes(s.name));
+      if (activeForEval.length > 0) {
+        const recentConvo = messages.slice(-10).map(m => `${m.role}: ${String(m.content).slice(0, 400)}`).join('\n');
+        const skillList = activeForEval.map(s =>
+          `  "${s.name}": "${s.instruction}" (used ${s.usageCount || 0}x, score: ${s.score ?? 50})`
+        ).join('\n');
+        const { urchinFeedback = [] } = await storage.get('urchinFeedback');
+        const related = urchinFeedback.filter(f => f.skills.some(n => activeSkillNames.includes(n))).slice(-5);
+        const feedbackList = related.length === 0 ? '' : '\n\nExplicit user feedback on earlier answers that used these skills:\n' +
+          related.map(f => `  ${f.rating > 0 ? 'positive' : f.rating < 0 ? 'negative' : 'neutral'} [${f.skills.join(', ')}]${f.comment ? `: "${f.comment}"` : ''}`).join('\n');
+        const evalPrompt = `Evaluate whether these learned skills helped in the recent conversation.\n\nActive skills:\n${skillList}\n\nRecent conversation:\n${recentConvo}${feedbackList}\n\nScore each skill 0-100:\n- 80-100: clearly applied and helpful\n- 50-70: relevant but unclear impact\n- 20-49: irrelevant to user's needs\n- 0-19: actively wrong or user corrected the behavior\n\nOutput ONLY JSON: {"scores":{"skill-name": <number>}}`;
+        const evalRaw = await callLLM('Output ONLY a JSON object with a "scores" field.', [{ role: 'user', content: evalPrompt }], settings, { signal });
+        const evalResult = extractJSON(evalRaw);
+        if (evalResult?.scores) {
+          await updateKey(storage, 'urchinSkills', (current = []) => current.map(skill => {
+            const newScore = evalResult.scores[skill.name];
+            if (typeof newScore !== 'number') return skill;
+            const oldScore = skill.score ?? 50;
+            return {
+              ...skill,
+              score: Math.round(oldScore * 0.6 + Math.max(0, Math.min(100, newScore)) * 0.4),
+              lastEvalAt: Date.now(),
+              evalCount: (skill.evalCount || 0) + 1,
+            };
+          }).filter(s => {
+            if ((s.score ?? 50) <= 10 && (s.evalCount || 0) >= 2) return false;
+            if ((s.usageCount || 0) > 30 && (s.score ?? 50) <= 20) return false;
+            const age = Date.now() - (s.learnedAt || 0);
+            if (age > 30 * 24 * 60 * 60 * 1000 && (s.usageCount || 0) === 0) return false;
+            return true;
+          }));
         }
       }
     } catch (_) {}
   }
-  await storage.set({ urchinMemory });
 
-  // B) Profile extraction — every 5th conversation
-  if (convCount % 5 === 0 && messages.length >= 3) {
-    try {
-      const { urchinProfile = {} } = await storage.get('urchinProfile');
-      const currentProfile = Object.entries(urchinProfile).map(([k, v]) => `${k}: ${v}`).join('\n') || '(empty)';
-      const profileMessages = [
-        {
-          role: 'user',
-          content:
-            `Current profile:\n${currentProfile}\n\nRecent conversation:\n` +
-            messages.slice(-6).map(m => `${m.role}: ${String(m.content).slice(0, 300)}`).join('\n') +
-            '\n\nExtract NEW user info (name, preferences, projects). Return ONLY valid JSON. If nothing new, return {}.',
-        },
-      ];
-      const profileRaw = await callLLM('Output ONLY a JSON object.', profileMessages, settings);
-      const newProfile = extractJSON(profileRaw) || {};
-      if (Object.keys(newProfile).length > 0) {
-        await storage.set({ urchinProfile: { ...urchinProfile, ...newProfile } });
-      }
-    } catch (_) {}
+  // E) Skill extraction — when the user corrects the assistant or states a
+  // standing preference, propose a skill (deduped against existing ones)
+  throwIfAborted(signal);
+  const lastUserText = String(history.filter(h => h.role === 'user').pop()?.text || '').toLowerCase();
+  if (!degraded && lastUserText && [...CORRECTION_PATTERNS, ...PREFERENCE_PATTERNS].some(p => p.test(lastUserText))) {
+    try {
+      const { urchinSkills = [] } = await storage.get('urchinSkills');
+      const known = urchinSkills.map(s => `  "${s.name}": ${s.instruction}`).join('\n') || '  (none)';
+      const recentConvo = history.slice(-6).map(h => `${h.role}: ${String(h.text).slice(0, 400)}`).join('\n');
+      const learnPrompt = `The user just corrected the assistant or stated a preference. Decide whether it implies a lasting rule for future replies, not a one-off fix to this answer.\n\nExisting skills:\n${known}\n\nRecent conversation:\n${recentConvo}\n\nIf there is a new lasting rule not already covered, output {"skill":{"name":"short-kebab-name","instruction":"imperative rule","when":"situations it applies to, or empty","always":true|false}}. Otherwise output {"skill":null}.`;
+      const learnRaw = await callLLM('Output ONLY a JSON object with a "skill" field.', [{ role: 'user', content: learnPrompt }], settings, { signal });
+      const proposed = extractJSON(learnRaw)?.skill;
+      if (proposed?.instruction && skillSlug(proposed.name)) {
+        await updateKey(storage, 'urchinSkills', (current = []) => addSkill(current, proposed, 'learned').skills);
+      }
+    } catch (_) {}
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * FEEDBACK (thumbs up/down tied to a run's requestId)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_RUN_LOG = 200;
+const MAX_FEEDBACK = 500;
+
+/**
+ * Log which skills and memories a run used, keyed by requestId (last
+ * MAX_RUN_LOG runs kept)
+ */
+async function recordRun(storage, { requestId, userInput, answer, skills, memories }) {
+  await updateKey(storage, 'urchinRuns', (runs = {}) => {
+    const next = {
+      ...runs,
+      [requestId]: {
+        at: Date.now(), input: String(userInput).slice(0, 300), answer: String(answer || '').slice(0, 500),
+        skills: [...skills], memories: [...memories],
+      },
+    };
+    const ids = Object.keys(next);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_RUN_LOG))) delete next[id];
+    return next;
+  });
+}
+
+/**
+ * 'up' / 'down', true / false, or a number → -1..1
+ */
+function normalizeRating(rating) {
+  if (rating === 'up' || rating === true) return 1;
+  if (rating === 'down' || rating === false) return -1;
+  const n = Number(rating);
+  if (rating === null || rating === '' || !Number.isFinite(n)) {
+    throw new Error(`Feedback rating must be 'up', 'down' or a number from -1 to 1, got ${JSON.stringify(rating)}.`);
+  }
+  return Math.max(-1, Math.min(1, n));
+}
+
+// Same asymmetry as the implicit signals: criticism moves scores more than praise
+function feedbackSkillDelta(rating) {
+  return rating > 0 ? rating * 10 : rating * 15;
+}
+
+/**
+ * Record explicit feedback on the run that returned `requestId` and credit
+ * it to the skills and memories that run used: skill scores move by up to
+ * +10 / -15, memory entries gain a feedbackScore that affects eviction.
+ * Submitting again for the same requestId replaces the earlier rating (only
+ * the difference is applied), so toggling a thumb is safe. `options` takes
+ * the same storage / identity / sharedTiers as urchinLoop.
+ * Resolves to { requestId, rating, comment, skills, memories, replaced }.
+ */
+async function submitFeedback(requestId, rating, comment = '', options = {}) {
+  const { storage: baseStorage, identity = null, sharedTiers = [] } = options;
+  if (!baseStorage) throw new Error('submitFeedback needs options.storage (the storage the run used).');
+  const storage = identity ? createScopedStorage(baseStorage, identity, { sharedTiers }) : baseStorage;
+  const value = normalizeRating(rating);
+
+  const { urchinRuns = {} } = await storage.get('urchinRuns');
+  const run = urchinRuns[requestId];
+  if (!run) throw new Error(`No recorded run for requestId "${requestId}" (only the last ${MAX_RUN_LOG} runs are kept).`);
+
+  let previous = null;
+  await updateKey(storage, 'urchinFeedback', (history = []) => {
+    previous = history.find(f => f.requestId === requestId) || null;
+    const entry = {
+      requestId, rating: value, comment: String(comment || '').slice(0, 1000), at: Date.now(),
+      skills: run.skills, memories: run.memories, input: run.input, answer: run.answer,
+    };
+    return [...history.filter(f => f.requestId !== requestId), entry].slice(-MAX_FEEDBACK);
+  });
+  const change = value - (previous ? previous.rating : 0);
+  const skillChange = feedbackSkillDelta(value) - (previous ? feedbackSkillDelta(previous.rating) : 0);
+
+  if (run.skills.length > 0) {
+    await updateKey(storage, 'urchinSkills', (current = []) => {
+      if (!current.some(s => run.skills.includes(s.name))) return undefined;
+      return current.map(s => (!run.skills.includes(s.name) ? s : {
+        ...s,
+        score: Math.max(0, Math.min(100, Math.round((s.score ?? 50) + skillChange))),
+        feedbackCount: (s.feedbackCount || 0) + (previous ? 0 : 1),
+        lastFeedbackAt: Date.now(),
+      }));
+    });
+  }
+  if (run.memories.length > 0) {
+    await updateKey(storage, 'urchinMemory', (current = {}) => {
+      const hits = run.memories.filter(k => current[k] !== undefined);
+      if (hits.length === 0) return undefined;
+      const next = { ...current };
+      for (const k of hits) {
+        const e = toMemoryEntry(current[k]);
+        next[k] = {
+          ...e,
+          feedbackScore: Math.round(((e.feedbackScore || 0) + change) * 100) / 100,
+          feedbackCount: (e.feedbackCount || 0) + (previous ? 0 : 1),
+        };
+      }
+      return next;
+    });
+  }
+
+  return { requestId, rating: value, comment: String(comment || ''), skills: run.skills, memories: run.memories, replaced: !!previous };
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * APPROVALS (per-tool policies and approval answers)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const TOOL_POLICIES = ['auto', 'require-approval', 'deny'];
+
+function assertToolPolicy(policy, where) {
+  if (!TOOL_POLICIES.includes(policy)) {
+    throw new Error(`Invalid tool policy ${JSON.stringify(policy)} for ${where}; use ${TOOL_POLICIES.map(p => `'${p}'`).join(', ')}.`);
+  }
+  return policy;
+}
+
+/**
+ * Policy for one call: the run's toolPolicies, then the tool's own
+ * `policy`, then the run's default
+ */
+function toolPolicyFor(tool, toolPolicies, defaultPolicy) {
+  return toolPolicies[tool.name] || tool.policy || defaultPolicy;
+}
+
+/**
+ * An approval answer → { decision: 'approve' | 'deny' | 'pause', param?, reason? }.
+ * Takes 'approve' / 'deny' / 'pause', true / false, or an object; an object
+ * with `param` (or decision 'edit') approves the call with those parameters.
+ * null / undefined mean no answer yet, i.e. pause.
+ */
+function normalizeApprovalDecision(answer) {
+  if (answer === true || answer === 'approve') return { decision: 'approve' };
+  if (answer === false || answer === 'deny') return { decision: 'deny' };
+  if (answer == null || answer === 'pause') return { decision: 'pause' };
+  if (typeof answer === 'object') {
+    const decision = answer.decision === 'edit' || (answer.decision == null && answer.param !== undefined) ? 'approve' : answer.decision;
+    if (['approve', 'deny', 'pause'].includes(decision)) {
+      return {
+        decision,
+        ...(decision === 'approve' && answer.param !== undefined ? { param: answer.param } : {}),
+        ...(answer.reason ? { reason: String(answer.reason) } : {}),
+      };
+    }
+  }
+  throw new Error(`Unknown approval answer ${JSON.stringify(answer)}; use 'approve', 'deny', 'pause' or { decision, param, reason }.`);
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * CHECKPOINTS (resumable run state: approvals, step limits, restarts)
+ *
+ * urchinCheckpoints maps a runId to everything needed to continue the run
+ * in another process:
+ *   { runId, userInput, status: 'running' | 'paused' | 'resuming', reason,
+ *     step, maxSteps, messages, log, activeSkillNames, activeMemoryKeys,
+ *     lastText, savedAt, claimedAt?,
+ *     decomposition?: { subtasks, results: { [index]: answer } },
+ *     toolJobs?, decisions?, calls? }   // set while waiting for approval
+ * `step` is the last completed step; a paused approval is mid-step `step`.
+ * 'resuming' marks a checkpoint claimed by resumeRun; the run deletes it
+ * when it finishes and puts it back when it fails.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_CHECKPOINTS = 50;
+
+/**
+ * Save a run's state (the newest MAX_CHECKPOINTS runs are kept)
+ */
+async function saveCheckpoint(storage, state) {
+  await updateKey(storage, 'urchinCheckpoints', (runs = {}) => {
+    // Snapshotted at write time, as plain JSON: exactly what another
+    // process would read back, and never older than a save queued after it
+    const next = { ...runs, [state.runId]: JSON.parse(JSON.stringify({ ...state, savedAt: Date.now() })) };
+    const ids = Object.keys(next).sort((a, b) => next[a].savedAt - next[b].savedAt);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_CHECKPOINTS))) delete next[id];
+    return next;
+  });
+}
+
+/**
+ * Remove a run's checkpoint; resolves to the removed state or null
+ */
+async function deleteCheckpoint(storage, runId) {
+  let state = null;
+  await updateKey(storage, 'urchinCheckpoints', (runs = {}) => {
+    state = runs[runId] || null;
+    if (!state) return undefined;
+    const next = { ...runs };
+    delete next[runId];
+    return next;
+  });
+  return state;
+}
+
+/**
+ * Mark a run's checkpoint as being resumed; resolves to its state as it
+ * was, or null. Throws when another resume holds the claim.
+ */
+async function claimCheckpoint(storage, runId) {
+  let state = null;
+  await updateKey(storage, 'urchinCheckpoints', (runs = {}) => {
+    state = runs[runId] || null;
+    if (!state) return undefined;
+    if (state.status === 'resuming') {
+      // 409 so the server answers a racing /resume with Conflict
+      throw Object.assign(new Error(`Run "${runId}" is already being resumed (claimed ${new Date(state.claimedAt).toISOString()}).`), { status: 409 });
+    }
+    return { ...runs, [runId]: { ...state, status: 'resuming', claimedAt: Date.now() } };
+  });
+  return state;
+}
+
+/**
+ * Put back a claimed checkpoint, unless the resumed run has saved a newer
+ * one since
+ */
+async function releaseCheckpoint(storage, state) {
+  await updateKey(storage, 'urchinCheckpoints', (runs = {}) => {
+    if (runs[state.runId]?.status !== 'resuming') return undefined;
+    return { ...runs, [state.runId]: JSON.parse(JSON.stringify(state)) };
+  });
+}
+
+/**
+ * Continue a checkpointed run, from this or any other process: one paused
+ * for approval or by maxStepsPerInvocation, or one whose process died
+ * mid-run (with `checkpoint: true` it restarts after its last completed
+ * step, or its last finished subtask). The rest of `options` is
+ * urchinLoop's: pass the same storage / identity, tools and callLLM.
+ *
+ * For approvals, `decisions` maps the callIds of `result.paused.calls` to
+ * answers ('approve', 'deny', { decision: 'edit', param }, ...) and
+ * `decision` answers every waiting call at once. Calls still unanswered go
+ * to onApprovalRequired again, or pause the run again.
+ *
+ * The checkpoint is claimed before the run continues, so resuming it twice
+ * at once throws. It is deleted once the run finishes; if the resumed run
+ * fails, is cancelled or rejects, its latest checkpoint is left to resume
+ * again. Only resume a 'running' checkpoint once its process is gone.
+ */
+async function resumeRun(runId, options = {}) {
+  const { storage: baseStorage, identity = null, sharedTiers = [], decisions = {}, decision } = options;
+  if (!baseStorage) throw new Error('resumeRun needs options.storage (the storage the run checkpointed to).');
+  const storage = identity ? createScopedStorage(baseStorage, identity, { sharedTiers }) : baseStorage;
+
+  const state = await claimCheckpoint(storage, runId);
+  if (!state) throw new Error(`No checkpoint for run "${runId}" (finished, or evicted after ${MAX_CHECKPOINTS} newer runs).`);
+
+  const answers = {
+    ...state.decisions,
+    ...(decision !== undefined ? Object.fromEntries((state.calls || []).map(c => [c.callId, decision])) : {}),
+    ...decisions,
+  };
+  return urchinLoop(state.userInput, { ...options, resumeState: { ...state, decisions: answers } });
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * MEMORY MANAGEMENT (export, import, inspection, erasure)
+ *
+ * Every function takes the same storage / identity / sharedTiers options
+ * as urchinLoop. Chat history and condensed history are stored per
+ * conversation, and storage cannot list keys, so every conversation the
+ * loop writes to is recorded in the user's urchinConversations index.
+ * Conversations written some other way can be named in
+ * options.conversationIds.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MEMORY_EXPORT_FORMAT = 'urchinloop-memory';
+const MEMORY_EXPORT_VERSION = 1;
+const IMPORT_CONFLICT_POLICIES = ['newest', 'keep', 'overwrite'];
+const USER_KEYS = URCHIN_STORAGE_KEYS.filter(k => !CONVERSATION_KEYS.includes(k));
+
+function managedStorage(options, caller) {
+  const { storage, identity = null, sharedTiers = [] } = options;
+  if (!storage) throw new Error(`${caller} needs options.storage.`);
+  return identity ? createScopedStorage(storage, identity, { sharedTiers }) : storage;
+}
+
+/**
+ * One storage view per conversation covered: the default one,
+ * identity.conversationId, the indexed ones and options.conversationIds
+ */
+function conversationViews({ storage, identity = null, conversationIds = [] }, indexed = []) {
+  if (!identity) return [{ conversationId: null, storage }];
+  const ids = [...new Set([null, identity.conversationId ?? null, ...indexed, ...conversationIds])];
+  return ids.map(conversationId => ({ conversationId, storage: createScopedStorage(storage, { ...identity, conversationId }) }));
+}
+
+/**
+ * Add conversation ids to the user's urchinConversations index
+ */
+async function indexConversations(storage, conversationIds) {
+  await updateKey(storage, 'urchinConversations', (current = []) => {
+    const added = [...new Set(conversationIds)].filter(id => id != null && !current.includes(id));
+    return added.length > 0 ? [...current, ...added] : undefined;
+  });
+}
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Everything stored for the user as one JSON document:
+ *   { format: 'urchinloop-memory', version, exportedAt, identity,
+ *     data: { urchinMemory, urchinProfile, urchinSkills, … },
+ *     conversations: [{ conversationId, urchinChatHistory, urchinCondensed }] }
+ * The embedding cache is derived data and left out unless includeEmbeddings.
+ */
+async function exportMemory(options = {}) {
+  const { identity = null, includeEmbeddings = false } = options;
+  const storage = managedStorage(options, 'exportMemory');
+  const data = await storage.get(USER_KEYS.filter(k => includeEmbeddings || k !== 'urchinEmbeddingCache'));
+  const conversations = [];
+  for (const view of conversationViews(options, data.urchinConversations)) {
+    const values = await view.storage.get(CONVERSATION_KEYS);
+    if (CONVERSATION_KEYS.some(k => values[k] !== undefined)) conversations.push({ conversationId: view.conversationId, ...values });
+  }
+  return JSON.parse(JSON.stringify({
+    format: MEMORY_EXPORT_FORMAT,
+    version: MEMORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    identity: identity ? { tenantId: identity.tenantId ?? null, userId: identity.userId ?? null } : null,
+    data,
+    conversations,
+  }));
+}
+
+// When each layer's entries were last changed, for the 'newest' policy
+const IMPORT_STAMPS = {
+  urchinMemory: e => (isMemoryEntry(e) ? e.updatedAt || e.createdAt : null),
+  urchinSkills: s => s.updatedAt || s.learnedAt,
+  urchinProjects: p => p.updatedAt,
+  urchinRuns: r => r.at,
+  urchinFeedback: f => f.at,
+  urchinCheckpoints: c => c.savedAt,
+  urchinEmbeddingCache: e => e.usedAt,
+};
+// Array layers and the field that identifies an entry
+const IMPORT_ARRAY_IDS = { urchinSkills: 'name', urchinFeedback: 'requestId' };
+// Layers merged entry by entry; the rest conflict as a whole
+const IMPORT_MAP_LAYERS = ['urchinMemory', 'urchinProfile', 'urchinProjects', 'urchinRuns', 'urchinCheckpoints', 'urchinEmbeddingCache'];
+
+/**
+ * Pick between an existing and an imported value under `policy`. 'newest'
+ * needs a timestamp on both sides and otherwise keeps the existing value.
+ */
+function resolveImportConflict(policy, conflict) {
+  if (typeof policy === 'function') return { value: policy(conflict), resolution: 'custom' };
+  const stamp = IMPORT_STAMPS[conflict.layer] || (() => null);
+  const newer = policy === 'newest' && stamp(conflict.existing) != null && stamp(conflict.imported) != null &&
+    stamp(conflict.imported) > stamp(conflict.existing);
+  return policy === 'overwrite' || newer
+    ? { value: conflict.imported, resolution: 'imported' }
+    : { value: conflict.existing, resolution: 'kept' };
+}
+
+/**
+ * Merge one layer (pure). Returns { value, conflicts }; caps
+ * are applied the same way the loop applies them.
+ */
+function mergeImportedLayer(layer, existing, imported, policy, conversationId = null) {
+  const conflicts = [];
+  const pick = (key, current, incoming) => {
+    if (current === undefined || sameJSON(current, incoming)) return incoming;
+    const { value, resolution } = resolveImportConflict(policy, { layer, key, conversationId, existing: current, imported: incoming });
+    conflicts.push({ layer, key, ...(conversationId != null ? { conversationId } : {}), resolution });
+    return value;
+  };
+
+  let value;
+  if (IMPORT_ARRAY_IDS[layer] && Array.isArray(imported)) {
+    const id = IMPORT_ARRAY_IDS[layer];
+    const merged = new Map((existing || []).map(e => [e[id], e]));
+    for (const entry of imported) {
+      const next = pick(entry[id], merged.get(entry[id]), entry);
+      if (next === undefined) merged.delete(entry[id]);
+      else merged.set(entry[id], next);
+    }
+    value = [...merged.values()];
+  } else if (IMPORT_MAP_LAYERS.includes(layer) && imported && typeof imported === 'object') {
+    value = { ...(existing || {}) };
+    for (const [key, entry] of Object.entries(imported)) {
+      const next = pick(key, value[key], entry);
+      if (next === undefined) delete value[key];
+      else value[key] = next;
+    }
+  } else {
+    value = pick(null, existing, imported);
+  }
+
+  if (layer === 'urchinMemory') value = pruneMemory(value) || value;
+  if (layer === 'urchinSkills') value = capSkills(value);
+  if (layer === 'urchinProjects') value = evictStaleProjects(value);
+  if (layer === 'urchinFeedback') value = value.slice(-MAX_FEEDBACK);
+  if (layer === 'urchinRuns' || layer === 'urchinCheckpoints') {
+    const stamp = IMPORT_STAMPS[layer];
+    const max = layer === 'urchinRuns' ? MAX_RUN_LOG : MAX_CHECKPOINTS;
+    const ids = Object.keys(value).sort((a, b) => (stamp(value[a]) || 0) - (stamp(value[b]) || 0));
+    for (const k of ids.slice(0, Math.max(0, ids.length - max))) delete value[k];
+  }
+  return { value, conflicts };
+}
+
+/**
+ * Load a document made by exportMemory — into another storage backend,
+ * another identity, or back over the same user.
+ *   mode        'merge' (default) combines entry by entry: memories and
+ *               profile fields by key, skills by name, projects by name,
+ *               run log and feedback by requestId; history as a whole.
+ *               'replace' makes the user's data exactly the document's
+ *               (conversations not in the document are left alone).
+ *   onConflict  when both sides hold different values: 'newest' (default,
+ *               by updatedAt / at / savedAt; the existing value wins
+ *               without timestamps), 'keep', 'overwrite', or
+ *               ({ layer, key, conversationId, existing, imported }) →
+ *               value to store (undefined drops a memory, skill, …)
+ *   dryRun      report what would happen without writing
+ * Resolves to { imported: { layer: entries }, conflicts: [{ layer, key,
+ * conversationId?, resolution: 'kept' | 'imported' | 'custom' }] }.
+ */
+async function importMemory(doc, options = {}) {
+  const { mode = 'merge', onConflict = 'newest', dryRun = false } = options;
+  const parsed = typeof doc === 'string' ? JSON.parse(doc) : doc;
+  if (parsed?.format !== MEMORY_EXPORT_FORMAT) throw new Error(`Not a memory export (expected format "${MEMORY_EXPORT_FORMAT}").`);
+  if (!(parsed.version >= 1 && parsed.version <= MEMORY_EXPORT_VERSION)) {
+    throw new Error(`Unsupported memory export version ${parsed.version}; this build reads versions 1 to ${MEMORY_EXPORT_VERSION}.`);
+  }
+  if (mode !== 'merge' && mode !== 'replace') throw new Error(`Unknown import mode "${mode}". Use merge or replace.`);
+  if (typeof onConflict !== 'function' && !IMPORT_CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown onConflict "${onConflict}". Use ${IMPORT_CONFLICT_POLICIES.join(', ')} or a function.`);
+  }
+  const storage = managedStorage(options, 'importMemory');
+  const imported = {};
+  const conflicts = [];
+
+  const apply = async (target, layer, incoming, conversationId = null) => {
+    let result = null;
+    const merge = (current) => {
+      result = mode === 'replace'
+        ? { value: incoming, conflicts: [] }
+        : mergeImportedLayer(layer, current, incoming, onConflict, conversationId);
+      return result.value;
+    };
+    if (dryRun) merge((await target.get(layer))[layer]);
+    else await updateKey(target, layer, merge);
+    const entries = Array.isArray(incoming) ? incoming.length
+      : IMPORT_MAP_LAYERS.includes(layer) && incoming && typeof incoming === 'object' ? Object.keys(incoming).length : 1;
+    imported[layer] = (imported[layer] || 0) + entries;
+    conflicts.push(...result.conflicts);
+  };
+
+  // The conversation index is rebuilt below rather than merged: it only
+  // grows, since a replace leaves conversations missing from the document
+  const data = parsed.data || {};
+  const layers = USER_KEYS.filter(k => k !== 'urchinConversations');
+  for (const layer of layers) {
+    if (data[layer] !== undefined) await apply(storage, layer, data[layer]);
+  }
+  if (mode === 'replace' && !dryRun) {
+    const absent = layers.filter(k => data[k] === undefined);
+    await storage.set(Object.fromEntries(absent.map(k => [k, undefined])));
+  }
+  const views = new Map(conversationViews({
+    ...options, conversationIds: (parsed.conversations || []).map(c => c.conversationId ?? null),
+  }).map(v => [v.conversationId, v.storage]));
+  for (const conversation of parsed.conversations || []) {
+    const target = views.get(conversation.conversationId ?? null);
+    for (const layer of CONVERSATION_KEYS) {
+      if (conversation[layer] !== undefined) await apply(target, layer, conversation[layer], conversation.conversationId ?? null);
+    }
+  }
+  if (options.identity && !dryRun) {
+    await indexConversations(storage, [
+      ...(Array.isArray(data.urchinConversations) ? data.urchinConversations : []),
+      ...(parsed.conversations || []).map(c => c.conversationId),
+    ]);
+  }
+  return { imported, conflicts };
+}
+
+/**
+ * The user's profile: { field: value }
+ */
+async function getProfile(options = {}) {
+  const { urchinProfile = {} } = await managedStorage(options, 'getProfile').get('urchinProfile');
+  return { ...urchinProfile };
+}
+
+/**
+ * Set profile fields; a null, undefined or empty value removes the field.
+ * Resolves to the updated profile.
+ */
+async function updateProfile(changes, options = {}) {
+  const storage = managedStorage(options, 'updateProfile');
+  const next = await updateKey(storage, 'urchinProfile', (current = {}) => {
+    const profile = { ...current };
+    for (const [field, value] of Object.entries(changes || {})) {
+      if (value == null || value === '') delete profile[field];
+      else profile[field] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return profile;
+  });
+  return { ...(next || {}) };
+}
+
+/**
+ * Every skill, disabled ones included
+ */
+async function listSkills(options = {}) {
+  const { urchinSkills = [] } = await managedStorage(options, 'listSkills').get('urchinSkills');
+  return urchinSkills.map(s => ({ ...s }));
+}
+
+/**
+ * Edit a skill's instruction, when, always, disabled or score (0-100).
+ * Resolves to the updated skill; throws when there is no such skill.
+ */
+async function updateSkill(name, changes = {}, options = {}) {
+  const storage = managedStorage(options, 'updateSkill');
+  const slug = skillSlug(name);
+  let updated = null;
+  await updateKey(storage, 'urchinSkills', (current = []) => {
+    const skill = current.find(s => s.name === slug);
+    if (!skill) return undefined;
+    const { instruction, when, always, disabled, score } = changes;
+    updated = {
+      ...skill,
+      ...(instruction !== undefined ? { instruction: String(instruction) } : {}),
+      ...(when !== undefined ? { when: String(when || '') } : {}),
+      ...(always !== undefined ? { always: !!always } : {}),
+      ...(disabled !== undefined ? { disabled: !!disabled } : {}),
+      ...(score !== undefined ? { score: Math.max(0, Math.min(100, Math.round(Number(score) || 0))) } : {}),
+      updatedAt: Date.now(),
+    };
+    return current.map(s => (s === skill ? updated : s));
+  });
+  if (!updated) throw new Error(`No skill named "${slug}".`);
+  return updated;
+}
+
+/**
+ * Remove a skill outright (DISABLE_SKILL only hides it); resolves to
+ * whether it existed
+ */
+async function deleteSkill(name, options = {}) {
+  const storage = managedStorage(options, 'deleteSkill');
+  const slug = skillSlug(name);
+  let removed = false;
+  await updateKey(storage, 'urchinSkills', (current = []) => {
+    removed = current.some(s => s.name === slug);
+    return removed ? current.filter(s => s.name !== slug) : undefined;
+  });
+  return removed;
+}
+
+/**
+ * "Forget me": delete everything stored for the user — memories, session
+ * summaries, profile, skills, projects, usage, run log, feedback,
+ * checkpoints, the embedding cache and the chat / condensed history of
+ * the covered conversations — and drop in-process search indexes. The
+ * tenant's shared tier is not touched. Resolves to { removed: [keys] }
+ * (conversation keys as `<conversationId>/<key>`).
+ */
+async function forgetUser(options = {}) {
+  const storage = managedStorage(options, 'forgetUser');
+  const removed = [];
+  const present = await storage.get(USER_KEYS);
+  const views = conversationViews(options, present.urchinConversations);
+  const userKeys = USER_KEYS.filter(k => present[k] !== undefined);
+  if (userKeys.length > 0) await storage.set(Object.fromEntries(userKeys.map(k => [k, undefined])));
+  removed.push(...userKeys);
+  for (const view of views) {
+    const values = await view.storage.get(CONVERSATION_KEYS);
+    const keys = CONVERSATION_KEYS.filter(k => values[k] !== undefined);
+    if (keys.length === 0) continue;
+    await view.storage.set(Object.fromEntries(keys.map(k => [k, undefined])));
+    removed.push(...keys.map(k => (view.conversationId != null ? `${view.conversationId}/${k}` : k)));
   }
+  dropMemoryIndexes(storage);
+  return { removed };
+}
 
-  // C) Condensation — when history exceeds 40 messages
-  if (history.length > 40) {
-    try {
-      const oldMessages = history.slice(0, history.length - 30);
-      const oldText = oldMessages.map(h => `[${h.role}] ${String(h.text).slice(0, 300)}`).join('\n');
-      const condensePrompt = `Existing condensed:\n${urchinCondensed || '(none)'}\n\nNew to condense:\n${oldText}\n\nCompress into a dense narrative (max 2000 chars). Preserve key facts, entities, decisions.`;
-      const condensed = await callLLM('You are a memory compressor. Output ONLY the compressed narrative.', [{ role: 'user', content: condensePrompt }], settings);
-      await storage.set({ urchinCondensed: condensed.slice(0, MAX_CONDENSED_CHARS) });
-    } catch (_) {
-      const oldMessages = history.slice(0, history.length - 30);
-      const oldText = oldMessages.map(h => `[${h.role}] ${String(h.text).slice(0, 200)}`).join('\n');
-      const newCondensed = (urchinCondensed ? urchinCondensed + '\n---\n' : '') + oldText;
-      await storage.set({ urchinCondensed: newCondensed.slice(-MAX_CONDENSED_CHARS) });
+/* ─────────────────────────────────────────────────────────────────────────
+ * ORCHESTRATION (decomposed subtasks run as a dependency graph)
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_SUBTASKS = 8;
+const DEFAULT_SUBTASK_CONCURRENCY = 3;
+// Times a failed subtask may be re-planned before its dependents are skipped
+const MAX_SUBTASK_REPLANS = 1;
+// Share of contextTokens given to dependency results in a subtask's input,
+// and to all step results in the synthesis prompt
+const SUBTASK_CONTEXT_SHARE = 0.3;
+const SYNTHESIS_CONTEXT_SHARE = 0.5;
+
+/**
+ * Planner output → [{ task, dependsOn: [indices] }]; numeric strings in
+ * dependsOn become numbers, anything else is left for validation to reject
+ */
+function normalizeSubtasks(subtasks) {
+  return subtasks.map(s => ({
+    task: String(s?.task || '').trim(),
+    dependsOn: Array.isArray(s?.dependsOn)
+      ? [...new Set(s.dependsOn.map(d => (typeof d === 'string' && /^\d+$/.test(d.trim()) ? Number(d) : d)))]
+      : [],
+  }));
+}
+
+/**
+ * Check every subtask has a task, dependsOn only holds indices of other
+ * subtasks, and the graph has no cycles; returns an error message or null
+ */
+function validateSubtaskGraph(subtasks) {
+  for (let i = 0; i < subtasks.length; i++) {
+    if (!subtasks[i].task) return `Subtask ${i} has no task.`;
+    for (const d of subtasks[i].dependsOn) {
+      if (!Number.isInteger(d) || d < 0 || d >= subtasks.length) return `Subtask ${i} depends on invalid index ${JSON.stringify(d)}.`;
+      if (d === i) return `Subtask ${i} depends on itself.`;
     }
   }
+  const state = new Array(subtasks.length).fill(null);
+  const visit = (i) => {
+    if (state[i] === 'done') return false;
+    if (state[i] === 'visiting') return true;
+    state[i] = 'visiting';
+    const cyclic = subtasks[i].dependsOn.some(visit);
+    state[i] = 'done';
+    return cyclic;
+  };
+  const cyclic = subtasks.findIndex((_, i) => visit(i));
+  return cyclic >= 0 ? `Subtask dependencies form a cycle (through subtask ${cyclic}).` : null;
+}
 
-  // D) Skill self-evaluation — every 10th conversation, score and prune
-  if (convCount % 10 === 0 && activeSkillNames.length > 0 && messages.length >= 4) {
-    try {
-      const { urchinSkills = [] } = await storage.get('urchinSkills');
-      const activeForEval = urchinSkills.filter(s => activeSkillNames.includes(s.name));
-      if (activeForEval.length > 0) {
-        const recentConvo = messages.slice(-10).map(m => `${m.role}: ${String(m.content).slice(0, 400)}`).join('\n');
-        const skillList = activeForEval.map(s =>
-          `  "${s.name}": "${s.instruction}" (used ${s.usageCount || 0}x, score: ${s.score ?? 50})`
-        ).join('\n');
-        const evalPrompt = `Evaluate whether these learned skills helped in the recent conversation.\n\nActive skills:\n${skillList}\n\nRecent conversation:\n${recentConvo}\n\nScore each skill 0-100:\n- 80-100: clearly applied and helpful\n- 50-70: relevant but unclear impact\n- 20-49: irrelevant to user's needs\n- 0-19: actively wrong or user corrected the behavior\n\nOutput ONLY JSON: {"scores":{"skill-name": <number>}}`;
-        const evalRaw = await callLLM('Output ONLY a JSON object with a "scores" field.', [{ role: 'user', content: evalPrompt }], settings);
-        const evalResult = extractJSON(evalRaw);
-        if (evalResult?.scores) {
-          for (const [name, newScore] of Object.entries(evalResult.scores)) {
-            const skill = urchinSkills.find(s => s.name === name);
-            if (skill && typeof newScore === 'number') {
-              const oldScore = skill.score ?? 50;
-              skill.score = Math.round(oldScore * 0.6 + Math.max(0, Math.min(100, newScore)) * 0.4);
-              skill.lastEvalAt = Date.now();
-              skill.evalCount = (skill.evalCount || 0) + 1;
-            }
-          }
-          const pruned = urchinSkills.filter(s => {
-            if ((s.score ?? 50) <= 10 && (s.evalCount || 0) >= 2) return false;
-            if ((s.usageCount || 0) > 30 && (s.score ?? 50) <= 20) return false;
-            const age = Date.now() - (s.learnedAt || 0);
-            if (age > 30 * 24 * 60 * 60 * 1000 && (s.usageCount || 0) === 0) return false;
-            return true;
-          });
-          await storage.set({ urchinSkills: pruned });
-        }
+/**
+ * Run a validated subtask graph. Every subtask whose dependencies are done
+ * starts right away, up to `concurrency` at a time.
+ *
+ *   runTask(index, task, deps) → answer; deps is [{ index, task, result }].
+ *     A throw is a failure.
+ *   replan({ index, task, error, statuses, results }) → revised task or null.
+ *     Called on failure, up to maxReplans times per subtask; the revised
+ *     task reruns in the same slot. Otherwise the subtask fails and every
+ *     subtask depending on it is skipped.
+ *   onStatus({ index, task, status, attempt, error?, durationMs?, revisedTask? })
+ *     on every change: running, done, failed, replanned, skipped.
+ *   completed maps indices already done (say, from a checkpoint) to their
+ *     answers; those subtasks don't run again.
+ *
+ * Resolves to { results, statuses }; results[i] is null unless subtask i is
+ * done. Throws once `signal` aborts.
+ */
+async function runSubtaskGraph(subtasks, runTask, options = {}) {
+  const {
+    concurrency = DEFAULT_SUBTASK_CONCURRENCY, replan = null, maxReplans = MAX_SUBTASK_REPLANS, onStatus = null, signal = null,
+    completed = {},
+  } = options;
+  const statuses = subtasks.map((s, index) => ({
+    index, task: s.task, dependsOn: s.dependsOn, status: completed[index] != null ? 'done' : 'pending', attempts: 0, replans: 0, error: null, durationMs: 0,
+  }));
+  const results = subtasks.map((_, index) => completed[index] ?? null);
+  const report = (st, extra = {}) => {
+    if (!onStatus) return;
+    try { onStatus({ index: st.index, task: st.task, status: st.status, attempt: st.attempts, ...extra }); } catch (_) {}
+  };
+  const skipDependents = (failed) => {
+    for (const st of statuses) {
+      if (st.status !== 'pending' || !st.dependsOn.includes(failed)) continue;
+      st.status = 'skipped';
+      st.error = `Depends on subtask ${failed}, which did not complete.`;
+      report(st, { error: st.error });
+      skipDependents(st.index);
+    }
+  };
+
+  const running = new Map();
+  const start = (st) => {
+    st.status = 'running';
+    st.attempts++;
+    report(st);
+    const started = Date.now();
+    const deps = st.dependsOn.map(d => ({ index: d, task: statuses[d].task, result: results[d] }));
+    running.set(st.index, Promise.resolve()
+      .then(() => runTask(st.index, st.task, deps))
+      .then(value => ({ st, value }), error => ({ st, error: error instanceof Error ? error : new Error(String(error)) }))
+      .then(outcome => ({ ...outcome, durationMs: Date.now() - started })));
+  };
+
+  for (;;) {
+    throwIfAborted(signal);
+    const ready = statuses.filter(st => st.status === 'pending' && st.dependsOn.every(d => statuses[d].status === 'done'));
+    for (const st of ready.slice(0, Math.max(0, concurrency - running.size))) start(st);
+    if (running.size === 0) break;
+
+    const { st, value, error, durationMs } = await Promise.race(running.values());
+    running.delete(st.index);
+    st.durationMs += durationMs;
+    if (!error) {
+      results[st.index] = value;
+      st.status = 'done';
+      st.error = null;
+      report(st, { durationMs });
+      continue;
+    }
+    throwIfAborted(signal);
+    st.error = error.message;
+    let revised = null;
+    if (replan && st.replans < maxReplans) {
+      try {
+        revised = await replan({ index: st.index, task: st.task, error: error.message, statuses, results });
+      } catch (e) {
+        throwIfAborted(signal);
       }
-    } catch (_) {}
+    }
+    if (revised) {
+      st.replans++;
+      st.status = 'pending';
+      report({ ...st, status: 'replanned' }, { error: error.message, revisedTask: revised, durationMs });
+      st.task = revised;
+      continue;
+    }
+    st.status = 'failed';
+    report(st, { error: error.message, durationMs });
+    skipDependents(st.index);
   }
+  return { results, statuses };
 }
 
 /* ─────────────────────────────────────────────────────────────────────────
@@ -685,9 +5489,12 @@ async function runPostResponseJobs(storage, messages, history, callLLM, settings
 
 async function urchinLoop(userInput, options = {}) {
   const {
-    systemPrompt = getDefaultSystemPrompt(),
+    toolMode = 'text',
+    systemPrompt: customSystemPrompt = null,
     callLLM = defaultCallLLM,
-    storage = createMemoryStorage(),
+    storage: baseStorage = createMemoryStorage(),
+    identity = null,
+    sharedTiers = [],
     tools: customTools = {},
     maxSteps = 12,
     history = [],
@@ -696,114 +5503,989 @@ async function urchinLoop(userInput, options = {}) {
     settings = {},
     onStep = null,
     onThink = null,
+    onEvent = null,
+    stream = false,
+    signal = null,
+    timeoutMs = 0,
+    toolTimeoutMs = 0,
+    retry = DEFAULT_RETRY,
+    fallbacks = [],
+    circuitBreaker,
+    backgroundSettings = null,
+    tokenizer = null,
+    contextTokens = MAX_CONTEXT_TOKENS,
+    contextPolicy = null,
+    summarizeToolResultsAfter = 2,
+    budget = null,
+    userBudget = null,
+    pricing = null,
+    usageMeter = null,
+    onUsage = null,
+    trace = false,
+    decompose = true,
+    maxSubtasks = MAX_SUBTASKS,
+    subtaskConcurrency = DEFAULT_SUBTASK_CONCURRENCY,
+    onSubtask = null,
+    toolCache = null,
+    toolPolicies = {},
+    defaultToolPolicy = 'auto',
+    onApprovalRequired = null,
+    checkpoint = false,
+    runId = null,
+    maxStepsPerInvocation = 0,
+    resumeState = null,
     runPostJobs = true,
   } = options;
 
-  const allTools = { ...createBuiltInTools(storage), ...customTools };
-  const memResult = await loadMemoryLayers(storage, { userInput, history, pageContext, context, settings });
-  const messages = memResult.messages || memResult;
-  const activeSkillNames = memResult.activeSkillNames || [];
-  trimMessagesToBudget(messages);
+  const emit = (event) => {
+    if (!onEvent) return;
+    try { onEvent(event); } catch (_) {}
+  };
+
+  // With an identity, every read and write lands in that user's namespace
+  const storage = identity ? createScopedStorage(baseStorage, identity, { sharedTiers }) : baseStorage;
 
+  // Run-wide signal: caller's signal + optional wall-clock budget
+  const run = linkedSignal(signal, timeoutMs);
+  const runSignal = run.signal;
+
+  const native = toolMode === 'native';
+  const registry = buildToolRegistry({ ...createBuiltInTools(storage), ...customTools });
+  assertToolPolicy(defaultToolPolicy, 'defaultToolPolicy');
+  for (const [name, policy] of Object.entries(toolPolicies)) assertToolPolicy(policy, `toolPolicies.${name}`);
+  const toolSpecs = Object.values(registry).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  // Custom prompts can pull in the generated tool list with {{TOOLS}}
+  const systemPrompt = customSystemPrompt
+    ? customSystemPrompt.replace('{{TOOLS}}', () => renderToolsPrompt(registry, { toolMode }))
+    : getDefaultSystemPrompt({ toolMode, tools: registry });
+  let messages = [];
+  let activeSkillNames = [];
+  let activeMemoryKeys = [];
+  let activeProjects = [];
   let finalAnswer = '';
+  let partialAnswer = '';
+  let lastText = '';
+  let currentStep = 0;
+  let cancelled = false;
+  let failure = null;
+  // Every finished tool call, handed back if the run fails part-way
+  const toolHistory = [];
   const log = { steps: [], startTime: Date.now() };
-  let effectiveMaxSteps = maxSteps;
+  const requestId = resumeState?.runId || runId || `ul-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  let effectiveMaxSteps = resumeState?.maxSteps ?? maxSteps;
+  let paused = null;
+  let decomposition = resumeState?.decomposition || null;
 
-  // Goal decomposition — break multi-phase requests into subtask chains
-  let decomposed = false;
-  try {
-    const hasMultipleVerbs = (userInput.match(/\b(and|then|also|after that|next|finally)\b/gi) || []).length >= 2;
-    if ((hasMultipleVerbs || userInput.length > 120) && !/^(hi|hey|hello|what|who|how much|price|gm)/i.test(userInput.trim())) {
-      const planPrompt = `Decide if this request needs subtask decomposition. Only decompose if it has multiple INDEPENDENT phases producing different outputs. Single tasks should NOT be decomposed.\n\nRequest: "${userInput.slice(0, 500)}"\n\nIf needed: {"decompose":true,"subtasks":[{"task":"description","dependsOn":[]}]}\nMax 4 subtasks. dependsOn = array of 0-indexed prior subtask numbers.\nIf single task: {"decompose":false}\nOutput ONLY JSON.`;
-      const planRaw = await callLLM('Output ONLY JSON.', [{ role: 'user', content: planPrompt }], settings);
-      const plan = extractJSON(planRaw);
-      if (plan?.decompose && Array.isArray(plan.subtasks) && plan.subtasks.length >= 2 && plan.subtasks.length <= 4) {
-        decomposed = true;
-        log.steps.push({ type: 'goal_decompose', subtasks: plan.subtasks.map(s => s.task) });
-        const subtaskResults = [];
-        for (let si = 0; si < plan.subtasks.length; si++) {
-          const st = plan.subtasks[si];
-          let stInput = st.task;
-          if (st.dependsOn?.length > 0) {
-            const prior = st.dependsOn.filter(d => d < si && subtaskResults[d]).map(d => `[Step ${d + 1} result]: ${subtaskResults[d].slice(0, 2000)}`).join('\n');
-            stInput += `\n\nContext from previous steps:\n${prior}`;
-          }
-          try {
-            const sub = await urchinLoop(stInput, { ...options, runPostJobs: false, maxSteps: 8 });
-            subtaskResults.push(sub.answer || 'No result');
-          } catch (e) {
-            subtaskResults.push(`Failed: ${e.message}`);
-          }
-        }
-        const synthPrompt = `Synthesize these step results into one response.\n\nOriginal: "${userInput.slice(0, 500)}"\n\n${plan.subtasks.map((st, i) => `Step ${i + 1} (${st.task}): ${(subtaskResults[i] || '').slice(0, 2000)}`).join('\n\n')}\n\nWrite a unified, concise response.`;
-        finalAnswer = await callLLM(systemPrompt, [...messages, { role: 'user', content: synthPrompt }], settings);
-        effectiveMaxSteps = 0;
-      }
-    }
-  } catch (_) {}
+  // Structured trace of every LLM call and tool invocation; subtasks record
+  // into their parent's trace
+  const tracer = !trace ? null : typeof trace.record === 'function' ? trace : createTraceRecorder();
+  const ownTrace = !!tracer && tracer !== trace;
+  const storageSnapshot = ownTrace ? JSON.parse(JSON.stringify(await storage.get(TRACE_STORAGE_KEYS))) : null;
+
+  // Token accounting and budgets; subtasks share their parent's meter
+  const ownMeter = !usageMeter;
+  const periodMs = userBudget?.periodMs || 0;
+  const meter = usageMeter || createUsageMeter({
+    pricing,
+    countTokens: tokenizer || estimateTokens,
+    budget,
+    userBudget,
+    userSpent: userBudget ? await loadUsageLedger(storage, periodMs) : null,
+  });
+  const countTokens = meter.countTokens;
+  const reserveTokens = budget?.reserveTokens ?? DEFAULT_OUTPUT_RESERVE;
+  const model = settings.llmModel || settings.model || null;
+  // Which limit ('run' | 'user'), if any, `calls` calls with this prompt
+  // would break. The last reported step input is a floor: the conversation
+  // only grows.
+  let lastStepInput = 0;
+  const overBudget = (prompt, msgs, { outputTokens = reserveTokens, calls = 1 } = {}) => {
+    const inputTokens = Math.max(lastStepInput, countTokens(prompt) + countMessageTokens(msgs, countTokens));
+    return meter.exceeded({ inputTokens: inputTokens * calls, outputTokens: outputTokens * calls }, model);
+  };
+  const noteBudget = (limit, action) => {
+    log.steps.push({ type: 'budget', limit, action, step: currentStep, usage: meter.totals() });
+    emit({ type: 'budget', step: currentStep, limit, action });
+  };
 
-  for (let step = 0; step < effectiveMaxSteps; step++) {
-    if (onStep) onStep(step + 1, maxSteps, messages);
+  // Retries, fallback models and circuit breaking around every LLM call
+  const breaker = circuitBreaker === undefined ? defaultCircuitBreakerFor(callLLM) : circuitBreaker;
+  const metered = meterCallLLM(createResilientCallLLM(callLLM, {
+    retry, fallbacks, breaker,
+    onAttempt: (a) => log.steps.push({ type: 'llm_attempt', ...a }),
+  }), meter);
+  const llm = tracer ? traceCallLLM(metered, tracer, () => currentStep) : metered;
+
+  // Priority-aware context compaction, logged whenever it changes anything
+  const layerPolicy = { ...CONTEXT_LAYER_POLICY };
+  for (const [layer, p] of Object.entries(contextPolicy || {})) layerPolicy[layer] = { ...layerPolicy[layer], ...p };
+  const compact = async (step) => {
+    const beforeTokens = countMessageTokens(messages, countTokens);
+    const decisions = await compactContext(messages, {
+      budget: contextTokens,
+      countTokens,
+      policy: layerPolicy,
+      step,
+      summarizeAfter: summarizeToolResultsAfter,
+      summarize: async (text) => {
+        const prompt = [{ role: 'user', content: `Summarize this tool output in under 120 words. Keep the facts, numbers, names, URLs and errors the task may still need.\n\n${text}` }];
+        if (overBudget('Output ONLY the summary.', prompt, { outputTokens: 300 })) throw new Error('No budget left to summarize.');
+        return abortable(llm('Output ONLY the summary.', prompt, settings, { signal: runSignal, purpose: 'compact' }), runSignal);
+      },
+    });
+    if (decisions.length === 0) return;
+    log.steps.push({
+      type: 'compaction', step, budget: contextTokens, beforeTokens, afterTokens: countMessageTokens(messages, countTokens), decisions,
+    });
+  };
 
-    const raw = await callLLM(systemPrompt, messages, settings);
-    log.steps.push({ step: step + 1, rawLength: raw.length });
+  // Everything resumeRun needs to continue this run in another process
+  const checkpointState = (extra) => ({
+    runId: requestId, userInput, step: currentStep, maxSteps: effectiveMaxSteps, messages, log: log.steps,
+    activeSkillNames, activeMemoryKeys, lastText, ...(decomposition ? { decomposition } : {}), ...extra,
+  });
 
-    const thinkMatch = raw.match(THINK_REGEX);
-    if (thinkMatch && onThink) onThink(thinkMatch[1].trim());
-    const cleaned = raw.replace(THINK_REGEX, '').trim();
+  // Run one turn's tool calls. Policies apply first: 'deny' tools get an
+  // error back and 'require-approval' calls go to onApprovalRequired. If a
+  // call is left waiting (a 'pause' answer, or no hook) nothing in the turn
+  // runs; the run is saved so resumeRun can finish it later, from any
+  // process. Resolves to { runId, calls } when paused, else null.
+  const runToolTurn = async (n, toolJobs, answered = {}) => {
+    toolJobs.forEach((job, i) => { if (!job.callId) job.callId = job.id || `${requestId}:${n}:${i}`; });
+    const decisions = {};
+    for (const [callId, answer] of Object.entries(answered)) {
+      const d = normalizeApprovalDecision(answer);
+      if (d.decision !== 'pause') decisions[callId] = d;
+    }
+    const policyOf = (job) => (registry[job.name] ? toolPolicyFor(registry[job.name], toolPolicies, defaultToolPolicy) : 'auto');
 
-    const matches = [...cleaned.matchAll(TOOL_REGEX)];
-    if (matches.length === 0) {
-      finalAnswer = cleaned;
-      break;
+    const waiting = [];
+    for (const job of toolJobs) {
+      if (policyOf(job) !== 'require-approval' || decisions[job.callId]) continue;
+      const tool = registry[job.name];
+      const request = {
+        runId: requestId, callId: job.callId, step: n, name: job.name, param: job.param,
+        args: typeof job.param === 'string' ? paramToArgs(job.param, tool.parameters) : job.param, description: tool.description,
+      };
+      emit({ type: 'approval_required', ...request });
+      let answer;
+      try {
+        answer = normalizeApprovalDecision(onApprovalRequired ? await abortable(Promise.resolve(onApprovalRequired(request)), runSignal) : 'pause');
+      } catch (e) {
+        if (runSignal.aborted) throw e;
+        answer = { decision: 'deny', reason: `approval failed: ${e.message}` };
+      }
+      if (answer.decision === 'pause') waiting.push(request);
+      else decisions[job.callId] = answer;
+    }
+    if (waiting.length > 0) {
+      log.steps.push({ type: 'paused', reason: 'approval', step: n, calls: waiting.map(c => c.callId) });
+      await saveCheckpoint(storage, checkpointState({ status: 'paused', reason: 'approval', step: n, toolJobs, decisions, calls: waiting }));
+      return { runId: requestId, reason: 'approval', calls: waiting };
     }
 
-    const toolJobs = matches.map(m => ({ name: m[1], param: (m[2] || '').trim() }));
-    messages.push({ role: 'assistant', content: cleaned });
+    const verdicts = toolJobs.map((job) => {
+      const policy = policyOf(job);
+      if (policy === 'deny') return { decision: 'deny', byPolicy: true };
+      if (policy !== 'require-approval') return null;
+      const verdict = decisions[job.callId];
+      const entry = {
+        step: n, callId: job.callId, name: job.name, decision: verdict.decision,
+        ...(verdict.param !== undefined ? { param: verdict.param } : {}), ...(verdict.reason ? { reason: verdict.reason } : {}),
+      };
+      log.steps.push({ type: 'approval', ...entry });
+      emit({ type: 'approval', ...entry });
+      return verdict;
+    });
+    const calls = toolJobs.map((job, i) => (verdicts[i]?.param !== undefined ? { ...job, param: verdicts[i].param } : job));
 
-    const executeOne = async ({ name, param }) => {
-      const handler = allTools[name];
+    const invokeTool = async (name, param) => {
+      const tool = registry[name];
+      if (!tool) return { error: `Unknown tool: ${name}` };
+      // Subtasks of one decomposition share results of cacheable tools;
+      // identical calls in flight wait for the first one
+      if (toolCache && tool.cacheable) {
+        const cacheKey = `${name}:${typeof param === 'string' ? param : JSON.stringify(param)}`;
+        if (toolCache.has(cacheKey)) return toolCache.get(cacheKey);
+        const pending = callTool(tool, name, param);
+        toolCache.set(cacheKey, pending);
+        const result = await pending.catch((e) => { toolCache.delete(cacheKey); throw e; });
+        if (result?.error) toolCache.delete(cacheKey);
+        return result;
+      }
+      return callTool(tool, name, param);
+    };
+    const callTool = async (tool, name, param) => {
+      const call = linkedSignal(runSignal, toolTimeoutMs);
       try {
-        return handler ? await handler(param, { storage, settings }) : { error: `Unknown tool: ${name}` };
+        return await abortable(tool.invoke(param, { storage, settings, signal: call.signal, requestId }), call.signal);
       } catch (e) {
+        if (runSignal.aborted) throw e;
+        if (call.timedOut()) return { error: `Tool ${name} timed out after ${toolTimeoutMs}ms.` };
         return { error: e.message };
+      } finally {
+        call.dispose();
+      }
+    };
+    // Denied calls are traced like any other so replays see the same result
+    const executeOne = async ({ name, param }, verdict) => {
+      const started = Date.now();
+      const result = verdict?.decision !== 'deny' ? await invokeTool(name, param) : {
+        error: verdict.byPolicy ? `Tool ${name} is not allowed in this run.` : `A reviewer denied this call${verdict.reason ? `: ${verdict.reason}` : '.'}`,
+        denied: true,
+      };
+      if (tracer) {
+        tracer.record({
+          type: 'tool', step: n, name, param, result, durationMs: Date.now() - started, ...(result?.error ? { error: result.error } : {}),
+        });
       }
+      return result;
     };
 
-    const toolResults = toolJobs.length > 1
-      ? await Promise.all(toolJobs.map(executeOne))
-      : [await executeOne(toolJobs[0])];
+    // Parallel-safe tools run concurrently; the rest run one at a time
+    const toolResults = new Array(calls.length);
+    const serial = [];
+    const parallel = [];
+    calls.forEach((job, i) => (registry[job.name]?.parallelSafe === false ? serial : parallel).push(i));
+    await Promise.all([
+      ...parallel.map(async (i) => { toolResults[i] = await executeOne(calls[i], verdicts[i]); }),
+      (async () => { for (const i of serial) toolResults[i] = await executeOne(calls[i], verdicts[i]); })(),
+    ]);
 
     let combinedResults = '';
-    for (let i = 0; i < toolJobs.length; i++) {
-      const { name } = toolJobs[i];
+    for (let i = 0; i < calls.length; i++) {
+      const { id, name, param } = calls[i];
       const tr = toolResults[i];
+      emit({ type: 'tool_result', step: n, name, result: tr, ...(tr?.error ? { error: tr.error } : {}) });
+      toolHistory.push({ step: n, name, param, result: tr });
       const summarized = summarizeToolResult(name, tr);
+      const hint = tr?.denied ? '\n[HINT: This call was denied. Do not retry it; continue without it or tell the user.]'
+        : tr?.error ? '\n[HINT: Tool failed. Try a different approach.]'
+          : verdicts[i]?.param !== undefined ? `\n[NOTE: A reviewer changed the parameters to ${typeof param === 'string' ? param : JSON.stringify(param)}.]`
+            : '';
+      if (native) {
+        messages.push({ role: 'tool', layer: 'tool', step: n, toolCallId: id, name, content: summarized + hint });
+        continue;
+      }
       combinedResults += `[Tool result for ${name}]: ${summarized}\n`;
-      if (tr?.error) combinedResults += '\n[HINT: Tool failed. Try a different approach.]\n';
+      if (hint) combinedResults += `${hint}\n`;
+    }
+
+    if (!native) messages.push({ role: 'user', layer: 'tool', step: n, content: combinedResults.trim() });
+    return null;
+  };
+
+  try {
+    throwIfAborted(runSignal);
+    if (resumeState) {
+      // Pick up where the paused run stopped: its context is already built
+      messages = resumeState.messages;
+      activeSkillNames = resumeState.activeSkillNames || [];
+      activeMemoryKeys = resumeState.activeMemoryKeys || [];
+      lastText = resumeState.lastText || '';
+      log.steps.push(...(resumeState.log || []), {
+        type: 'resumed', step: resumeState.step, reason: resumeState.reason || 'restart', sinceCheckpointMs: Date.now() - resumeState.savedAt,
+      });
+    } else {
+      const memResult = await loadMemoryLayers(storage, { userInput, history, pageContext, context, settings });
+      messages = memResult.messages || memResult;
+      activeSkillNames = memResult.activeSkillNames || [];
+      activeMemoryKeys = memResult.activeMemoryKeys || [];
+      activeProjects = memResult.activeProjects || [];
+      if (tracer) {
+        tracer.record({
+          type: 'memory',
+          layers: messages.flatMap(m => (m.sections || [{ layer: m.layer, text: m.content }]).map(sec => ({
+            layer: sec.layer || null, tokens: countTokens(sec.text || ''), text: sec.text,
+          }))),
+          activeSkills: activeSkillNames,
+        });
+      }
+      await compact(0);
+      if (checkpoint) await saveCheckpoint(storage, checkpointState({ status: 'running', step: 0 }));
     }
 
-    messages.push({ role: 'user', content: combinedResults.trim() });
+    // Goal decomposition — plan multi-phase requests as a subtask graph and
+    // run independent subtasks concurrently
+    try {
+      const hasMultipleVerbs = (userInput.match(/\b(and|then|also|after that|next|finally)\b/gi) || []).length >= 2;
+      if (decompose && !resumeState && (hasMultipleVerbs || userInput.length > 120) && !/^(hi|hey|hello|what|who|how much|price|gm)/i.test(userInput.trim())) {
+        const openMilestones = activeProjects.filter(p => p.milestones.length > 0)
+          .map(p => `  "${p.name}": ${p.milestones.map(m => `"${m}"`).join(', ')}`).join('\n');
+        const projectHint = openMilestones
+          ? `\n\nOpen project milestones:\n${openMilestones}\nIf the request works toward one of them, add "project" and "milestone" with the exact names.`
+          : '';
+        const planPrompt = `Decide if this request needs subtask decomposition. Only decompose if it has multiple INDEPENDENT phases producing different outputs. Single tasks should NOT be decomposed.\n\nRequest: "${userInput.slice(0, 500)}"\n\nIf needed: {"decompose":true,"subtasks":[{"task":"description","dependsOn":[]}]}\nMax ${maxSubtasks} subtasks. dependsOn = array of 0-indexed numbers of the subtasks whose results this one needs; subtasks that don't depend on each other run in parallel.${projectHint}\nIf single task: {"decompose":false}\nOutput ONLY JSON.`;
+        const planMessages = [{ role: 'user', content: planPrompt }];
+        const planRaw = overBudget('Output ONLY JSON.', planMessages, { outputTokens: 400 })
+          ? ''
+          : await abortable(llm('Output ONLY JSON.', planMessages, settings, { signal: runSignal, purpose: 'plan' }), runSignal);
+        const plan = extractJSON(planRaw);
+        const subtasks = plan?.decompose && Array.isArray(plan.subtasks) ? normalizeSubtasks(plan.subtasks) : [];
+        const planError = subtasks.length < 2 ? null
+          : subtasks.length > maxSubtasks ? `Plan has ${subtasks.length} subtasks; the limit is ${maxSubtasks}.`
+            : validateSubtaskGraph(subtasks);
+        // An invalid plan is logged and the request goes through the normal loop
+        if (planError) log.steps.push({ type: 'goal_decompose_rejected', error: planError, subtasks: subtasks.map(s => s.task) });
+        if (subtasks.length >= 2 && !planError) {
+          const target = plan.project && plan.milestone &&
+            activeProjects.find(p => p.name === plan.project)?.milestones.includes(plan.milestone)
+            ? { project: plan.project, milestone: plan.milestone }
+            : null;
+          log.steps.push({
+            type: 'goal_decompose', subtasks: subtasks.map(s => s.task), dependsOn: subtasks.map(s => s.dependsOn), ...(target || {}),
+          });
+          if (target) {
+            await updateKey(storage, 'urchinProjects', (current) =>
+              attachSubtasks(current, target.project, target.milestone, subtasks.map(s => s.task), requestId));
+          }
+          decomposition = { subtasks, results: {} };
+        }
+      }
+
+      if (decomposition) {
+        const { subtasks } = decomposition;
+        if (checkpoint) await saveCheckpoint(storage, checkpointState({ status: 'running', step: 0 }));
+        // Subtasks share this run's signal, meter, trace and one tool cache
+        const sharedToolCache = toolCache || new Map();
+        const runSubtask = async (si, task, deps) => {
+          let stInput = task;
+          if (deps.length > 0) {
+            const perDep = Math.floor(contextTokens * SUBTASK_CONTEXT_SHARE / deps.length);
+            const prior = deps.map(d => `[Step ${d.index + 1} result]: ${truncateToTokens(d.result, perDep, countTokens)}`).join('\n');
+            stInput += `\n\nContext from previous steps:\n${prior}`;
+          }
+          const subOnEvent = onEvent ? (e) => { if (e.type !== 'done') emit({ ...e, subtask: si }); } : null;
+          const sub = await urchinLoop(stInput, {
+            // Subtasks never plan again, so one request yields at most one graph
+            ...options, decompose: false, runPostJobs: false, maxSteps: 8, onEvent: subOnEvent, onSubtask: null, signal: runSignal, timeoutMs: 0,
+            usageMeter: meter, toolCache: sharedToolCache, trace: tracer ? tracer.child({ subtask: si }) : false,
+            checkpoint: false, runId: null, maxStepsPerInvocation: 0, resumeState: null,
+            // A subtask can't pause mid-graph, so waiting for approval denies the call
+            onApprovalRequired: async (request) => {
+              const answer = normalizeApprovalDecision(onApprovalRequired ? await onApprovalRequired({ ...request, subtask: si }) : 'pause');
+              return answer.decision === 'pause' ? { decision: 'deny', reason: 'no approval while running as a subtask' } : answer;
+            },
+          });
+          throwIfAborted(runSignal);
+          if (sub.failed) throw new Error(sub.error);
+          if (!sub.answer) throw new Error('Subtask produced no answer.');
+          // Finished subtasks survive a restart
+          decomposition.results[si] = sub.answer;
+          if (checkpoint) await saveCheckpoint(storage, checkpointState({ status: 'running', step: 0 }));
+          return sub.answer;
+        };
+        // A failed subtask gets one chance to be rewritten before its
+        // dependents are skipped
+        const replanSubtask = async ({ index, task, error, statuses, results }) => {
+          const done = statuses.filter(st => st.status === 'done')
+            .map(st => `  ${st.index}. ${st.task}: ${truncateToTokens(results[st.index], 100, countTokens)}`).join('\n');
+          const replanMessages = [{
+            role: 'user',
+            content: `A subtask of this request failed.\n\nRequest: "${userInput.slice(0, 500)}"\n\nFailed subtask ${index}: "${task}"\nError: ${String(error).slice(0, 500)}\n${done ? `\nCompleted subtasks:\n${done}\n` : ''}\nIf a different approach could still produce what this subtask was for, output {"task":"revised subtask"}. Otherwise output {"giveUp":true}.\nOutput ONLY JSON.`,
+          }];
+          if (overBudget('Output ONLY JSON.', replanMessages, { outputTokens: 200 })) return null;
+          const revised = extractJSON(await abortable(llm('Output ONLY JSON.', replanMessages, settings, { signal: runSignal, purpose: 'replan' }), runSignal));
+          const revisedTask = typeof revised?.task === 'string' ? revised.task.trim() : '';
+          return revisedTask && !revised.giveUp && revisedTask !== task ? revisedTask : null;
+        };
+        const reportSubtask = ({ index, ...status }) => {
+          const update = { subtask: index, ...status };
+          if (status.status !== 'running') log.steps.push({ type: 'subtask', ...update });
+          emit({ type: 'subtask_status', ...update });
+          if (onSubtask) {
+            try { onSubtask(update); } catch (_) {}
+          }
+        };
+        const { results, statuses } = await runSubtaskGraph(subtasks, runSubtask, {
+          concurrency: subtaskConcurrency, replan: replanSubtask, onStatus: reportSubtask, signal: runSignal,
+          completed: decomposition.results,
+        });
+
+        throwIfAborted(runSignal);
+        const stepResult = (st, maxTokens) => (st.status === 'done'
+          ? truncateToTokens(results[st.index], maxTokens, countTokens)
+          : `[${st.status}: ${st.error}]`);
+        const perResult = Math.floor(contextTokens * SYNTHESIS_CONTEXT_SHARE / statuses.length);
+        const synthPrompt = `Synthesize these step results into one response. Say plainly if a step failed or was skipped.\n\nOriginal: "${userInput.slice(0, 500)}"\n\n${statuses.map(st => `Step ${st.index + 1} (${st.task}): ${stepResult(st, perResult)}`).join('\n\n')}\n\nWrite a unified, concise response.`;
+        const synthMessages = [...messages, { role: 'user', content: synthPrompt }];
+        const synthLimit = overBudget(systemPrompt, synthMessages);
+        if (synthLimit) {
+          // No budget left to synthesize — hand back the step results as-is
+          noteBudget(synthLimit, 'concatenate');
+          finalAnswer = statuses.map(st => `**${st.task}**\n${stepResult(st, Infinity)}`).join('\n\n');
+        } else {
+          const synthParser = createTagStreamParser({
+            onText: (text) => { partialAnswer += text; emit({ type: 'answer_delta', step: 0, text }); },
+          });
+          let synthMeta = null;
+          const synthRaw = await readLLMResponse(
+            await abortable(llm(systemPrompt, synthMessages, settings, {
+              stream, signal: runSignal, purpose: 'synthesize', onMeta: (m) => { synthMeta = m; },
+            }), runSignal),
+            (delta) => synthParser.push(delta),
+            runSignal
+          );
+          synthParser.end();
+          log.steps.push({ type: 'synthesize', rawLength: synthRaw.length, ...(synthMeta || {}) });
+          finalAnswer = synthRaw.replace(THINK_REGEX, '').replace(PARTIAL_TAG_REGEX, '').trim();
+        }
+        effectiveMaxSteps = 0;
+      }
+    } catch (_) {}
+    throwIfAborted(runSignal);
+
+    // A resumed run continues after its last completed step, first
+    // finishing the turn it paused on for approval
+    let firstStep = 0;
+    if (resumeState && !decomposition) {
+      firstStep = currentStep = resumeState.step;
+      if (resumeState.toolJobs) paused = await runToolTurn(resumeState.step, resumeState.toolJobs, resumeState.decisions);
+    }
+    for (let step = firstStep; !paused && step < effectiveMaxSteps; step++) {
+      throwIfAborted(runSignal);
+      currentStep = step + 1;
+      if (onStep) onStep(step + 1, maxSteps, messages);
+      emit({ type: 'step_start', step: step + 1, maxSteps });
+      if (step > 0) await compact(step + 1);
+
+      // Keep going only while the budget covers this step plus a final answer
+      // after it; otherwise answer now without tools, or stop if even that
+      // won't fit
+      const limit = overBudget(systemPrompt, messages, { calls: 2 });
+      const forceFinal = !!limit;
+      if (limit) {
+        messages.push({ role: 'user', content: BUDGET_FINAL_NOTE });
+        if (overBudget(systemPrompt, messages, { outputTokens: 1 })) {
+          messages.pop();
+          noteBudget(limit, 'stop');
+          finalAnswer = lastText || 'Stopped: the usage budget ran out before an answer was ready.';
+          break;
+        }
+        noteBudget(limit, 'final_answer');
+      }
+
+      const n = step + 1;
+      partialAnswer = '';
+      const parser = createTagStreamParser({
+        onThinkStart: () => emit({ type: 'think_start', step: n }),
+        onThinkDelta: (text) => emit({ type: 'think_delta', step: n, text }),
+        onThinkEnd: (text) => emit({ type: 'think_end', step: n, text }),
+        onTool: native || forceFinal ? null : (name, param) => emit({ type: 'tool_call', step: n, name, param }),
+        onText: (text) => { partialAnswer += text; emit({ type: 'answer_delta', step: n, text }); },
+      });
+      let meta = null;
+      const callOptions = { stream, signal: runSignal, purpose: 'step', onMeta: (m) => { meta = m; }, ...(native && !forceFinal ? { tools: toolSpecs } : {}) };
+      const turn = await readLLMTurn(
+        await abortable(llm(systemPrompt, messages, settings, callOptions), runSignal),
+        (delta) => parser.push(delta),
+        runSignal
+      );
+      parser.end();
+      const raw = turn.content;
+      if (meta?.usage?.inputTokens) lastStepInput = meta.usage.inputTokens;
+      log.steps.push({
+        step: step + 1,
+        rawLength: raw.length,
+        ...(native ? { toolCalls: turn.toolCalls.length } : {}),
+        ...(meta ? { model: meta.model, usage: meta.usage, stopReason: meta.stopReason } : {}),
+      });
+
+      const thinkMatch = raw.match(THINK_REGEX);
+      if (thinkMatch && onThink) onThink(thinkMatch[1].trim());
+      const cleaned = raw.replace(THINK_REGEX, '').replace(PARTIAL_TAG_REGEX, '').trim();
+      if (forceFinal) {
+        finalAnswer = cleaned.replace(TOOL_REGEX, '').trim();
+        break;
+      }
+      lastText = cleaned.replace(TOOL_REGEX, '').trim() || lastText;
+
+      // Text protocol: tags in the output. Native: structured tool calls.
+      const toolJobs = native
+        ? turn.toolCalls.map(tc => ({ id: tc.id, name: tc.name, param: tc.arguments }))
+        : [...cleaned.matchAll(TOOL_REGEX)].map(m => ({ name: m[1], param: (m[2] || '').trim() }));
+      if (toolJobs.length === 0) {
+        finalAnswer = cleaned;
+        break;
+      }
+
+      if (native) {
+        for (const job of toolJobs) emit({ type: 'tool_call', step: n, name: job.name, param: job.param });
+        messages.push({ role: 'assistant', layer: 'tool', step: n, content: cleaned, toolCalls: turn.toolCalls });
+      } else {
+        messages.push({ role: 'assistant', layer: 'tool', step: n, content: cleaned });
+      }
+
+      paused = await runToolTurn(n, toolJobs);
+      if (paused) break;
+
+      // Serverless handlers can stop after a few steps and resume in the
+      // next invocation
+      const yieldNow = maxStepsPerInvocation > 0 && n - firstStep >= maxStepsPerInvocation && n < effectiveMaxSteps;
+      if (yieldNow) {
+        log.steps.push({ type: 'paused', reason: 'step_limit', step: n });
+        paused = { runId: requestId, reason: 'step_limit' };
+      }
+      if (checkpoint || yieldNow) {
+        await saveCheckpoint(storage, checkpointState(yieldNow ? { status: 'paused', reason: 'step_limit' } : { status: 'running' }));
+      }
+    }
+  } catch (e) {
+    // Storage outages and bugs reject as before; only the LLM giving out
+    // becomes a failed result
+    if (!runSignal.aborted && !e?.llmFailure) {
+      run.dispose();
+      if (resumeState) await releaseCheckpoint(storage, resumeState).catch(() => {});
+      throw e;
+    }
+    if (!runSignal.aborted) {
+      // Out of retries and fallbacks: keep the steps and tool results so
+      // far instead of discarding them
+      failure = e;
+      finalAnswer = finalAnswer || partialAnswer.replace(TOOL_REGEX, '').trim() || lastText;
+      log.steps.push({ type: 'failed', step: currentStep, error: e.message, elapsedMs: Date.now() - log.startTime });
+    } else {
+      // Cancelled or out of time — keep whatever was produced so far
+      cancelled = true;
+      finalAnswer = finalAnswer || partialAnswer.replace(TOOL_REGEX, '').trim();
+      log.steps.push({
+        type: 'cancelled',
+        reason: run.timedOut() ? 'timeout' : 'aborted',
+        step: currentStep,
+        message: abortMessage(runSignal),
+        elapsedMs: Date.now() - log.startTime,
+      });
+    }
   }
+  run.dispose();
+
+  // A finished run no longer needs its checkpoint; a cancelled or failed
+  // one keeps its latest, or hands back the one it was resumed from
+  if (!paused && !cancelled && !failure && (checkpoint || resumeState)) await deleteCheckpoint(storage, requestId);
+  else if (!paused && resumeState) await releaseCheckpoint(storage, resumeState);
 
-  // Persist chat history
+  // Persist chat history — a paused run does this once it is resumed and
+  // done, a failed one once it is resumed and succeeds. Subtasks (which get
+  // their parent's meter) are part of the parent's turn and record nothing.
   const newHistory = [...history, { role: 'user', text: userInput }, { role: 'assistant', text: finalAnswer }];
-  const { urchinChatHistory = [] } = await storage.get('urchinChatHistory');
-  const updated = [...urchinChatHistory, ...newHistory.slice(-2)];
-  await storage.set({ urchinChatHistory: updated.slice(-MAX_CHAT_HISTORY) });
+  if (!paused && !failure && ownMeter) {
+    await updateKey(storage, 'urchinChatHistory', (current = []) =>
+      [...current, ...newHistory.slice(-2)].slice(-MAX_CHAT_HISTORY));
+    // so exportMemory and forgetUser can find this conversation later
+    if (identity?.conversationId != null) await indexConversations(storage, [identity.conversationId]);
+    // Remember what this run used so submitFeedback(requestId, …) can credit it
+    await recordRun(storage, { requestId, userInput, answer: finalAnswer, skills: activeSkillNames, memories: activeMemoryKeys });
+  }
+
+  // Charge the run to the user's ledger (subtasks are charged with their parent)
+  const usage = meter.totals();
+  if (ownMeter) {
+    await addToUsageLedger(storage, usage, periodMs, 1);
+    if (onUsage) {
+      try { onUsage(usage); } catch (_) {}
+    }
+  }
 
-  // Post-response jobs (fire-and-forget)
-  if (runPostJobs && finalAnswer) {
+  // Post-response jobs (fire-and-forget) — on the background model, with
+  // LLM work skipped while the primary or background circuit is open
+  if (runPostJobs && finalAnswer && !cancelled && !failure) {
+    const bgSettings = backgroundSettings ? { ...settings, ...backgroundSettings } : settings;
+    const degraded = !!breaker && (breaker.isOpen(llmTargetKey(settings)) || breaker.isOpen(llmTargetKey(bgSettings)));
+    const bgLLM = meterCallLLM(
+      createResilientCallLLM(callLLM, { retry: { ...retry, retries: Math.min(1, retry?.retries ?? 0) }, breaker }),
+      meter, { enforce: true, reserveTokens, purpose: 'background' }
+    );
     setTimeout(() => {
-      runPostResponseJobs(storage, messages, newHistory, callLLM, settings, activeSkillNames).catch(() => {});
+      runPostResponseJobs(storage, messages, newHistory, bgLLM, bgSettings, activeSkillNames, { signal, degraded })
+        .catch(() => {})
+        .then(async () => {
+          // Background calls count against the same budgets; report them once done
+          const after = meter.totals();
+          if (after.calls === usage.calls) return;
+          const delta = {};
+          for (const k of ['inputTokens', 'outputTokens', 'totalTokens', 'costUsd']) delta[k] = after[k] - usage[k];
+          if (ownMeter) await addToUsageLedger(storage, delta, periodMs);
+          if (onUsage) onUsage(after);
+        })
+        .catch(() => {});
     }, 100);
   }
 
   log.endTime = Date.now();
-  return {
-    answer: finalAnswer || 'No response.',
+  const result = {
+    answer: paused ? '' : finalAnswer || (failure ? '' : 'No response.'),
     log,
-    requestId: `ul-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    requestId,
+    usage,
+    ...(cancelled ? { cancelled: true } : {}),
+    ...(failure ? { failed: true, error: failure.message, toolResults: toolHistory } : {}),
+    ...(paused ? { paused } : {}),
+  };
+  if (ownTrace) {
+    result.trace = {
+      version: 1,
+      requestId,
+      userInput,
+      input: { history, pageContext, context },
+      options: {
+        toolMode, maxSteps, stream, systemPrompt: customSystemPrompt, settings: redactSettings(settings),
+        timeoutMs, toolTimeoutMs, contextTokens, contextPolicy, summarizeToolResultsAfter,
+        budget, userBudget, pricing: typeof pricing === 'function' ? null : pricing,
+      },
+      tools: Object.values(registry).map(({ name, description, parameters, parallelSafe }) => ({ name, description, parameters, parallelSafe })),
+      storage: storageSnapshot,
+      startedAt: log.startTime,
+      durationMs: log.endTime - log.startTime,
+      answer: result.answer,
+      cancelled,
+      events: tracer.events,
+      log: log.steps,
+    };
+  }
+  emit({ type: 'done', ...result });
+  return result;
+}
+
+/**
+ * Async-iterator variant of urchinLoop. Streams LLM output by default and
+ * yields typed events: step_start, think_start/think_delta/think_end,
+ * tool_call, tool_result, answer_delta, and finally done (or error).
+ *
+ *   for await (const ev of urchinLoopStream('hi', opts)) { ... }
+ */
+async function* urchinLoopStream(userInput, options = {}) {
+  const queue = [];
+  let wake = null;
+  let finished = false;
+  const push = (event) => {
+    queue.push(event);
+    if (wake) { wake(); wake = null; }
+  };
+  // Breaking out of the for-await cancels the run
+  const run = linkedSignal(options.signal);
+
+  urchinLoop(userInput, {
+    ...options,
+    signal: run.signal,
+    stream: options.stream ?? true,
+    onEvent: (event) => {
+      if (options.onEvent) options.onEvent(event);
+      push(event);
+    },
+  }).catch((e) => push({ type: 'error', error: e.message }));
+
+  try {
+    while (true) {
+      if (queue.length === 0) await new Promise((resolve) => { wake = resolve; });
+      const event = queue.shift();
+      if (event.type === 'done' || event.type === 'error') finished = true;
+      yield event;
+      if (finished) return;
+    }
+  } finally {
+    if (!finished) run.abort('Stream consumer stopped');
+    run.dispose();
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────────────────
+ * HTTP SERVER (REST and server-sent events over urchinLoop; Node only)
+ *
+ *   GET    /health
+ *   GET    /tools                   registered tools with their policies
+ *   POST   /turn                    { input, conversationId?, history?, pageContext?, context? }
+ *   POST   /resume                  { runId, decisions?, decision?, conversationId? }
+ *   GET    /runs/:requestId         run record, plus the full log while cached
+ *   GET    /memory                  exportMemory
+ *   POST   /memory/import           { document, mode?, onConflict?, dryRun? }
+ *   DELETE /memory                  forgetUser
+ *   GET    /memory/profile          PATCH /memory/profile  { field: value | null }
+ *   GET    /memory/skills           PATCH | DELETE /memory/skills/:name
+ *
+ * /turn and /resume answer with server-sent events (one per urchinLoop
+ * event) when the request accepts text/event-stream or has ?stream=1.
+ * Memory routes take ?conversationId=… (repeatable) for the conversations
+ * to cover.
+ * ───────────────────────────────────────────────────────────────────────── */
+
+const MAX_SERVER_BODY_BYTES = 1000000;
+// Full run logs kept in process for GET /runs (urchinRuns keeps a summary)
+const MAX_SERVER_RUN_LOGS = 200;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readJSONBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Drain the rest so the 413 still reaches the client
+        req.removeAllListeners('data');
+        req.resume();
+        reject(httpError(413, `Request body over ${maxBytes} bytes.`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        resolve(body);
+      } catch (_) {
+        reject(httpError(400, 'Request body must be a JSON object.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload), ...headers });
+  res.end(payload);
+}
+
+/**
+ * Node request handler (and optional server) exposing urchinLoop over HTTP.
+ *
+ *   loopOptions  passed to every urchinLoop / resumeRun call: callLLM,
+ *                settings, tools, toolPolicies, … Clients never set these.
+ *   storage      backend for every user (default: in-memory)
+ *   auth         async (req) → { userId, tenantId? } | null. null answers
+ *                401; a thrown error with .status answers that status.
+ *                Without auth the server is single-user and unscoped.
+ *   storageFor   async (user, req) → storage, to pick a backend per user
+ *                or tenant (default: `storage`)
+ *   basePath     prefix for every route ('')
+ *   cors         allowed origin ('*' or a URL); off by default
+ *   maxBodyBytes request body limit (1 MB)
+ *   http         the http module to use (default: require('http'))
+ *
+ * Returns { handle(req, res), listen(port, host) → { port, host, url },
+ * close(), server }. `handle` also mounts under Express or any framework
+ * that passes Node requests through.
+ */
+function createUrchinServer(options = {}) {
+  const {
+    loopOptions = {},
+    storage = createMemoryStorage(),
+    auth = null,
+    storageFor = null,
+    basePath = '',
+    cors = null,
+    maxBodyBytes = MAX_SERVER_BODY_BYTES,
+    http = null,
+  } = options;
+  const runLogs = new Map();
+  let server = null;
+
+  const rememberRun = (userKey, result) => {
+    runLogs.set(`${userKey}\n${result.requestId}`, {
+      answer: result.answer, log: result.log, usage: result.usage,
+      ...(result.cancelled ? { cancelled: true } : {}), ...(result.paused ? { paused: result.paused } : {}),
+    });
+    for (const key of [...runLogs.keys()].slice(0, Math.max(0, runLogs.size - MAX_SERVER_RUN_LOGS))) runLogs.delete(key);
+  };
+
+  // Run a turn (or a resume) as one JSON response or as an SSE stream
+  const runTurn = async (req, res, ctx, start) => {
+    const streaming = /text\/event-stream/.test(req.headers.accept || '') || ['1', 'true'].includes(ctx.query.get('stream'));
+    const run = linkedSignal(null);
+    res.on('close', () => {
+      if (!res.writableEnded) run.abort('Client disconnected');
+    });
+    const runOptions = {
+      onApprovalRequired: () => 'pause',
+      ...loopOptions,
+      storage: ctx.baseStorage,
+      identity: ctx.identity,
+      signal: run.signal,
+    };
+    try {
+      if (!streaming) {
+        const result = await start(runOptions);
+        rememberRun(ctx.userKey, result);
+        return sendJSON(res, 200, result, ctx.headers);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache', Connection: 'keep-alive', ...ctx.headers });
+      const send = (event) => {
+        if (!res.writableEnded) res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      };
+      try {
+        const result = await start({
+          ...runOptions,
+          stream: loopOptions.stream ?? true,
+          onEvent: (event) => {
+            if (loopOptions.onEvent) loopOptions.onEvent(event);
+            send(event);
+          },
+        });
+        rememberRun(ctx.userKey, result);
+      } catch (e) {
+        send({ type: 'error', error: e.message });
+      }
+      res.end();
+    } finally {
+      run.dispose();
+    }
+  };
+
+  const memoryOptions = (ctx, body = {}) => ({
+    storage: ctx.baseStorage,
+    identity: ctx.identity ? { tenantId: ctx.identity.tenantId, userId: ctx.identity.userId } : null,
+    sharedTiers: loopOptions.sharedTiers || [],
+    conversationIds: [...ctx.query.getAll('conversationId'), ...(Array.isArray(body.conversationIds) ? body.conversationIds : [])],
+  });
+
+  const routes = [
+    ['GET', /^\/health$/, async () => ({ ok: true })],
+    ['GET', /^\/tools$/, async (ctx) => {
+      const registry = buildToolRegistry({ ...createBuiltInTools(ctx.storage), ...(loopOptions.tools || {}) });
+      const tools = Object.values(registry).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+        parallelSafe: tool.parallelSafe,
+        cacheable: tool.cacheable,
+        policy: toolPolicyFor(tool, loopOptions.toolPolicies || {}, loopOptions.defaultToolPolicy || 'auto'),
+      }));
+      return { tools };
+    }],
+    ['POST', /^\/turn$/, async (ctx, req, res) => {
+      const body = await ctx.body();
+      if (typeof body.input !== 'string' || !body.input.trim()) throw httpError(400, 'input (a non-empty string) is required.');
+      const { history = [], pageContext = null, context = [] } = body;
+      await runTurn(req, res, ctx, (opts) => urchinLoop(body.input, { ...opts, history, pageContext, context }));
+    }],
+    ['POST', /^\/resume$/, async (ctx, req, res) => {
+      const body = await ctx.body();
+      if (!body.runId) throw httpError(400, 'runId is required.');
+      const { urchinCheckpoints = {} } = await ctx.storage.get('urchinCheckpoints');
+      const saved = urchinCheckpoints[body.runId];
+      if (!saved) throw httpError(404, `No checkpoint for run "${body.runId}".`);
+      // A 'running' checkpoint may belong to a run still going in another
+      // process; only its owner should restart it, through resumeRun
+      if (saved.status !== 'paused') throw httpError(409, `Run "${body.runId}" is ${saved.status}, not paused.`);
+      await runTurn(req, res, ctx, (opts) => resumeRun(body.runId, {
+        ...opts,
+        decisions: body.decisions || {},
+        ...(body.decision !== undefined ? { decision: body.decision } : {}),
+      }));
+    }],
+    ['GET', /^\/runs\/([^/]+)$/, async (ctx, req, res, [requestId]) => {
+      const { urchinRuns = {} } = await ctx.storage.get('urchinRuns');
+      const record = urchinRuns[requestId];
+      const cached = runLogs.get(`${ctx.userKey}\n${requestId}`);
+      if (!record && !cached) throw httpError(404, `No run "${requestId}" for this user.`);
+      return { requestId, ...(record || {}), ...(cached || {}) };
+    }],
+    ['GET', /^\/memory$/, async (ctx) =>
+      exportMemory({ ...memoryOptions(ctx), includeEmbeddings: ['1', 'true'].includes(ctx.query.get('includeEmbeddings')) })],
+    ['POST', /^\/memory\/import$/, async (ctx) => {
+      const body = await ctx.body();
+      const { document, mode, onConflict, dryRun } = body;
+      if (!document) throw httpError(400, 'document (an exportMemory result) is required.');
+      if (onConflict !== undefined && typeof onConflict !== 'string') throw httpError(400, 'onConflict must be newest, keep or overwrite.');
+      try {
+        return await importMemory(document, { ...memoryOptions(ctx, body), mode, onConflict, dryRun: !!dryRun });
+      } catch (e) {
+        throw httpError(400, e.message);
+      }
+    }],
+    ['DELETE', /^\/memory$/, async (ctx) => forgetUser(memoryOptions(ctx, await ctx.body()))],
+    ['GET', /^\/memory\/profile$/, async (ctx) => ({ profile: await getProfile(memoryOptions(ctx)) })],
+    ['PATCH', /^\/memory\/profile$/, async (ctx) => ({ profile: await updateProfile(await ctx.body(), memoryOptions(ctx)) })],
+    ['GET', /^\/memory\/skills$/, async (ctx) => ({ skills: await listSkills(memoryOptions(ctx)) })],
+    ['PATCH', /^\/memory\/skills\/([^/]+)$/, async (ctx, req, res, [name]) => {
+      const changes = await ctx.body();
+      try {
+        return { skill: await updateSkill(name, changes, memoryOptions(ctx)) };
+      } catch (e) {
+        throw httpError(404, e.message);
+      }
+    }],
+    ['DELETE', /^\/memory\/skills\/([^/]+)$/, async (ctx, req, res, [name]) => {
+      if (!(await deleteSkill(name, memoryOptions(ctx)))) throw httpError(404, `No skill named "${skillSlug(name)}".`);
+      return { deleted: skillSlug(name) };
+    }],
+  ];
+
+  async function handle(req, res) {
+    const headers = cors
+      ? { 'Access-Control-Allow-Origin': cors, 'Access-Control-Allow-Headers': 'Authorization, Content-Type', 'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS' }
+      : {};
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'OPTIONS' && cors) {
+        res.writeHead(204, headers);
+        return res.end();
+      }
+      if (!url.pathname.startsWith(basePath)) throw httpError(404, 'Not found.');
+      const path = url.pathname.slice(basePath.length).replace(/\/+$/, '') || '/';
+      const matches = routes
+        .map(([method, pattern, fn]) => ({ method, fn, m: path.match(pattern) }))
+        .filter(r => r.m);
+      if (matches.length === 0) throw httpError(404, 'Not found.');
+      const route = matches.find(r => r.method === req.method);
+      if (!route) throw httpError(405, `Use ${matches.map(r => r.method).join(' or ')}.`);
+
+      const user = auth ? await auth(req) : null;
+      if (auth && (!user || user.userId == null)) throw httpError(401, 'Unauthorized.');
+      let parsed = null;
+      const ctx = {
+        user,
+        query: url.searchParams,
+        headers,
+        baseStorage: storageFor ? await storageFor(user, req) : storage,
+        body: async () => (parsed = parsed || await readJSONBody(req, maxBodyBytes)),
+      };
+      const conversationId = url.searchParams.get('conversationId') ?? null;
+      ctx.identity = user ? { tenantId: user.tenantId ?? null, userId: user.userId, conversationId } : null;
+      if (route.method === 'POST' && /^\/(turn|resume)$/.test(path)) {
+        const body = await ctx.body();
+        if (user && body.conversationId != null) ctx.identity.conversationId = String(body.conversationId);
+      }
+      ctx.userKey = user ? JSON.stringify([user.tenantId ?? null, user.userId]) : '';
+      ctx.storage = ctx.identity ? createScopedStorage(ctx.baseStorage, ctx.identity, { sharedTiers: loopOptions.sharedTiers || [] }) : ctx.baseStorage;
+
+      const out = await route.fn(ctx, req, res, route.m.slice(1).map(decodeURIComponent));
+      if (out !== undefined && !res.headersSent) sendJSON(res, 200, out, headers);
+    } catch (e) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const status = e.status || 500;
+      sendJSON(res, status, { error: status === 500 ? `Internal error: ${e.message}` : e.message }, headers);
+    }
+  }
+
+  return {
+    handle,
+    get server() { return server; },
+    listen(port = 0, host = '127.0.0.1') {
+      server = server || (http || require('http')).createServer(handle);
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          const address = server.address();
+          resolve({ port: address.port, host, url: `http://${host}:${address.port}${basePath}` });
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve, reject) => (server ? server.close(e => (e ? reject(e) : resolve())) : resolve()));
+    },
   };
 }
 
@@ -811,23 +6493,31 @@ async function urchinLoop(userInput, options = {}) {
  * DEFAULT SYSTEM PROMPT
  * ───────────────────────────────────────────────────────────────────────── */
 
-function getDefaultSystemPrompt() {
+/**
+ * Default system prompt. The TOOLS section is generated from `tools` (a
+ * registry from buildToolRegistry) so custom tools are advertised too.
+ */
+function getDefaultSystemPrompt({ toolMode = 'text', tools = null } = {}) {
+  const toolsSection = renderToolsPrompt(tools, { toolMode });
+  const toolRule = toolMode === 'native'
+    ? '4. You can call several tools at once when they are independent.'
+    : '4. Only output one tool tag per tool use (you can use multiple tools in one response).';
+
   return `You are a helpful AI assistant with access to tools. You think step-by-step and use tools when needed.
 
-MEMORY: You have access to condensed history, recent messages, user profile, session summaries, and saved memories. Use REMEMBER to save important facts. Use RECALL or SEARCH_MEMORY to retrieve them.
+MEMORY: You have access to condensed history, recent messages, user profile, session summaries, and saved memories. Use REMEMBER to save important facts. Use RECALL or SEARCH_MEMORY to retrieve them, UPDATE_MEMORY when a fact changes and FORGET when it is wrong or the user asks.
+
+SKILLS: Learned skills in your context are standing rules from this user; follow them. When the user gives a lasting correction or preference, save it with LEARN_SKILL.
+
+PROJECTS: Active project plans appear in your context. Use SET_GOAL to plan multi-session work (milestones can have dueDate and dependsOn), UPDATE_GOAL as milestones progress, and GET_GOALS for full detail.
 
-TOOLS — include the exact tag to invoke:
-<<TOOL:WEB_SEARCH:query>> — Search the web for real-time info.
-<<TOOL:FETCH_URL:url>> — Fetch and read webpage content.
-<<TOOL:REMEMBER:{"key":"...","value":"..."}>> — Save to persistent memory.
-<<TOOL:RECALL:key>> — Recall saved info. Use "all" for everything.
-<<TOOL:SEARCH_MEMORY:query>> — Semantic search across memories (embeddings when available, keyword fallback).
+${toolsSection}
 
 RULES:
 1. ALWAYS start non-trivial responses with <<THINK>>...your reasoning...<</THINK>>
 2. Use tools when you need external data, don't guess.
 3. Be concise. After using a tool, summarize the result clearly.
-4. Only output one tool tag per tool use (you can use multiple tools in one response).
+${toolRule}
 5. When unsure, say so. Never confidently state something you're not sure about.`;
 }
 
@@ -839,15 +6529,90 @@ RULES:
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     urchinLoop,
+    urchinLoopStream,
+    createUrchinServer,
+    submitFeedback,
+    resumeRun,
+    exportMemory,
+    importMemory,
+    getProfile,
+    updateProfile,
+    listSkills,
+    updateSkill,
+    deleteSkill,
+    forgetUser,
     createMemoryStorage,
+    createFileStorage,
+    createSQLiteStorage,
+    createWebStorage,
+    createChromeStorage,
+    createRedisStorage,
+    runStorageConformance,
+    updateKey,
+    createScopedStorage,
+    migrateUnscopedStorage,
+    scopedKey,
     createBuiltInTools,
+    runPostResponseJobs,
     defaultCallLLM,
+    callOpenAIChat,
+    callAnthropicMessages,
+    callOllamaChat,
+    LLM_PROVIDERS,
+    createResilientCallLLM,
+    createCircuitBreaker,
+    isRetryableLLMError,
+    createUsageMeter,
+    meterCallLLM,
+    createTraceRecorder,
+    createReplayStubs,
+    replayTrace,
+    compactContext,
+    CONTEXT_LAYER_POLICY,
+    estimateTokens,
     extractJSON,
     cosineSimilarity,
     getEmbedding,
+    getEmbeddings,
+    EMBEDDING_PROVIDERS,
     semanticRecallWithEmbeddings,
     keywordFallback,
+    addSkill,
+    searchMemories,
+    bm25Scores,
+    localEmbedding,
+    createBruteForceVectorStore,
+    createLSHVectorStore,
     relevanceFilterMemories,
+    webSearch,
+    SEARCH_PROVIDERS,
+    mergeSearchResults,
+    fetchUrl,
+    assertFetchAllowed,
+    extractPageContent,
+    parseFeed,
+    runSubtaskGraph,
+    validateSubtaskGraph,
+    parseSSE,
+    readLLMResponse,
+    createTagStreamParser,
+    buildToolRegistry,
+    validateToolArgs,
+    renderToolsPrompt,
+    formatToolUsage,
+    toOpenAIMessages,
+    toOpenAITools,
+    fromOpenAIMessage,
+    toAnthropicMessages,
+    toAnthropicTools,
+    fromAnthropicContent,
+    readLLMTurn,
+    createAbortError,
+    throwIfAborted,
+    linkedSignal,
+    abortable,
+    getDefaultSystemPrompt,
+    BUILT_IN_TOOL_SPECS,
     TOOL_REGEX,
     TOOL_REGEX_SINGLE,
     THINK_REGEX,
@@ -858,15 +6623,90 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
   window.UrchinLoop = {
     urchinLoop,
+    urchinLoopStream,
+    createUrchinServer,
+    submitFeedback,
+    resumeRun,
+    exportMemory,
+    importMemory,
+    getProfile,
+    updateProfile,
+    listSkills,
+    updateSkill,
+    deleteSkill,
+    forgetUser,
     createMemoryStorage,
+    createFileStorage,
+    createSQLiteStorage,
+    createWebStorage,
+    createChromeStorage,
+    createRedisStorage,
+    runStorageConformance,
+    updateKey,
+    createScopedStorage,
+    migrateUnscopedStorage,
+    scopedKey,
     createBuiltInTools,
+    runPostResponseJobs,
     defaultCallLLM,
+    callOpenAIChat,
+    callAnthropicMessages,
+    callOllamaChat,
+    LLM_PROVIDERS,
+    createResilientCallLLM,
+    createCircuitBreaker,
+    isRetryableLLMError,
+    createUsageMeter,
+    meterCallLLM,
+    createTraceRecorder,
+    createReplayStubs,
+    replayTrace,
+    compactContext,
+    CONTEXT_LAYER_POLICY,
+    estimateTokens,
     extractJSON,
     cosineSimilarity,
     getEmbedding,
+    getEmbeddings,
+    EMBEDDING_PROVIDERS,
     semanticRecallWithEmbeddings,
     keywordFallback,
+    addSkill,
+    searchMemories,
+    bm25Scores,
+    localEmbedding,
+    createBruteForceVectorStore,
+    createLSHVectorStore,
     relevanceFilterMemories,
+    webSearch,
+    SEARCH_PROVIDERS,
+    mergeSearchResults,
+    fetchUrl,
+    assertFetchAllowed,
+    extractPageContent,
+    parseFeed,
+    runSubtaskGraph,
+    validateSubtaskGraph,
+    parseSSE,
+    readLLMResponse,
+    createTagStreamParser,
+    buildToolRegistry,
+    validateToolArgs,
+    renderToolsPrompt,
+    formatToolUsage,
+    toOpenAIMessages,
+    toOpenAITools,
+    fromOpenAIMessage,
+    toAnthropicMessages,
+    toAnthropicTools,
+    fromAnthropicContent,
+    readLLMTurn,
+    createAbortError,
+    throwIfAborted,
+    linkedSignal,
+    abortable,
+    getDefaultSystemPrompt,
+    BUILT_IN_TOOL_SPECS,
     TOOL_REGEX,
     TOOL_REGEX_SINGLE,
     THINK_REGEX,